@@ -0,0 +1,27 @@
+/**
+ * ============================================================================
+ * PP BUILDER - BLOCK UTILITIES
+ * ============================================================================
+ *
+ * Helpers shared by the block component definitions.
+ *
+ * ============================================================================
+ */
+
+/**
+ * Sets the classes a component's updateClasses() derives from its traits
+ * while keeping any classes the user added in the editor. The classes set
+ * last time (or the type's default classes on the first call) are the ones
+ * that get replaced.
+ */
+export function setManagedClasses(model, classes) {
+  const managed = classes.flatMap(name => (name || '').split(/\s+/)).filter(Boolean);
+  const defaults = typeof model.defaults === 'function' ? model.defaults() : model.defaults;
+  const previous = model.managedClasses || defaults?.classes || [];
+
+  const kept = model.getClasses()
+    .filter(name => !previous.includes(name) && !managed.includes(name));
+
+  model.managedClasses = managed;
+  model.setClass([...managed, ...kept]);
+}
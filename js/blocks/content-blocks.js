@@ -16,6 +16,9 @@
  * ============================================================================
  */
 
+import { setManagedClasses } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/blocks/block-utils.js';
+import { getBlockClasses } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.classmap.js';
+
 class ContentBlocks {
   /**
    * Get all content blocks
@@ -39,6 +42,27 @@ class ContentBlocks {
     this.registerCalloutComponent(editor);
   }
 
+  /**
+   * Settings schemas of the content components, by block type
+   */
+  getSchemas() {
+    return {
+      pp_content_heading_01: this.getHeadingSchema(),
+      pp_content_text_01: this.getTextSchema(),
+      pp_content_button_01: this.getButtonSchema(),
+      pp_content_callout_01: this.getCalloutSchema()
+    };
+  }
+
+  /**
+   * Settings migrations of the content components, by block type and the
+   * schema version they migrate from, e.g.
+   * { pp_layout_container_01: { 1: settings => ({ ...settings }) } }
+   */
+  getMigrations() {
+    return {};
+  }
+
   // ==========================================================================
   // HEADING BLOCK
   // ==========================================================================
@@ -57,6 +81,19 @@ class ContentBlocks {
     };
   }
 
+  getHeadingSchema() {
+    return {
+      type: 'object',
+      properties: {
+        level: { type: 'string', enum: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'] },
+        fontSize: { type: 'string', enum: ['xs', 'sm', 'base', 'lg', 'xl', '2xl', '3xl', '4xl'] },
+        align: { type: 'string', enum: ['left', 'center', 'right'] },
+        color: { type: 'string' }
+      },
+      allowedChildren: []
+    };
+  }
+
   registerHeadingComponent(editor) {
     editor.DomComponents.addType('pp_content_heading_01', {
       model: {
@@ -131,27 +168,7 @@ class ContentBlocks {
         },
 
         updateClasses() {
-          const attrs = this.getAttributes();
-          const classes = [];
-
-          // Font size
-          const size = attrs.fontSize || '2xl';
-          classes.push(`tw-text-${size}`);
-
-          // Font weight
-          classes.push('tw-font-bold');
-
-          // Align
-          if (attrs.align) {
-            classes.push(`tw-text-${attrs.align}`);
-          }
-
-          // Color
-          if (attrs.color) {
-            classes.push(`tw-text-${attrs.color}-900`);
-          }
-
-          this.setClass(classes.filter(c => c));
+          setManagedClasses(this, getBlockClasses('pp_content_heading_01', this.getAttributes()));
         }
       }
     });
@@ -175,6 +192,18 @@ class ContentBlocks {
     };
   }
 
+  getTextSchema() {
+    return {
+      type: 'object',
+      properties: {
+        fontSize: { type: 'string', enum: ['xs', 'sm', 'base', 'lg', 'xl'] },
+        align: { type: 'string', enum: ['left', 'center', 'right', 'justify'] },
+        color: { type: 'string' }
+      },
+      allowedChildren: []
+    };
+  }
+
   registerTextComponent(editor) {
     editor.DomComponents.addType('pp_content_text_01', {
       model: {
@@ -227,26 +256,7 @@ class ContentBlocks {
         },
 
         updateClasses() {
-          const attrs = this.getAttributes();
-          const classes = [];
-
-          // Font size
-          const size = attrs.fontSize || 'base';
-          classes.push(`tw-text-${size}`);
-
-          // Align
-          if (attrs.align) {
-            classes.push(`tw-text-${attrs.align}`);
-          }
-
-          // Color
-          if (attrs.color) {
-            classes.push(`tw-text-${attrs.color}-700`);
-          } else {
-            classes.push('tw-text-gray-700');
-          }
-
-          this.setClass(classes.filter(c => c));
+          setManagedClasses(this, getBlockClasses('pp_content_text_01', this.getAttributes()));
         }
       }
     });
@@ -270,6 +280,20 @@ class ContentBlocks {
     };
   }
 
+  getButtonSchema() {
+    return {
+      type: 'object',
+      properties: {
+        href: { type: 'string', maxLength: 2000 },
+        target: { type: 'string', enum: ['_self', '_blank'] },
+        buttonStyle: { type: 'string', enum: ['primary', 'secondary', 'outline', 'ghost'] },
+        buttonSize: { type: 'string', enum: ['sm', 'md', 'lg'] }
+      },
+      required: ['href'],
+      allowedChildren: []
+    };
+  }
+
   registerButtonComponent(editor) {
     editor.DomComponents.addType('pp_content_button_01', {
       model: {
@@ -330,39 +354,7 @@ class ContentBlocks {
         },
 
         updateClasses() {
-          const attrs = this.getAttributes();
-          const classes = ['tw-inline-block'];
-
-          // Button style
-          const style = attrs.buttonStyle || 'primary';
-          switch (style) {
-            case 'primary':
-              classes.push('tw-bg-blue-600', 'tw-text-white', 'hover:tw-bg-blue-700');
-              break;
-            case 'secondary':
-              classes.push('tw-bg-gray-600', 'tw-text-white', 'hover:tw-bg-gray-700');
-              break;
-            case 'outline':
-              classes.push('tw-border-2', 'tw-border-blue-600', 'tw-text-blue-600', 'hover:tw-bg-blue-50');
-              break;
-            case 'ghost':
-              classes.push('tw-text-blue-600', 'hover:tw-bg-blue-50');
-              break;
-          }
-
-          // Button size
-          const size = attrs.buttonSize || 'md';
-          const sizeClasses = {
-            'sm': ['tw-px-4', 'tw-py-2', 'tw-text-sm'],
-            'md': ['tw-px-6', 'tw-py-3', 'tw-text-base'],
-            'lg': ['tw-px-8', 'tw-py-4', 'tw-text-lg']
-          };
-          classes.push(...sizeClasses[size]);
-
-          // Rounded
-          classes.push('tw-rounded');
-
-          this.setClass(classes.filter(c => c));
+          setManagedClasses(this, getBlockClasses('pp_content_button_01', this.getAttributes()));
         }
       }
     });
@@ -395,6 +387,16 @@ class ContentBlocks {
     };
   }
 
+  getCalloutSchema() {
+    return {
+      type: 'object',
+      properties: {
+        calloutType: { type: 'string', enum: ['info', 'success', 'warning', 'error'] }
+      },
+      allowedChildren: ['pp_content_heading_01', 'pp_content_text_01', 'pp_content_button_01']
+    };
+  }
+
   registerCalloutComponent(editor) {
     editor.DomComponents.addType('pp_content_callout_01', {
       model: {
@@ -428,20 +430,7 @@ class ContentBlocks {
         },
 
         updateClasses() {
-          const attrs = this.getAttributes();
-          const classes = ['tw-p-6', 'tw-border-l-4', 'tw-rounded-r'];
-
-          // Callout type
-          const type = attrs.calloutType || 'info';
-          const typeClasses = {
-            'info': ['tw-bg-blue-50', 'tw-border-blue-500'],
-            'success': ['tw-bg-green-50', 'tw-border-green-500'],
-            'warning': ['tw-bg-yellow-50', 'tw-border-yellow-500'],
-            'error': ['tw-bg-red-50', 'tw-border-red-500']
-          };
-          classes.push(...typeClasses[type]);
-
-          this.setClass(classes.filter(c => c));
+          setManagedClasses(this, getBlockClasses('pp_content_callout_01', this.getAttributes()));
         }
       }
     });
@@ -28,6 +28,16 @@ class DVBlocks {
     ];
   }
 
+  // Uses plain GrapesJS components, which have no settings schema or
+  // migrations yet
+  getSchemas() {
+    return {};
+  }
+
+  getMigrations() {
+    return {};
+  }
+
   registerComponents(editor) {
     // Extend in future phases with FetchXML integration
   }
@@ -16,6 +16,9 @@
  * ============================================================================
  */
 
+import { setManagedClasses } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/blocks/block-utils.js';
+import { getBlockClasses } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.classmap.js';
+
 class LayoutBlocks {
   /**
    * Get all layout blocks
@@ -39,6 +42,27 @@ class LayoutBlocks {
     this.registerColumnComponent(editor);
   }
 
+  /**
+   * Settings schemas of the layout components, by block type
+   */
+  getSchemas() {
+    return {
+      pp_layout_section_01: this.getSectionSchema(),
+      pp_layout_container_01: this.getContainerSchema(),
+      pp_layout_grid_01: this.getGridSchema(),
+      pp_layout_column_01: this.getColumnSchema()
+    };
+  }
+
+  /**
+   * Settings migrations of the layout components, by block type and the
+   * schema version they migrate from, e.g.
+   * { pp_layout_container_01: { 1: settings => ({ ...settings }) } }
+   */
+  getMigrations() {
+    return {};
+  }
+
   // ==========================================================================
   // SECTION BLOCK
   // ==========================================================================
@@ -57,6 +81,20 @@ class LayoutBlocks {
     };
   }
 
+  getSectionSchema() {
+    return {
+      type: 'object',
+      properties: {
+        backgroundColor: { type: 'string', enum: ['transparent', 'white', 'gray', 'blue', 'primary'] },
+        padding: { type: 'string', enum: ['none', 'small', 'medium', 'large', 'xlarge'] },
+        containerWidth: { type: 'string', enum: ['full', 'container', 'narrow', 'wide'] },
+        customClass: { type: 'string', pattern: '^[\\w\\s:/.-]*$' },
+        id: { type: 'string', pattern: '^[A-Za-z][\\w-]*$' }
+      },
+      allowedChildren: ['pp_layout_container_01', 'pp_layout_grid_01', 'pp_content_*', 'pp_media_*', 'pp_nav_*', 'pp_dv_*']
+    };
+  }
+
   registerSectionComponent(editor) {
     editor.DomComponents.addType('pp_layout_section_01', {
       model: {
@@ -127,35 +165,7 @@ class LayoutBlocks {
 
         updateClasses() {
           const attrs = this.getAttributes();
-          const classes = ['tw-w-full'];
-
-          // Background color
-          if (attrs.backgroundColor && attrs.backgroundColor !== 'transparent') {
-            if (attrs.backgroundColor === 'primary') {
-              classes.push('tw-bg-primary');
-            } else {
-              classes.push(`tw-bg-${attrs.backgroundColor}-${attrs.backgroundShade || '600'}`);
-            }
-          }
-
-          // Padding
-          const paddingMap = {
-            'none': 'tw-p-0',
-            'small': 'tw-p-4',
-            'medium': 'tw-p-8',
-            'large': 'tw-p-16',
-            'xlarge': 'tw-p-24'
-          };
-          if (attrs.padding) {
-            classes.push(paddingMap[attrs.padding] || '');
-          }
-
-          // Custom class
-          if (attrs.customClass) {
-            classes.push(attrs.customClass);
-          }
-
-          this.setClass(classes.filter(c => c));
+          setManagedClasses(this, [...getBlockClasses('pp_layout_section_01', attrs), attrs.customClass]);
         }
       },
 
@@ -185,6 +195,18 @@ class LayoutBlocks {
     };
   }
 
+  getContainerSchema() {
+    return {
+      type: 'object',
+      properties: {
+        maxWidth: { type: 'string', enum: ['sm', 'md', 'lg', 'xl', '2xl', 'full'] },
+        centerContent: { type: ['string', 'boolean'], enum: ['true', 'false', true, false] },
+        customClass: { type: 'string', pattern: '^[\\w\\s:/.-]*$' }
+      },
+      allowedChildren: ['pp_layout_grid_01', 'pp_content_*', 'pp_media_*', 'pp_nav_*', 'pp_dv_*']
+    };
+  }
+
   registerContainerComponent(editor) {
     editor.DomComponents.addType('pp_layout_container_01', {
       model: {
@@ -233,31 +255,7 @@ class LayoutBlocks {
         },
 
         updateClasses() {
-          const attrs = this.getAttributes();
-          const classes = [];
-
-          // Max width
-          if (attrs.maxWidth && attrs.maxWidth !== 'full') {
-            classes.push(`tw-max-w-${attrs.maxWidth}`);
-            classes.push('tw-mx-auto');
-          } else {
-            classes.push('tw-w-full');
-          }
-
-          // Center content
-          if (attrs.centerContent === 'true') {
-            classes.push('tw-flex', 'tw-flex-col', 'tw-items-center', 'tw-justify-center');
-          }
-
-          // Padding
-          classes.push('tw-px-4');
-
-          // Custom class
-          if (attrs.customClass) {
-            classes.push(attrs.customClass);
-          }
-
-          this.setClass(classes.filter(c => c));
+          setManagedClasses(this, getBlockClasses('pp_layout_container_01', this.getAttributes()));
         }
       }
     });
@@ -281,6 +279,18 @@ class LayoutBlocks {
     };
   }
 
+  getGridSchema() {
+    return {
+      type: 'object',
+      properties: {
+        columns: { type: 'string', enum: ['1', '2', '3', '4', '6', '12'] },
+        gap: { type: 'string', enum: ['0', '2', '4', '6', '8'] },
+        responsive: { type: ['string', 'boolean'], enum: ['true', 'false', true, false] }
+      },
+      allowedChildren: ['pp_layout_column_01']
+    };
+  }
+
   registerGridComponent(editor) {
     editor.DomComponents.addType('pp_layout_grid_01', {
       model: {
@@ -337,22 +347,7 @@ class LayoutBlocks {
         },
 
         updateClasses() {
-          const attrs = this.getAttributes();
-          const classes = ['tw-grid'];
-
-          // Columns
-          const cols = attrs.columns || '3';
-          if (attrs.responsive === 'true') {
-            classes.push(`tw-grid-cols-1 md:tw-grid-cols-${cols}`);
-          } else {
-            classes.push(`tw-grid-cols-${cols}`);
-          }
-
-          // Gap
-          const gap = attrs.gap || '4';
-          classes.push(`tw-gap-${gap}`);
-
-          this.setClass(classes.filter(c => c));
+          setManagedClasses(this, getBlockClasses('pp_layout_grid_01', this.getAttributes()));
         }
       }
     });
@@ -376,6 +371,17 @@ class LayoutBlocks {
     };
   }
 
+  getColumnSchema() {
+    return {
+      type: 'object',
+      properties: {
+        span: { type: 'string', enum: ['1', '2', '3', '4', '6', '8', '12'] },
+        align: { type: 'string', enum: ['start', 'center', 'end', 'stretch'] }
+      },
+      allowedChildren: ['pp_layout_container_01', 'pp_layout_grid_01', 'pp_content_*', 'pp_media_*', 'pp_nav_*', 'pp_dv_*']
+    };
+  }
+
   registerColumnComponent(editor) {
     editor.DomComponents.addType('pp_layout_column_01', {
       model: {
@@ -424,19 +430,7 @@ class LayoutBlocks {
         },
 
         updateClasses() {
-          const attrs = this.getAttributes();
-          const classes = [];
-
-          // Span
-          const span = attrs.span || '1';
-          classes.push(`tw-col-span-${span}`);
-
-          // Align
-          if (attrs.align) {
-            classes.push(`tw-self-${attrs.align}`);
-          }
-
-          this.setClass(classes.filter(c => c));
+          setManagedClasses(this, getBlockClasses('pp_layout_column_01', this.getAttributes()));
         }
       }
     });
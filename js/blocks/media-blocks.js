@@ -28,6 +28,16 @@ class MediaBlocks {
     ];
   }
 
+  // Uses plain GrapesJS components, which have no settings schema or
+  // migrations yet
+  getSchemas() {
+    return {};
+  }
+
+  getMigrations() {
+    return {};
+  }
+
   registerComponents(editor) {
     // Use GrapesJS default image component for now
     // Can be extended later
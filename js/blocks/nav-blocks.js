@@ -28,6 +28,16 @@ class NavBlocks {
     ];
   }
 
+  // Uses plain GrapesJS components, which have no settings schema or
+  // migrations yet
+  getSchemas() {
+    return {};
+  }
+
+  getMigrations() {
+    return {};
+  }
+
   registerComponents(editor) {
     // Extend in future phases
   }
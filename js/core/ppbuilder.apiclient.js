@@ -1,8 +1,26 @@
-
+import { PPBuilderBatch } from './ppbuilder.batch.js';
+import { PPBuilderSavePipeline } from './ppbuilder.savepipeline.js';
+import {
+  PPBuilderNetworkError,
+  PPBuilderPublishError,
+  PPBuilderValidationError,
+  PPBuilderWorkflowError,
+  createAPIError
+} from './ppbuilder.errors.js';
+import { PPBuilderQuery, assertGuid, generateGuid } from './ppbuilder.query.js';
+import { diffBlocks, getParentBlockId, sortBlocksTopologically } from './ppbuilder.blockdiff.js';
+import { VERSION_STATE, WORKING_STATES, PAGE_STATUS, RECORD_STATE, nextDraftLabel } from './ppbuilder.constants.js';
+
+const ENTITY_ID_FIELDS = {
+  pp_pages: 'pp_pageid',
+  pp_versions: 'pp_versionid',
+  pp_blocks: 'pp_blockid',
+  pp_redirects: 'pp_redirectid'
+};
 
 export class PPBuilderAPIClient {
-  constructor() {
-    this.baseURL = '/_api';
+  constructor(options = {}) {
+    this.baseURL = options.baseURL || '/_api';
     this.headers = {
       'Content-Type': 'application/json',
       'Accept': 'application/json',
@@ -10,6 +28,30 @@ export class PPBuilderAPIClient {
       'OData-Version': '4.0'
     };
     this.antiForgeryToken = null;
+    this.maxBatchOperations = 1000;
+    this.maxPageSize = options.maxPageSize || null;
+    this.retryPolicy = {
+      retries: 3,
+      baseDelay: 500,
+      maxDelay: 30000,
+      timeout: 30000,
+      ...options.retryPolicy
+    };
+    this.abortController = new AbortController();
+    this.etags = new Map();
+    this.loadedBlockETags = new Map();
+  }
+
+  configure(options = {}) {
+    if (options.baseURL) this.baseURL = options.baseURL;
+    if (options.retryPolicy) this.retryPolicy = { ...this.retryPolicy, ...options.retryPolicy };
+    if (options.maxBatchOperations) this.maxBatchOperations = options.maxBatchOperations;
+    if (options.maxPageSize !== undefined) this.maxPageSize = options.maxPageSize;
+  }
+
+  cancelAll() {
+    this.abortController.abort();
+    this.abortController = new AbortController();
   }
 
   async _getAntiForgeryToken() {
@@ -17,6 +59,10 @@ export class PPBuilderAPIClient {
       return this.antiForgeryToken;
     }
 
+    if (typeof document === 'undefined') {
+      return null;
+    }
+
     const tokenElement = document.querySelector('input[name="__RequestVerificationToken"]');
     if (tokenElement) {
       this.antiForgeryToken = tokenElement.value;
@@ -41,32 +87,148 @@ export class PPBuilderAPIClient {
     return null;
   }
 
-  async _fetch(url, options = {}) {
-    const headers = { ...this.headers, ...options.headers };
+  async _request(url, options = {}) {
+    const { timeout, retries, signal, idempotent, ...fetchOptions } = options;
+    const headers = { ...this.headers, ...fetchOptions.headers };
+    const method = (fetchOptions.method || 'GET').toUpperCase();
 
-    if (options.method && ['POST', 'PATCH', 'PUT', 'DELETE'].includes(options.method.toUpperCase())) {
+    if (['POST', 'PATCH', 'PUT', 'DELETE'].includes(method)) {
       const token = await this._getAntiForgeryToken();
       if (token) {
         headers['__RequestVerificationToken'] = token;
       }
     }
 
-    const config = {
-      ...options,
-      headers,
-      credentials: 'include'
-    };
+    const maxRetries = retries ?? this.retryPolicy.retries;
+
+    for (let attempt = 0; ; attempt++) {
+      let error;
+
+      try {
+        const response = await this._send(url, {
+          ...fetchOptions,
+          headers,
+          credentials: 'include'
+        }, timeout ?? this.retryPolicy.timeout, signal);
+
+        if (response.ok) {
+          return response;
+        }
+
+        const body = await response.json().catch(() => ({}));
+        error = createAPIError(response.status, body, {
+          statusText: response.statusText,
+          retryAfter: response.headers.get('Retry-After')
+        });
+      } catch (caught) {
+        error = caught;
+      }
+
+      if (attempt >= maxRetries || !this._shouldRetry(error, method, idempotent)) {
+        throw error;
+      }
+
+      const delay = this._retryDelay(error, attempt);
+      console.warn(`Retrying ${method} ${url} in ${delay}ms (${error.message})`);
+      await this._wait(delay, signal);
+    }
+  }
+
+  async _send(url, config, timeout, signal) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    let timedOut = false;
+
+    if (signal?.aborted || this.abortController.signal.aborted) {
+      throw new PPBuilderNetworkError('Request cancelled', { code: 'Aborted' });
+    }
+
+    signal?.addEventListener('abort', abort);
+    this.abortController.signal.addEventListener('abort', abort);
+
+    const timer = timeout > 0
+      ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout)
+      : null;
 
     try {
-      const response = await fetch(url, config);
+      return await fetch(url, { ...config, signal: controller.signal });
+    } catch (error) {
+      if (timedOut) {
+        throw new PPBuilderNetworkError(`Request timed out after ${timeout}ms`, { code: 'Timeout', cause: error });
+      }
+      if (controller.signal.aborted) {
+        throw new PPBuilderNetworkError('Request cancelled', { code: 'Aborted', cause: error });
+      }
+      throw new PPBuilderNetworkError(`Network error: ${error.message}`, { code: 'NetworkError', cause: error });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abort);
+      this.abortController.signal.removeEventListener('abort', abort);
+    }
+  }
 
-      if (response.status === 204) {
-        return { success: true };
+  // A POST (including $batch) that failed on the network or timed out may
+  // still have been processed, so it is only retried on 429/503, which mean
+  // the server did not take it, unless the caller marks it `idempotent`
+  // because the record ID was generated here and a repeat cannot create a
+  // second record.
+  _shouldRetry(error, method, idempotent = false) {
+    if (!error.retryable) {
+      return false;
+    }
+
+    if (method === 'POST' && !idempotent) {
+      return error.status === 429 || error.status === 503;
+    }
+
+    return true;
+  }
+
+  _retryDelay(error, attempt) {
+    const retryAfter = error.retryAfter ?? null;
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.retryPolicy.maxDelay);
+    }
+
+    const exponential = this.retryPolicy.baseDelay * Math.pow(2, attempt);
+    const jitter = Math.random() * this.retryPolicy.baseDelay;
+    return Math.min(exponential + jitter, this.retryPolicy.maxDelay);
+  }
+
+  // Sleeps between retries; the per-call signal and cancelAll() both end
+  // the wait.
+  _wait(ms, signal) {
+    const signals = [signal, this.abortController.signal].filter(Boolean);
+
+    return new Promise((resolve, reject) => {
+      const cleanup = () => signals.forEach(s => s.removeEventListener('abort', abort));
+      const abort = () => {
+        clearTimeout(timer);
+        cleanup();
+        reject(new PPBuilderNetworkError('Request cancelled', { code: 'Aborted' }));
+      };
+      const timer = setTimeout(() => {
+        cleanup();
+        resolve();
+      }, ms);
+
+      if (signals.some(s => s.aborted)) {
+        abort();
+        return;
       }
+      signals.forEach(s => s.addEventListener('abort', abort, { once: true }));
+    });
+  }
 
-      if (!response.ok) {
-        const error = await response.json().catch(() => ({}));
-        throw new Error(error.error?.message || `HTTP ${response.status}: ${response.statusText}`);
+  async _fetch(url, options = {}) {
+    try {
+      const response = await this._request(url, options);
+
+      if (response.status === 204) {
+        return { success: true };
       }
 
       return await response.json();
@@ -76,38 +238,230 @@ export class PPBuilderAPIClient {
     }
   }
 
-  _buildQuery(options = {}) {
-    const params = [];
+  createBatch() {
+    return new PPBuilderBatch(this);
+  }
+
+  // Writes the steps in one changeset, which Dataverse applies all or
+  // nothing. A $batch holds at most `maxBatchOperations` operations (1000 in
+  // Dataverse), counted as the operations each step queues; above that the
+  // write is refused before anything is sent, unless the caller passes
+  // `split: true` and undoes the changesets that already committed itself,
+  // using `onCommit` to learn which those are. A split never divides a step.
+  async _executeInChangesets(steps, options = {}) {
+    const responses = [];
+    const ids = new Map();
+    let batch = null;
+    let refs = null;
+    let batchSteps = [];
+
+    const flush = async () => {
+      const batchResponses = await batch.execute();
+      const byContentId = new Map(batchResponses.map(response => [response.contentId, response]));
+
+      refs.forEach((contentId, key) => {
+        const response = byContentId.get(contentId);
+        if (response?.entityId) {
+          ids.set(key, response.entityId);
+        }
+      });
+
+      responses.push(...batchResponses);
+
+      if (options.onCommit) {
+        options.onCommit(batchSteps, ids);
+      }
+    };
+
+    const context = {
+      track: (key, contentId) => refs.set(key, contentId),
+      bind: (key, entitySet) => refs.has(key)
+        ? batch.ref(refs.get(key))
+        : this._bindPath(entitySet, ids.get(key) || key),
+      resolve: (key) => ids.get(key) || key
+    };
+
+    const sizes = steps.map(step => this._countOperations(step));
+    const total = sizes.reduce((sum, size) => sum + size, 0);
+    const largest = sizes.reduce((max, size) => Math.max(max, size), 0);
+
+    if ((!options.split && total > this.maxBatchOperations) || largest > this.maxBatchOperations) {
+      throw new PPBuilderValidationError(
+        `This change needs ${options.split ? largest : total} operations in one changeset, more than the ${this.maxBatchOperations} allowed`,
+        { code: 'BatchLimitExceeded' }
+      );
+    }
+
+    for (const [index, step] of steps.entries()) {
+      if (!batch || batch.size + sizes[index] > this.maxBatchOperations) {
+        if (batch) {
+          await flush();
+        }
+        batch = this.createBatch().beginChangeset();
+        refs = new Map();
+        batchSteps = [];
+        context.batch = batch;
+      }
+      step(context);
+      batchSteps.push(step);
+    }
+
+    if (batch) {
+      await flush();
+    }
+
+    return { responses, ids };
+  }
+
+  // Runs a step against a batch that is never sent, to learn how many
+  // operations it queues.
+  _countOperations(step) {
+    const batch = this.createBatch().beginChangeset();
+    step({ batch, track: () => {}, bind: () => null, resolve: key => key });
+    return batch.size;
+  }
 
-    if (options.filter) params.push(`$filter=${options.filter}`);
-    if (options.select) params.push(`$select=${options.select}`);
-    if (options.expand) params.push(`$expand=${options.expand}`);
-    if (options.orderby) params.push(`$orderby=${options.orderby}`);
-    if (options.top) params.push(`$top=${options.top}`);
-    if (options.skip) params.push(`$skip=${options.skip}`);
+  _trackETags(entitySet, records) {
+    const idField = ENTITY_ID_FIELDS[entitySet];
 
-    return params.length > 0 ? `?${params.join('&')}` : '';
+    records.forEach(record => {
+      if (record && record[idField] && record['@odata.etag']) {
+        this.etags.set(`${entitySet}(${record[idField]})`, record['@odata.etag']);
+      }
+    });
+
+    return records;
   }
 
-  async getPages(options = {}) {
-    const query = this._buildQuery({
-      filter: options.filter || 'statecode eq 0',
-      orderby: options.orderby || 'pp_title',
-      ...options
+  getETag(entitySet, id) {
+    return this.etags.get(`${entitySet}(${id})`) || null;
+  }
+
+  _writeHeaders(entitySet, id, options = {}) {
+    const headers = { 'Prefer': 'return=representation' };
+
+    if (options.overwrite) {
+      headers['If-Match'] = '*';
+    } else {
+      const etag = options.etag || this.getETag(entitySet, id);
+      if (etag) {
+        headers['If-Match'] = etag;
+      }
+    }
+
+    return headers;
+  }
+
+  async _patchTracked(entitySet, id, payload, options = {}) {
+    const result = await this._fetch(this._entityUrl(entitySet, id), {
+      method: 'PATCH',
+      headers: this._writeHeaders(entitySet, id, options),
+      body: JSON.stringify(payload)
     });
 
-    const result = await this._fetch(`${this.baseURL}/pp_pages${query}`);
-    return result.value || [];
+    if (result['@odata.etag']) {
+      this._trackETags(entitySet, [result]);
+    } else {
+      this.etags.delete(`${entitySet}(${id})`);
+    }
+
+    return result;
+  }
+
+  query() {
+    return new PPBuilderQuery();
+  }
+
+  _applyQueryOptions(query, options = {}) {
+    if (options.filter) query.where(options.filter);
+    if (options.select) query.select(options.select);
+    if (options.expand) query.expand(options.expand);
+    if (options.orderby) query.orderby(options.orderby);
+    if (options.top) query.top(options.top);
+    if (options.skip) query.skip(options.skip);
+    if (options.count) query.count();
+    if (options.apply) query.apply(options.apply);
+    return query;
+  }
+
+  async *_iterateCollection(url, options = {}) {
+    const headers = {};
+    const maxPageSize = options.maxPageSize || this.maxPageSize;
+
+    if (maxPageSize) {
+      headers['Prefer'] = `odata.maxpagesize=${maxPageSize}`;
+    }
+
+    let nextUrl = url;
+    let remaining = options.top || Infinity;
+
+    while (nextUrl && remaining > 0) {
+      const result = await this._fetch(nextUrl, { headers, signal: options.signal });
+      const records = (result.value || []).slice(0, remaining);
+
+      remaining -= records.length;
+      yield records;
+
+      nextUrl = result['@odata.nextLink'] || null;
+    }
+  }
+
+  async *_iterateRecords(url, entitySet, options = {}) {
+    for await (const records of this._iterateCollection(url, options)) {
+      yield* this._trackETags(entitySet, records);
+    }
+  }
+
+  async _fetchAll(url, entitySet, options = {}) {
+    const records = [];
+
+    for await (const page of this._iterateCollection(url, options)) {
+      records.push(...this._trackETags(entitySet, page));
+    }
+
+    return records;
+  }
+
+  _entityUrl(entitySet, id) {
+    return `${this.baseURL}/${entitySet}(${assertGuid(id)})`;
+  }
+
+  _bindPath(entitySet, id) {
+    return `/${entitySet}(${assertGuid(id)})`;
+  }
+
+  _pagesQuery(options = {}) {
+    const query = this.query()
+      .eq('statecode', 0)
+      .orderby('pp_title');
+
+    if (options.search) {
+      query.or(
+        PPBuilderQuery.contains('pp_title', options.search),
+        PPBuilderQuery.contains('pp_slug', options.search)
+      );
+    }
+
+    return this._applyQueryOptions(query, options);
+  }
+
+  async getPages(options = {}) {
+    return await this._fetchAll(`${this.baseURL}/pp_pages${this._pagesQuery(options)}`, 'pp_pages', options);
+  }
+
+  iteratePages(options = {}) {
+    return this._iterateRecords(`${this.baseURL}/pp_pages${this._pagesQuery(options)}`, 'pp_pages', options);
   }
 
   async getPage(pageId) {
-    const result = await this._fetch(`${this.baseURL}/pp_pages(${pageId})`);
+    const result = await this._fetch(this._entityUrl('pp_pages', pageId));
+    this._trackETags('pp_pages', [result]);
     return result;
   }
 
   async getPageBySlug(slug) {
     const pages = await this.getPages({
-      filter: `pp_slug eq '${slug}' and statecode eq 0`,
+      filter: PPBuilderQuery.eq('pp_slug', slug),
       top: 1
     });
     return pages.length > 0 ? pages[0] : null;
@@ -118,58 +472,149 @@ export class PPBuilderAPIClient {
       pp_title: pageData.title || pageData.name,
       pp_slug: pageData.slug,
       pp_metadescription: pageData.metaDescription || '',
-      pp_status: 125600000
+      pp_status: PAGE_STATUS.ACTIVE
     };
 
+    if (pageData.settings) {
+      payload.pp_settings = JSON.stringify(pageData.settings);
+    }
+    if (pageData.sortOrder !== undefined) {
+      payload.pp_sortorder = pageData.sortOrder;
+    }
+    if (pageData.parentId) {
+      payload['pp_parentpageid@odata.bind'] = this._bindPath('pp_pages', pageData.parentId);
+    }
+
     return await this._fetch(`${this.baseURL}/pp_pages`, {
       method: 'POST',
       body: JSON.stringify(payload)
     });
   }
 
-  async updatePage(pageId, updates) {
+  async updatePage(pageId, updates, options = {}) {
     const payload = {};
     if (updates.name) payload.pp_title = updates.name;
     if (updates.slug) payload.pp_slug = updates.slug;
     if (updates.title) payload.pp_title = updates.title;
     if (updates.metaDescription !== undefined) payload.pp_metadescription = updates.metaDescription;
     if (updates.status !== undefined) payload.pp_status = updates.status;
+    if (updates.settings) payload.pp_settings = JSON.stringify(updates.settings);
+    if (updates.sortOrder !== undefined) payload.pp_sortorder = updates.sortOrder;
+    if (updates.parentId) {
+      payload['pp_parentpageid@odata.bind'] = this._bindPath('pp_pages', updates.parentId);
+    }
 
-    return await this._fetch(`${this.baseURL}/pp_pages(${pageId})`, {
-      method: 'PATCH',
-      body: JSON.stringify(payload)
-    });
+    const result = await this._patchTracked('pp_pages', pageId, payload, options);
+
+    if (updates.parentId === null) {
+      await this._fetch(`${this._entityUrl('pp_pages', pageId)}/pp_parentpageid/$ref`, {
+        method: 'DELETE'
+      });
+      this.etags.delete(`pp_pages(${pageId})`);
+    }
+
+    return result;
+  }
+
+  // Moves are planned by planPageMove(); they are written in one changeset
+  // so a reorder never leaves siblings half renumbered.
+  async movePages(moves) {
+    await this._executeInChangesets(moves.map(move => ({ batch }) => {
+      const url = this._entityUrl('pp_pages', move.pageId);
+      const payload = { pp_sortorder: move.sortOrder };
+
+      if (move.parentId) {
+        payload['pp_parentpageid@odata.bind'] = this._bindPath('pp_pages', move.parentId);
+      }
+      batch.patch(url, payload);
+
+      if (!move.parentId && move.previousParentId) {
+        batch.delete(`${url}/pp_parentpageid/$ref`);
+      }
+    }));
+
+    moves.forEach(move => this.etags.delete(`pp_pages(${move.pageId})`));
+
+    return { success: true, movedCount: moves.length };
   }
 
   async deletePage(pageId) {
-    return await this._fetch(`${this.baseURL}/pp_pages(${pageId})`, {
+    return await this._fetch(this._entityUrl('pp_pages', pageId), {
       method: 'DELETE'
     });
   }
 
-  async getPageVersions(pageId, options = {}) {
-    const query = this._buildQuery({
-      filter: `_pp_page_value eq ${pageId} and statecode eq 0`,
-      orderby: options.orderby || 'pp_createdon desc',
-      ...options
+  async trashPage(pageId, options = {}) {
+    return await this._patchTracked('pp_pages', pageId, {
+      ...RECORD_STATE.INACTIVE,
+      pp_deletedon: new Date().toISOString(),
+      pp_deletedby: options.user || null
+    });
+  }
+
+  async restorePage(pageId) {
+    return await this._patchTracked('pp_pages', pageId, {
+      ...RECORD_STATE.ACTIVE,
+      pp_deletedon: null,
+      pp_deletedby: null
     });
+  }
+
+  async getTrashedPages(options = {}) {
+    const query = this.query()
+      .eq('statecode', RECORD_STATE.INACTIVE.statecode)
+      .orderby('pp_deletedon desc');
+
+    this._applyQueryOptions(query, options);
+
+    return await this._fetchAll(`${this.baseURL}/pp_pages${query}`, 'pp_pages', options);
+  }
+
+  _pageVersionsQuery(pageId, options = {}) {
+    const query = this.query()
+      .eqGuid('_pp_page_value', pageId)
+      .eq('statecode', 0)
+      .orderby('pp_createdon desc');
+
+    if (options.state !== undefined) {
+      query.eq('pp_state', options.state);
+    }
+    if (options.states) {
+      query.in('pp_state', options.states);
+    }
+
+    return this._applyQueryOptions(query, options);
+  }
+
+  async getPageVersions(pageId, options = {}) {
+    const query = this._pageVersionsQuery(pageId, options);
+    return await this._fetchAll(`${this.baseURL}/pp_versions${query}`, 'pp_versions', options);
+  }
+
+  iteratePageVersions(pageId, options = {}) {
+    const query = this._pageVersionsQuery(pageId, options);
+    return this._iterateRecords(`${this.baseURL}/pp_versions${query}`, 'pp_versions', options);
+  }
 
-    const result = await this._fetch(`${this.baseURL}/pp_versions${query}`);
-    return result.value || [];
+  async getPageVersion(versionId) {
+    const result = await this._fetch(this._entityUrl('pp_versions', versionId));
+    this._trackETags('pp_versions', [result]);
+    return result;
   }
 
   async getActivePageVersion(pageId) {
     const versions = await this.getPageVersions(pageId, {
-      orderby: 'pp_state desc, pp_createdon desc',
+      states: WORKING_STATES,
+      orderby: 'pp_createdon desc',
       top: 1
     });
 
-    return versions.length > 0 ? versions[0] : null;
+    return versions.length > 0 ? versions[0] : await this.getPublishedPageVersion(pageId);
   }
 
   async getDraftPageVersion(pageId) {
     const versions = await this.getPageVersions(pageId, {
-      filter: `_pp_page_value eq ${pageId} and pp_state eq 125600000 and statecode eq 0`,
+      state: VERSION_STATE.DRAFT,
       orderby: 'pp_createdon desc',
       top: 1
     });
@@ -179,7 +624,7 @@ export class PPBuilderAPIClient {
 
   async getPublishedPageVersion(pageId) {
     const versions = await this.getPageVersions(pageId, {
-      filter: `_pp_page_value eq ${pageId} and pp_state eq 125600001 and statecode eq 0`,
+      state: VERSION_STATE.PUBLISHED,
       orderby: 'pp_createdon desc',
       top: 1
     });
@@ -187,11 +632,32 @@ export class PPBuilderAPIClient {
     return versions.length > 0 ? versions[0] : null;
   }
 
+  async getScheduledVersions() {
+    const query = this.query()
+      .eq('statecode', 0)
+      .ne('pp_state', VERSION_STATE.ARCHIVED)
+      .contains('pp_settings', '"schedule"')
+      .orderby('pp_createdon desc');
+
+    return await this._fetchAll(`${this.baseURL}/pp_versions${query}`, 'pp_versions');
+  }
+
+  // Every version that is not archived, with just enough columns to tell
+  // whether its page is published or scheduled.
+  async getCurrentVersions() {
+    const query = this.query()
+      .select('pp_versionid', '_pp_page_value', 'pp_state', 'pp_settings')
+      .eq('statecode', 0)
+      .ne('pp_state', VERSION_STATE.ARCHIVED);
+
+    return await this._fetchAll(`${this.baseURL}/pp_versions${query}`, 'pp_versions');
+  }
+
   async createPageVersion(versionData) {
     const payload = {
-      'pp_Page@odata.bind': `/pp_pages(${versionData.pageId})`,
+      'pp_Page@odata.bind': this._bindPath('pp_pages', versionData.pageId),
       pp_label: versionData.name,
-      pp_state: versionData.state || 125600000
+      pp_state: versionData.state || VERSION_STATE.DRAFT
     };
 
     if (versionData.settings) {
@@ -204,7 +670,7 @@ export class PPBuilderAPIClient {
     });
   }
 
-  async updatePageVersion(versionId, updates) {
+  async updatePageVersion(versionId, updates, options = {}) {
     const payload = {};
     if (updates.name) payload.pp_label = updates.name;
     if (updates.state !== undefined) {
@@ -212,36 +678,51 @@ export class PPBuilderAPIClient {
     }
     if (updates.settings) payload.pp_settings = JSON.stringify(updates.settings);
 
-    return await this._fetch(`${this.baseURL}/pp_versions(${versionId})`, {
-      method: 'PATCH',
-      body: JSON.stringify(payload)
-    });
+    return await this._patchTracked('pp_versions', versionId, payload, options);
   }
 
   async deletePageVersion(versionId) {
-    return await this._fetch(`${this.baseURL}/pp_versions(${versionId})`, {
+    return await this._fetch(this._entityUrl('pp_versions', versionId), {
       method: 'DELETE'
     });
   }
 
+  _blocksQuery(versionId, options = {}) {
+    const query = this.query()
+      .eqGuid('_pp_versionid_value', versionId)
+      .eq('statecode', 0)
+      .orderby('pp_order');
+
+    return this._applyQueryOptions(query, options);
+  }
+
   async getBlocks(versionId, options = {}) {
-    const query = this._buildQuery({
-      filter: `_pp_versionid_value eq ${versionId} and statecode eq 0`,
-      orderby: options.orderby || 'pp_order',
-      ...options
-    });
+    const query = this._blocksQuery(versionId, options);
+    return await this._fetchAll(`${this.baseURL}/pp_blocks${query}`, 'pp_blocks', options);
+  }
 
-    const result = await this._fetch(`${this.baseURL}/pp_blocks${query}`);
-    return result.value || [];
+  iterateBlocks(versionId, options = {}) {
+    const query = this._blocksQuery(versionId, options);
+    return this._iterateRecords(`${this.baseURL}/pp_blocks${query}`, 'pp_blocks', options);
   }
 
   async getBlock(blockId) {
-    return await this._fetch(`${this.baseURL}/pp_blocks(${blockId})`);
+    const result = await this._fetch(this._entityUrl('pp_blocks', blockId));
+    this._trackETags('pp_blocks', [result]);
+    return result;
   }
 
   async createBlock(blockData) {
+    return await this._fetch(`${this.baseURL}/pp_blocks`, {
+      method: 'POST',
+      idempotent: Boolean(blockData.id),
+      body: JSON.stringify(this._blockPayload(blockData))
+    });
+  }
+
+  _blockPayload(blockData) {
     const payload = {
-      'pp_versionid@odata.bind': `/pp_versions(${blockData.pageversionId})`,
+      'pp_versionid@odata.bind': this._bindPath('pp_versions', blockData.pageversionId),
       pp_title: blockData.name,
       pp_type: blockData.templateName,
       pp_blocktype: blockData.blockType,
@@ -249,35 +730,66 @@ export class PPBuilderAPIClient {
       pp_data: blockData.settings ? JSON.stringify(blockData.settings) : '{}'
     };
 
+    if (blockData.id) {
+      payload.pp_blockid = blockData.id;
+    }
+
     if (blockData.parentBlockId) {
-      payload['pp_parentblockid@odata.bind'] = `/pp_blocks(${blockData.parentBlockId})`;
+      payload['pp_parentblockid@odata.bind'] = this._bindPath('pp_blocks', blockData.parentBlockId);
     }
 
     if (blockData.zone) {
       payload.pp_zone = blockData.zone;
     }
 
-    return await this._fetch(`${this.baseURL}/pp_blocks`, {
-      method: 'POST',
-      body: JSON.stringify(payload)
-    });
+    return payload;
+  }
+
+  async updateBlock(blockId, updates, options = {}) {
+    const result = await this._patchTracked('pp_blocks', blockId, this._blockUpdatePayload(updates), options);
+
+    if (updates.parentBlockId === null) {
+      await this._fetch(`${this._entityUrl('pp_blocks', blockId)}/pp_parentblockid/$ref`, {
+        method: 'DELETE'
+      });
+      this.etags.delete(`pp_blocks(${blockId})`);
+    }
+
+    return result;
+  }
+
+  // Applies `[{ id, updates }]` in one changeset, so either every block is
+  // updated or none is.
+  async updateBlocks(changes) {
+    await this._executeInChangesets(changes.map(({ id, updates }) => ({ batch }) => {
+      const url = this._entityUrl('pp_blocks', id);
+      const etag = this.getETag('pp_blocks', id);
+
+      batch.patch(url, this._blockUpdatePayload(updates), etag ? { 'If-Match': etag } : {});
+      if (updates.parentBlockId === null) {
+        batch.delete(`${url}/pp_parentblockid/$ref`);
+      }
+    }));
+
+    changes.forEach(({ id }) => this.etags.delete(`pp_blocks(${id})`));
+
+    return { success: true, updatedCount: changes.length };
   }
 
-  async updateBlock(blockId, updates) {
+  _blockUpdatePayload(updates) {
     const payload = {};
     if (updates.name) payload.pp_title = updates.name;
     if (updates.sortOrder !== undefined) payload.pp_order = updates.sortOrder;
     if (updates.settings) payload.pp_data = JSON.stringify(updates.settings);
     if (updates.zone !== undefined) payload.pp_zone = updates.zone;
-
-    return await this._fetch(`${this.baseURL}/pp_blocks(${blockId})`, {
-      method: 'PATCH',
-      body: JSON.stringify(payload)
-    });
+    if (updates.parentBlockId) {
+      payload['pp_parentblockid@odata.bind'] = this._bindPath('pp_blocks', updates.parentBlockId);
+    }
+    return payload;
   }
 
   async deleteBlock(blockId) {
-    return await this._fetch(`${this.baseURL}/pp_blocks(${blockId})`, {
+    return await this._fetch(this._entityUrl('pp_blocks', blockId), {
       method: 'DELETE'
     });
   }
@@ -306,6 +818,7 @@ export class PPBuilderAPIClient {
     }
 
     const blocks = await this.getBlocks(version.pp_versionid);
+    this.rememberLoadedBlocks(version.pp_versionid, blocks);
 
     const parsedVersion = {
       ...version,
@@ -324,88 +837,324 @@ export class PPBuilderAPIClient {
     };
   }
 
-  async saveDraft(versionId, blocks) {
-    await this.deleteAllBlocks(versionId);
+  rememberLoadedBlocks(versionId, blocks) {
+    this.loadedBlockETags.set(
+      versionId,
+      new Map(blocks.map(block => [block.pp_blockid, block['@odata.etag'] || null]))
+    );
+  }
+
+  async saveDraft(versionId, blocks, options = {}) {
+    const pipeline = new PPBuilderSavePipeline(this, versionId);
+    const result = await pipeline.run(blocks, options);
 
-    const createdBlocks = [];
-    for (const block of blocks) {
-      const created = await this.createBlock({
-        ...block,
-        pageversionId: versionId
-      });
-      createdBlocks.push(created);
-    }
+    this.rememberLoadedBlocks(versionId, await this.getBlocks(versionId));
 
-    return {
-      success: true,
-      versionId,
-      blocksCreated: createdBlocks.length
-    };
+    return result;
+  }
+
+  _diffBlocks(storedBlocks, blocks) {
+    return diffBlocks(storedBlocks, blocks);
+  }
+
+  _getParentBlockId(record) {
+    return getParentBlockId(record);
   }
 
   async publishPage(pageId, draftVersionId) {
-    const draftVersion = await this._fetch(`${this.baseURL}/pp_versions(${draftVersionId})`);
+    const draftVersion = await this.getPageVersion(draftVersionId);
+
+    if (draftVersion._pp_page_value && draftVersion._pp_page_value !== pageId) {
+      throw new PPBuilderValidationError(`Version ${draftVersionId} does not belong to page ${pageId}`);
+    }
+    if (draftVersion.pp_state !== VERSION_STATE.APPROVED) {
+      throw new PPBuilderWorkflowError('This version has to be approved before it can be published', {
+        code: 'NotApproved'
+      });
+    }
+
+    const previousVersions = await this.getPageVersions(pageId, { state: VERSION_STATE.PUBLISHED });
     const draftBlocks = await this.getBlocks(draftVersionId);
 
-    await this.updatePageVersion(draftVersionId, {
-      state: 125600001
-    });
+    const stateStep = (version, state, checkETag = true) => ({ batch }) => {
+      const headers = checkETag && version['@odata.etag'] ? { 'If-Match': version['@odata.etag'] } : {};
+      batch.patch(this._entityUrl('pp_versions', version.pp_versionid), { pp_state: state }, headers);
+    };
+
+    // Archiving and promoting share one changeset, so the page never ends
+    // up with zero or two published versions.
+    try {
+      await this._executeInChangesets([
+        ...previousVersions.map(version => stateStep(version, VERSION_STATE.ARCHIVED)),
+        stateStep(draftVersion, VERSION_STATE.PUBLISHED)
+      ]);
+    } catch (error) {
+      throw new PPBuilderPublishError(`Publish rolled back: ${error.message}`, {
+        cause: error,
+        rolledBack: true
+      });
+    }
+
+    let clone;
+    try {
+      clone = await this.cloneVersion(draftVersionId, pageId, {
+        name: nextDraftLabel(draftVersion.pp_label)
+      });
+    } catch (error) {
+      try {
+        await this._executeInChangesets([
+          ...previousVersions.map(version => stateStep(version, VERSION_STATE.PUBLISHED, false)),
+          stateStep(draftVersion, draftVersion.pp_state, false)
+        ]);
+      } catch (rollbackError) {
+        console.error('Publish rollback failed:', rollbackError);
+        throw new PPBuilderPublishError(`Page was published but no new draft could be created: ${error.message}`, {
+          cause: error,
+          rolledBack: false,
+          rollbackError
+        });
+      }
+
+      throw new PPBuilderPublishError(`Publish rolled back: ${error.message}`, {
+        cause: error,
+        rolledBack: true
+      });
+    }
 
     return {
       success: true,
       versionId: draftVersionId,
+      archivedVersionIds: previousVersions.map(version => version.pp_versionid),
+      newDraftVersionId: clone.newVersionId,
       blocksCount: draftBlocks.length
     };
   }
 
-  async cloneVersion(sourceVersionId, pageId) {
-    const sourceVersion = await this._fetch(`${this.baseURL}/pp_versions(${sourceVersionId})`);
+  async cloneVersion(sourceVersionId, pageId = null, options = {}) {
+    const sourceVersion = await this.getPageVersion(sourceVersionId);
     const sourceBlocks = await this.getBlocks(sourceVersionId);
-
-    const newVersion = await this.createPageVersion({
-      pageId,
-      name: `${sourceVersion.pp_label} - Copy`,
-      state: 125600000,
-      settings: sourceVersion.pp_settings ? JSON.parse(sourceVersion.pp_settings) : {}
-    });
-
-    const blockIdMap = {};
-
-    for (const sourceBlock of sourceBlocks.filter(b => !b.pp_parentblockid)) {
-      const newBlock = await this.createBlock({
-        pageversionId: newVersion.pp_VersionId,
+    const targetPageId = pageId || sourceVersion._pp_page_value;
+    const newVersionId = generateGuid();
+
+    // A schedule belongs to the source version, never to its copies.
+    const { schedule, clonedFrom, ...settings } = sourceVersion.pp_settings ? JSON.parse(sourceVersion.pp_settings) : {};
+
+    // Block IDs are assigned up front so the copy can record which source
+    // block each of its blocks came from; version diffs match on this. The
+    // steps track and bind by these IDs, so a parent written in an earlier
+    // changeset is bound by its ID instead of a Content-ID reference.
+    const ordered = sortBlocksTopologically(sourceBlocks);
+    const idMap = Object.fromEntries(ordered.map(({ block }) => [block.pp_blockid, generateGuid()]));
+
+    const cloneBlockStep = ({ block: sourceBlock, orphaned }) => ({ batch, bind, track }) => {
+      const payload = this._blockPayload({
+        id: idMap[sourceBlock.pp_blockid],
+        pageversionId: newVersionId,
         name: sourceBlock.pp_title,
         templateName: sourceBlock.pp_type,
         blockType: sourceBlock.pp_blocktype,
-        sortOrder: sourceBlock.pp_order,
-        zone: sourceBlock.pp_region,
+        sortOrder: sourceBlock.pp_order ?? 0,
+        zone: sourceBlock.pp_zone || null,
         settings: sourceBlock.pp_data ? JSON.parse(sourceBlock.pp_data) : {}
       });
 
-      blockIdMap[sourceBlock.pp_BlockId] = newBlock.pp_BlockId;
-    }
+      payload['pp_versionid@odata.bind'] = bind(newVersionId, 'pp_versions');
 
-    for (const sourceBlock of sourceBlocks.filter(b => b.pp_parentblockid)) {
-      const newBlock = await this.createBlock({
-        pageversionId: newVersion.pp_VersionId,
-        parentBlockId: blockIdMap[sourceBlock.pp_parentblockid],
-        name: sourceBlock.pp_title,
-        templateName: sourceBlock.pp_type,
-        blockType: sourceBlock.pp_blocktype,
-        sortOrder: sourceBlock.pp_order,
-        zone: sourceBlock.pp_region,
-        settings: sourceBlock.pp_data ? JSON.parse(sourceBlock.pp_data) : {}
-      });
+      const parentBlockId = this._getParentBlockId(sourceBlock);
+      if (parentBlockId && !orphaned) {
+        payload['pp_parentblockid@odata.bind'] = bind(idMap[parentBlockId], 'pp_blocks');
+      }
 
-      blockIdMap[sourceBlock.pp_BlockId] = newBlock.pp_BlockId;
+      track(idMap[sourceBlock.pp_blockid], batch.post(`${this.baseURL}/pp_blocks`, payload));
+    };
+
+    const steps = [
+      ({ batch, track }) => {
+        track(newVersionId, batch.post(`${this.baseURL}/pp_versions`, {
+          pp_versionid: newVersionId,
+          'pp_Page@odata.bind': this._bindPath('pp_pages', targetPageId),
+          pp_label: options.name || `${sourceVersion.pp_label} - Copy`,
+          pp_state: VERSION_STATE.DRAFT,
+          pp_settings: JSON.stringify({
+            ...settings,
+            clonedFrom: { versionId: sourceVersionId, blockIds: idMap }
+          })
+        }));
+      },
+      ...ordered.map(cloneBlockStep)
+    ];
+
+    let committed = false;
+
+    try {
+      await this._executeInChangesets(steps, {
+        split: true,
+        onCommit: () => {
+          committed = true;
+        }
+      });
+    } catch (error) {
+      if (committed) {
+        await this._discardVersion(newVersionId);
+      }
+      throw error;
     }
 
     return {
       success: true,
-      newVersionId: newVersion.pp_VersionId,
+      newVersionId,
+      pageId: targetPageId,
+      idMap,
       blocksCloned: sourceBlocks.length
     };
   }
+
+  // Pass `split: true` only to remove what is left of a failed write, where
+  // a partial delete is better than none.
+  async deleteVersionCascade(versionId, options = {}) {
+    const blocks = await this.getBlocks(versionId);
+    const { deletes } = this._diffBlocks(blocks, []);
+
+    await this._executeInChangesets([
+      ...deletes.map(block => ({ batch }) => batch.delete(this._entityUrl('pp_blocks', block.pp_blockid))),
+      ({ batch }) => batch.delete(this._entityUrl('pp_versions', versionId))
+    ], { split: options.split });
+
+    this.loadedBlockETags.delete(versionId);
+
+    return { success: true, versionId, blocksDeleted: deletes.length };
+  }
+
+  async _discardVersion(versionId) {
+    try {
+      await this.deleteVersionCascade(versionId, { split: true });
+    } catch (error) {
+      console.error('Failed to remove partially cloned version:', versionId, error);
+    }
+  }
+
+  // Like deleteVersionCascade(), `split: true` allows a partial delete. The
+  // page record goes last, so a page that was not fully deleted can be
+  // deleted again.
+  async deletePageCascade(pageId, options = {}) {
+    const versions = await this.getPageVersions(pageId);
+    const steps = [];
+    let blocksDeleted = 0;
+
+    for (const version of versions) {
+      const blocks = await this.getBlocks(version.pp_versionid);
+      const { deletes } = this._diffBlocks(blocks, []);
+      blocksDeleted += deletes.length;
+
+      deletes.forEach(block => {
+        steps.push(({ batch }) => batch.delete(this._entityUrl('pp_blocks', block.pp_blockid)));
+      });
+      steps.push(({ batch }) => batch.delete(this._entityUrl('pp_versions', version.pp_versionid)));
+    }
+
+    steps.push(({ batch }) => batch.delete(this._entityUrl('pp_pages', pageId)));
+
+    await this._executeInChangesets(steps, { split: options.split });
+
+    return {
+      success: true,
+      pageId,
+      versionsDeleted: versions.length,
+      blocksDeleted
+    };
+  }
+
+  _redirectsQuery(options = {}) {
+    const query = this.query()
+      .eq('statecode', 0)
+      .orderby('pp_fromslug');
+
+    if (options.fromSlug) query.eq('pp_fromslug', options.fromSlug);
+    if (options.toSlug) query.eq('pp_toslug', options.toSlug);
+    if (options.pageId) query.eq('pp_pageref', options.pageId);
+
+    return this._applyQueryOptions(query, options);
+  }
+
+  async getRedirects(options = {}) {
+    return await this._fetchAll(`${this.baseURL}/pp_redirects${this._redirectsQuery(options)}`, 'pp_redirects', options);
+  }
+
+  async createRedirect(redirectData) {
+    return await this._fetch(`${this.baseURL}/pp_redirects`, {
+      method: 'POST',
+      headers: { 'Prefer': 'return=representation' },
+      body: JSON.stringify({
+        pp_fromslug: redirectData.fromSlug,
+        pp_toslug: redirectData.toSlug,
+        pp_statuscode: redirectData.statusCode || 301,
+        pp_pageref: redirectData.pageId || null
+      })
+    });
+  }
+
+  async updateRedirect(redirectId, updates) {
+    const payload = {};
+    if (updates.toSlug) payload.pp_toslug = updates.toSlug;
+    if (updates.statusCode) payload.pp_statuscode = updates.statusCode;
+
+    return await this._patchTracked('pp_redirects', redirectId, payload);
+  }
+
+  async deleteRedirect(redirectId) {
+    return await this._fetch(this._entityUrl('pp_redirects', redirectId), {
+      method: 'DELETE'
+    });
+  }
+
+  // Audit entries reference pages and versions by ID in plain text columns
+  // rather than lookups, so they outlive the records they describe.
+  _auditPayload(entry) {
+    return {
+      pp_action: entry.action,
+      pp_user: entry.user || null,
+      pp_occurredon: entry.timestamp || new Date().toISOString(),
+      pp_pageref: entry.pageId || null,
+      pp_pagetitle: entry.pageTitle || null,
+      pp_versionref: entry.versionId || null,
+      pp_versionlabel: entry.versionLabel || null,
+      pp_summary: entry.summary || '',
+      pp_details: JSON.stringify(entry.details || {})
+    };
+  }
+
+  async createAuditEntries(entries) {
+    if (entries.length === 0) {
+      return { success: true, entriesCreated: 0 };
+    }
+
+    // Log entries stand on their own, so a large set may be split.
+    await this._executeInChangesets(entries.map(entry => ({ batch }) => {
+      batch.post(`${this.baseURL}/pp_auditlogs`, this._auditPayload(entry));
+    }), { split: true });
+
+    return { success: true, entriesCreated: entries.length };
+  }
+
+  async getAuditEntries(pageId, options = {}) {
+    const query = this.query()
+      .eq('pp_pageref', pageId)
+      .orderby('pp_occurredon desc');
+
+    if (options.actions) {
+      query.in('pp_action', options.actions);
+    }
+    if (options.from) {
+      query.ge('pp_occurredon', new Date(options.from));
+    }
+    if (options.to) {
+      query.le('pp_occurredon', new Date(options.to));
+    }
+
+    this._applyQueryOptions(query, options);
+
+    return await this._fetchAll(`${this.baseURL}/pp_auditlogs${query}`, 'pp_auditlogs', options);
+  }
 }
 
 export const apiClient = new PPBuilderAPIClient();
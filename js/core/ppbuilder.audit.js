@@ -0,0 +1,170 @@
+import { apiClient } from './ppbuilder.apiclient.js';
+import { config as defaultConfig } from './ppbuilder.config.js';
+
+export const AUDIT_ACTIONS = {
+  PAGE_CREATE: 'page.create',
+  PAGE_UPDATE: 'page.update',
+  PAGE_DELETE: 'page.delete',
+  PAGE_RESTORE: 'page.restore',
+  PAGE_PURGE: 'page.purge',
+  SAVE: 'version.save',
+  PUBLISH: 'version.publish',
+  UNPUBLISH: 'version.unpublish',
+  RESTORE: 'version.restore',
+  SUBMIT: 'version.submit',
+  APPROVE: 'version.approve',
+  REJECT: 'version.reject',
+  REOPEN: 'version.reopen',
+  BLOCK_ADD: 'block.add',
+  BLOCK_REMOVE: 'block.remove'
+};
+
+export const AUDIT_ACTION_LABELS = {
+  [AUDIT_ACTIONS.PAGE_CREATE]: 'Page created',
+  [AUDIT_ACTIONS.PAGE_UPDATE]: 'Settings changed',
+  [AUDIT_ACTIONS.PAGE_DELETE]: 'Moved to trash',
+  [AUDIT_ACTIONS.PAGE_RESTORE]: 'Restored from trash',
+  [AUDIT_ACTIONS.PAGE_PURGE]: 'Purged',
+  [AUDIT_ACTIONS.SAVE]: 'Saved',
+  [AUDIT_ACTIONS.PUBLISH]: 'Published',
+  [AUDIT_ACTIONS.UNPUBLISH]: 'Unpublished',
+  [AUDIT_ACTIONS.RESTORE]: 'Version restored',
+  [AUDIT_ACTIONS.SUBMIT]: 'Submitted for review',
+  [AUDIT_ACTIONS.APPROVE]: 'Approved',
+  [AUDIT_ACTIONS.REJECT]: 'Changes requested',
+  [AUDIT_ACTIONS.REOPEN]: 'Reopened',
+  [AUDIT_ACTIONS.BLOCK_ADD]: 'Block added',
+  [AUDIT_ACTIONS.BLOCK_REMOVE]: 'Block removed'
+};
+
+const CSV_COLUMNS = [
+  { header: 'Timestamp', value: entry => entry.timestamp },
+  { header: 'User', value: entry => entry.user },
+  { header: 'Action', value: entry => AUDIT_ACTION_LABELS[entry.action] || entry.action },
+  { header: 'Page', value: entry => entry.pageTitle },
+  { header: 'Version', value: entry => entry.versionLabel },
+  { header: 'Summary', value: entry => entry.summary }
+];
+
+/**
+ * Records who did what to a page and when.
+ *
+ * Entries go through the storage layer (`pp_auditlogs` in Dataverse) and
+ * are written best-effort: a failing audit write is logged but never fails
+ * the edit it describes.
+ */
+export class PPBuilderAuditLog {
+  constructor(options = {}) {
+    this.client = options.client || apiClient;
+    this.config = options.config || defaultConfig;
+    this.now = options.now || (() => new Date());
+  }
+
+  get userName() {
+    return this.config.get('user.name') || this.config.get('user.email') || 'Unknown user';
+  }
+
+  createEntry(action, context = {}) {
+    return {
+      action,
+      user: this.userName,
+      timestamp: this.now().toISOString(),
+      pageId: context.page?.pp_pageid || context.pageId || null,
+      pageTitle: context.page?.pp_title || context.pageTitle || null,
+      versionId: context.version?.pp_versionid || context.versionId || null,
+      versionLabel: context.version?.pp_label || context.versionLabel || null,
+      summary: context.summary || AUDIT_ACTION_LABELS[action] || action,
+      details: context.details || {}
+    };
+  }
+
+  async record(action, context = {}) {
+    return await this.write([this.createEntry(action, context)]);
+  }
+
+  // One save entry plus an entry per added or removed block, so the
+  // timeline can be filtered down to block changes.
+  async recordSave(context, result) {
+    const { added = [], removed = [], updated = [] } = result.changes || {};
+    if (added.length + removed.length + updated.length === 0) {
+      return false;
+    }
+
+    const entries = [
+      this.createEntry(AUDIT_ACTIONS.SAVE, {
+        ...context,
+        summary: `${added.length} added, ${updated.length} updated, ${removed.length} removed`,
+        details: { added: added.length, updated: updated.length, removed: removed.length }
+      }),
+      ...added.map(block => this.createEntry(AUDIT_ACTIONS.BLOCK_ADD, {
+        ...context,
+        summary: `Added ${block.name}`,
+        details: block
+      })),
+      ...removed.map(block => this.createEntry(AUDIT_ACTIONS.BLOCK_REMOVE, {
+        ...context,
+        summary: `Removed ${block.name}`,
+        details: block
+      }))
+    ];
+
+    return await this.write(entries);
+  }
+
+  async write(entries) {
+    try {
+      await this.client.createAuditEntries(entries);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to write audit log:', error);
+      return false;
+    }
+  }
+
+  async getEntries(pageId, options = {}) {
+    const records = await this.client.getAuditEntries(pageId, options);
+
+    return records.map(record => ({
+      id: record.pp_auditlogid,
+      action: record.pp_action,
+      user: record.pp_user,
+      timestamp: record.pp_occurredon,
+      pageId: record.pp_pageref,
+      pageTitle: record.pp_pagetitle,
+      versionId: record.pp_versionref,
+      versionLabel: record.pp_versionlabel,
+      summary: record.pp_summary,
+      details: record.pp_details ? JSON.parse(record.pp_details) : {}
+    }));
+  }
+}
+
+export function filterAuditEntries(entries, filter = {}) {
+  const search = filter.search?.trim().toLowerCase();
+  const from = filter.from ? new Date(filter.from).toISOString() : null;
+  const to = filter.to ? new Date(filter.to).toISOString() : null;
+
+  return entries.filter(entry =>
+    (!filter.actions?.length || filter.actions.includes(entry.action)) &&
+    (!filter.user || entry.user === filter.user) &&
+    (!from || entry.timestamp >= from) &&
+    (!to || entry.timestamp <= to) &&
+    (!search || [entry.summary, entry.versionLabel, entry.user].some(value => value?.toLowerCase().includes(search)))
+  );
+}
+
+export function auditEntriesToCSV(entries) {
+  const cell = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    // Keep spreadsheet apps from evaluating user-entered text as a formula
+    if (/^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    CSV_COLUMNS.map(column => column.header).join(','),
+    ...entries.map(entry => CSV_COLUMNS.map(column => cell(column.value(entry))).join(','))
+  ].join('\r\n');
+}
@@ -0,0 +1,232 @@
+import { createAPIError } from './ppbuilder.errors.js';
+
+const CRLF = '\r\n';
+
+export class PPBuilderBatch {
+  constructor(client) {
+    this.client = client;
+    this.boundary = `batch_${this._randomId()}`;
+    this.parts = [];
+    this.changeset = null;
+    this.nextContentId = 1;
+    this.size = 0;
+  }
+
+  beginChangeset() {
+    this.changeset = {
+      boundary: `changeset_${this._randomId()}`,
+      operations: []
+    };
+    this.parts.push(this.changeset);
+    return this;
+  }
+
+  endChangeset() {
+    this.changeset = null;
+    return this;
+  }
+
+  get(url, headers = {}) {
+    if (this.changeset) {
+      throw new Error('GET requests are not allowed inside a changeset');
+    }
+    return this._addOperation('GET', url, null, headers);
+  }
+
+  post(url, body, headers = {}) {
+    return this._addOperation('POST', url, body, headers);
+  }
+
+  patch(url, body, headers = {}) {
+    return this._addOperation('PATCH', url, body, headers);
+  }
+
+  delete(url, headers = {}) {
+    return this._addOperation('DELETE', url, null, headers);
+  }
+
+  ref(contentId) {
+    return `$${contentId}`;
+  }
+
+  _addOperation(method, url, body, headers) {
+    const operation = {
+      method,
+      url,
+      body,
+      headers,
+      contentId: this.changeset ? this.nextContentId++ : null
+    };
+
+    if (this.changeset) {
+      this.changeset.operations.push(operation);
+    } else {
+      this.parts.push(operation);
+    }
+
+    this.size++;
+    return operation.contentId;
+  }
+
+  async execute() {
+    if (this.size === 0) {
+      return [];
+    }
+
+    const response = await this.client._request(`${this.client.baseURL}/$batch`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': `multipart/mixed;boundary=${this.boundary}`,
+        'Accept': 'application/json'
+      },
+      body: this._buildBody()
+    });
+
+    const text = await response.text();
+    const responses = this._parseMultipart(text, this._getBoundary(response.headers.get('Content-Type')));
+
+    const failed = responses.find(part => !part.ok);
+    if (failed) {
+      const error = createAPIError(failed.status, failed.body || {}, {
+        retryAfter: failed.headers['retry-after']
+      });
+      error.message = `Batch request failed: ${error.message}`;
+      error.responses = responses;
+      throw error;
+    }
+
+    return responses;
+  }
+
+  _buildBody() {
+    const lines = [];
+
+    this.parts.forEach(part => {
+      lines.push(`--${this.boundary}`);
+
+      if (part.operations) {
+        lines.push(`Content-Type: multipart/mixed;boundary=${part.boundary}`, '');
+        part.operations.forEach(operation => {
+          lines.push(`--${part.boundary}`);
+          lines.push(...this._buildOperation(operation));
+        });
+        lines.push(`--${part.boundary}--`, '');
+      } else {
+        lines.push(...this._buildOperation(part));
+      }
+    });
+
+    lines.push(`--${this.boundary}--`, '');
+    return lines.join(CRLF);
+  }
+
+  _buildOperation(operation) {
+    const lines = [
+      'Content-Type: application/http',
+      'Content-Transfer-Encoding: binary'
+    ];
+
+    if (operation.contentId !== null) {
+      lines.push(`Content-ID: ${operation.contentId}`);
+    }
+
+    lines.push('', `${operation.method} ${operation.url} HTTP/1.1`);
+
+    const headers = { ...operation.headers };
+    if (operation.body !== null) {
+      headers['Content-Type'] = 'application/json;type=entry';
+    } else {
+      headers['Accept'] = headers['Accept'] || 'application/json';
+    }
+
+    Object.entries(headers).forEach(([name, value]) => {
+      lines.push(`${name}: ${value}`);
+    });
+
+    lines.push('');
+    if (operation.body !== null) {
+      lines.push(JSON.stringify(operation.body));
+    }
+    lines.push('');
+
+    return lines;
+  }
+
+  _getBoundary(contentType) {
+    const match = /boundary=("?)([^";]+)\1/i.exec(contentType || '');
+    return match ? match[2] : null;
+  }
+
+  _parseMultipart(text, boundary) {
+    if (!boundary) {
+      return [];
+    }
+
+    const results = [];
+    const sections = text.split(`--${boundary}`).slice(1);
+
+    for (const section of sections) {
+      if (section.startsWith('--')) break;
+
+      const { headers, body } = this._splitHeaders(section.replace(/^\r?\n/, ''));
+      const contentType = headers['content-type'] || '';
+
+      if (contentType.startsWith('multipart/mixed')) {
+        results.push(...this._parseMultipart(body, this._getBoundary(contentType)));
+      } else {
+        results.push(this._parseHttpResponse(body, headers['content-id']));
+      }
+    }
+
+    return results;
+  }
+
+  _parseHttpResponse(text, contentId) {
+    const statusEnd = text.search(/\r?\n/);
+    const statusLine = statusEnd === -1 ? text : text.slice(0, statusEnd);
+    const status = parseInt(statusLine.split(' ')[1], 10);
+    const { headers, body } = this._splitHeaders(statusEnd === -1 ? '' : text.slice(statusEnd).replace(/^\r?\n/, ''));
+
+    let parsedBody = null;
+    const trimmed = body.trim();
+    if (trimmed) {
+      try {
+        parsedBody = JSON.parse(trimmed);
+      } catch (e) {
+        parsedBody = trimmed;
+      }
+    }
+
+    const entityUrl = headers['odata-entityid'] || headers['location'] || '';
+    const entityMatch = /\(([^()]+)\)\s*$/.exec(entityUrl);
+
+    return {
+      contentId: contentId !== undefined ? parseInt(contentId, 10) : null,
+      status,
+      ok: status >= 200 && status < 300,
+      headers,
+      body: parsedBody,
+      entityId: entityMatch ? entityMatch[1] : null
+    };
+  }
+
+  _splitHeaders(text) {
+    const match = /\r?\n\r?\n/.exec(text);
+    const headerText = match ? text.slice(0, match.index) : text;
+    const body = match ? text.slice(match.index + match[0].length) : '';
+    const headers = {};
+
+    headerText.split(/\r?\n/).forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+      }
+    });
+
+    return { headers, body };
+  }
+
+  _randomId() {
+    return Math.random().toString(36).slice(2, 10) + Date.now().toString(36);
+  }
+}
@@ -0,0 +1,144 @@
+export function diffBlocks(storedBlocks, blocks) {
+  const storedMap = new Map(storedBlocks.map(block => [block.pp_blockid, block]));
+  const keepIds = new Set();
+  const creates = [];
+  const updates = [];
+  let unchanged = 0;
+
+  for (const block of blocks) {
+    const stored = block.id ? storedMap.get(block.id) : null;
+
+    if (!stored) {
+      creates.push(block);
+      continue;
+    }
+
+    keepIds.add(block.id);
+
+    const changed = {};
+    const parentBlockId = block.parentBlockId || null;
+
+    if ((stored.pp_order ?? 0) !== (block.sortOrder || 0)) {
+      changed.sortOrder = block.sortOrder || 0;
+    }
+    if (getParentBlockId(stored) !== parentBlockId) {
+      changed.parentBlockId = parentBlockId;
+    }
+    if (normalizeData(stored.pp_data) !== normalizeData(block.settings || {})) {
+      changed.settings = block.settings || {};
+    }
+    if (block.name && stored.pp_title !== block.name) {
+      changed.name = block.name;
+    }
+    if ((stored.pp_zone || null) !== (block.zone || null)) {
+      changed.zone = block.zone || null;
+    }
+
+    if (Object.keys(changed).length > 0) {
+      updates.push({ id: block.id, updates: changed });
+    } else {
+      unchanged++;
+    }
+  }
+
+  const depthOf = (block) => {
+    let depth = 0;
+    let parentId = getParentBlockId(block);
+    while (parentId && storedMap.has(parentId) && depth < storedMap.size) {
+      depth++;
+      parentId = getParentBlockId(storedMap.get(parentId));
+    }
+    return depth;
+  };
+
+  const deletes = storedBlocks
+    .filter(block => !keepIds.has(block.pp_blockid))
+    .sort((a, b) => depthOf(b) - depthOf(a));
+
+  return { creates, updates, deletes, unchanged };
+}
+
+export function getParentBlockId(record) {
+  return record._pp_parentblockid_value || record.pp_parentblockid || null;
+}
+
+export function normalizeData(data) {
+  let value = data;
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value || '{}');
+    } catch (e) {
+      return value;
+    }
+  }
+
+  const sortKeys = (item) => {
+    if (Array.isArray(item)) return item.map(sortKeys);
+    if (item && typeof item === 'object') {
+      return Object.keys(item).sort().reduce((sorted, key) => {
+        sorted[key] = sortKeys(item[key]);
+        return sorted;
+      }, {});
+    }
+    return item;
+  };
+
+  return JSON.stringify(sortKeys(value || {}));
+}
+
+// Orders blocks so every parent precedes its children, siblings by pp_order.
+// Blocks whose parent is missing from the set (or that sit in a cycle) are
+// returned as roots with `orphaned: true` so callers can detach them.
+export function sortBlocksTopologically(blocks) {
+  const byId = new Map(blocks.map(block => [block.pp_blockid, block]));
+  const children = new Map();
+  const roots = [];
+
+  blocks.forEach(block => {
+    const parentId = getParentBlockId(block);
+    if (parentId && byId.has(parentId) && parentId !== block.pp_blockid) {
+      if (!children.has(parentId)) children.set(parentId, []);
+      children.get(parentId).push(block);
+    } else {
+      roots.push({ block, orphaned: Boolean(parentId) });
+    }
+  });
+
+  const byOrder = (a, b) => (a.pp_order ?? 0) - (b.pp_order ?? 0);
+  const sorted = [];
+  const visited = new Set();
+
+  const visit = (block, orphaned) => {
+    if (visited.has(block.pp_blockid)) return;
+    visited.add(block.pp_blockid);
+    sorted.push({ block, orphaned });
+    (children.get(block.pp_blockid) || []).sort(byOrder).forEach(child => visit(child, false));
+  };
+
+  roots.sort((a, b) => byOrder(a.block, b.block)).forEach(({ block, orphaned }) => visit(block, orphaned));
+
+  blocks
+    .filter(block => !visited.has(block.pp_blockid))
+    .sort(byOrder)
+    .forEach(block => visit(block, true));
+
+  return sorted;
+}
+
+// Names the blocks a save adds and removes so callers can report them
+// without re-reading the version.
+export function summarizeChanges(changes) {
+  return {
+    added: changes.creates.map(block => ({
+      id: block.id || null,
+      name: block.name || block.templateName || 'Block',
+      templateName: block.templateName || null
+    })),
+    removed: changes.deletes.map(block => ({
+      id: block.pp_blockid,
+      name: block.pp_title || block.pp_type || 'Block',
+      templateName: block.pp_type || null
+    })),
+    updated: changes.updates.map(({ id, updates }) => ({ id, keys: Object.keys(updates) }))
+  };
+}
@@ -0,0 +1,107 @@
+/**
+ * Settings schemas for block types.
+ *
+ * Each block file declares a schema per block type next to its traits, in a
+ * small JSON Schema subset:
+ *
+ *   {
+ *     type: 'object',
+ *     properties: { padding: { type: 'string', enum: ['none', 'small'] } },
+ *     required: ['href'],
+ *     allowedChildren: ['pp_content_*']   // omitted: any child block
+ *   }
+ *
+ * Properties support `type` (a name or a list of names), `enum`, `pattern`,
+ * `minimum`, `maximum` and `maxLength`. Settings that are not described are
+ * allowed, and keys starting with `_` are the serializer's own.
+ */
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value)
+};
+
+export function validateSetting(value, schema) {
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => TYPE_CHECKS[type]?.(value))) {
+    return `must be of type ${types.join(' or ')}`;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `must be one of ${schema.enum.join(', ')}`;
+  }
+  if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+    return `has an invalid format`;
+  }
+  if (schema.maxLength !== undefined && typeof value === 'string' && value.length > schema.maxLength) {
+    return `must be at most ${schema.maxLength} characters`;
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    return `must be at least ${schema.minimum}`;
+  }
+  if (schema.maximum !== undefined && typeof value === 'number' && value > schema.maximum) {
+    return `must be at most ${schema.maximum}`;
+  }
+  return null;
+}
+
+// Returns `[{ field, message }]` for the settings of one block.
+export function validateSettings(settings = {}, schema = {}) {
+  const errors = [];
+
+  (schema.required || []).forEach(field => {
+    if (settings[field] === undefined || settings[field] === null || settings[field] === '') {
+      errors.push({ field, message: `${field} is required` });
+    }
+  });
+
+  Object.entries(settings).forEach(([field, value]) => {
+    const property = schema.properties?.[field];
+    if (!property || field.startsWith('_') || value === undefined || value === null || value === '') {
+      return;
+    }
+
+    const error = validateSetting(value, property);
+    if (error) {
+      errors.push({ field, message: `${field} ${error}` });
+    }
+  });
+
+  return errors;
+}
+
+// Patterns are block types, optionally ending in * to match a prefix.
+export function allowsChild(schema, templateName) {
+  if (!schema?.allowedChildren) return true;
+
+  return schema.allowedChildren.some(pattern => pattern.endsWith('*')
+    ? templateName.startsWith(pattern.slice(0, -1))
+    : templateName === pattern);
+}
+
+export class PPBuilderBlockSchemas {
+  constructor() {
+    this.schemas = new Map();
+  }
+
+  register(templateName, schema) {
+    this.schemas.set(templateName, schema);
+  }
+
+  registerAll(schemas) {
+    Object.entries(schemas).forEach(([templateName, schema]) => this.register(templateName, schema));
+  }
+
+  get(templateName) {
+    return this.schemas.get(templateName) || null;
+  }
+
+  has(templateName) {
+    return this.schemas.has(templateName);
+  }
+}
+
+export const blockSchemas = new PPBuilderBlockSchemas();
@@ -0,0 +1,172 @@
+import { apiClient } from './ppbuilder.apiclient.js';
+import { serializer } from './ppbuilder.serializer.js';
+import { getParentBlockId } from './ppbuilder.blockdiff.js';
+import { generateGuid } from './ppbuilder.query.js';
+import { PPBuilderSlugService } from './ppbuilder.slugs.js';
+import { getPageSettings } from './ppbuilder.pagemeta.js';
+import { PPBuilderValidationError } from './ppbuilder.errors.js';
+
+export const BUNDLE_FORMAT = 'pp-builder-page';
+export const BUNDLE_VERSION = 1;
+
+/**
+ * Pages as portable JSON bundles, for moving them between portals.
+ *
+ *   {
+ *     format: 'pp-builder-page', formatVersion: 1, exportedAt,
+ *     page: { title, slug, metaDescription, settings },
+ *     version: { label, settings },
+ *     templates: ['pp_layout_section_01', ...],
+ *     blocks: [...]   // serializer.buildBlockTree() of the version's blocks
+ *   }
+ *
+ * Block IDs in a bundle are only used to keep its tree together; an import
+ * always gives the blocks new IDs.
+ */
+export class PPBuilderBundles {
+  constructor(options = {}) {
+    this.client = options.client || apiClient;
+    this.slugs = options.slugs || new PPBuilderSlugService({ client: this.client });
+    this.now = options.now || (() => new Date());
+  }
+
+  async exportPage(pageId, options = {}) {
+    const page = await this.client.getPage(pageId);
+    const version = options.versionId
+      ? await this.client.getPageVersion(options.versionId)
+      : await this.client.getActivePageVersion(pageId);
+
+    if (!version) {
+      throw new PPBuilderValidationError(`Page "${page.pp_title}" has no version to export`);
+    }
+
+    // Schedules and clone history only mean something in the source portal.
+    const { schedule, clonedFrom, ...settings } = version.pp_settings ? JSON.parse(version.pp_settings) : {};
+
+    const blocks = (await this.client.getBlocks(version.pp_versionid)).map(block => ({
+      id: block.pp_blockid,
+      parentBlockId: getParentBlockId(block),
+      name: block.pp_title,
+      templateName: block.pp_type,
+      blockType: block.pp_blocktype,
+      sortOrder: block.pp_order ?? 0,
+      zone: block.pp_zone || null,
+      settings: block.pp_data ? JSON.parse(block.pp_data) : {}
+    }));
+
+    return {
+      format: BUNDLE_FORMAT,
+      formatVersion: BUNDLE_VERSION,
+      exportedAt: this.now().toISOString(),
+      page: {
+        title: page.pp_title,
+        slug: page.pp_slug,
+        metaDescription: page.pp_metadescription || '',
+        settings: getPageSettings(page)
+      },
+      version: {
+        label: version.pp_label,
+        settings
+      },
+      templates: [...new Set(blocks.map(block => block.templateName))].sort(),
+      blocks: serializer.buildBlockTree([...blocks].sort((a, b) => a.sortOrder - b.sortOrder))
+    };
+  }
+
+  validateBundle(bundle) {
+    if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+      throw new PPBuilderValidationError('This file is not a PP Builder page bundle');
+    }
+    if (!Number.isInteger(bundle.formatVersion) || bundle.formatVersion > BUNDLE_VERSION) {
+      throw new PPBuilderValidationError(`Bundle format version ${bundle.formatVersion} is not supported; this editor reads up to version ${BUNDLE_VERSION}`);
+    }
+    if (!bundle.page?.title || !Array.isArray(bundle.blocks)) {
+      throw new PPBuilderValidationError('The bundle has no page title or no blocks');
+    }
+    return bundle;
+  }
+
+  /**
+   * Template types used in the bundle that `isRegistered(templateName)`
+   * does not know, as `[{ templateName, count }]`.
+   */
+  findUnknownTemplates(bundle, isRegistered) {
+    const counts = new Map();
+
+    serializer.flattenBlockTree(bundle.blocks).forEach(block => {
+      if (!isRegistered(block.templateName)) {
+        counts.set(block.templateName, (counts.get(block.templateName) || 0) + 1);
+      }
+    });
+
+    return [...counts].map(([templateName, count]) => ({ templateName, count }));
+  }
+
+  /**
+   * Creates a new page with one draft version from a bundle. `slug` and
+   * `title` override the bundle's. Unknown templates are refused unless
+   * `allowUnknownTemplates` is set, in which case `isRegistered` is still
+   * used to report them. Returns `{ page, version, idMap, blocksCount,
+   * unknownTemplates }`; idMap maps bundle block IDs to the new ones.
+   */
+  async importBundle(bundle, options = {}) {
+    this.validateBundle(bundle);
+
+    const unknownTemplates = options.isRegistered
+      ? this.findUnknownTemplates(bundle, options.isRegistered)
+      : [];
+    if (unknownTemplates.length > 0 && !options.allowUnknownTemplates) {
+      throw new PPBuilderValidationError(
+        `The bundle uses block types this portal does not have: ${unknownTemplates.map(entry => entry.templateName).join(', ')}`
+      );
+    }
+
+    const slug = options.slug || bundle.page.slug;
+    await this.slugs.assertAvailable(slug);
+
+    const flat = serializer.flattenBlockTree(bundle.blocks);
+    const idMap = Object.fromEntries(flat.map(block => [block.id, generateGuid()]));
+
+    const page = await this.client.createPage({
+      title: options.title || bundle.page.title,
+      slug,
+      metaDescription: bundle.page.metaDescription || '',
+      settings: bundle.page.settings,
+      parentId: options.parentId || null,
+      sortOrder: options.sortOrder
+    });
+
+    try {
+      const version = await this.client.createPageVersion({
+        pageId: page.pp_pageid,
+        name: 'v1.0 - Draft',
+        versionNumber: 1,
+        status: 1,
+        settings: bundle.version?.settings || {}
+      });
+
+      const blocks = flat.map(block => ({
+        id: idMap[block.id],
+        pageversionId: version.pp_versionid,
+        parentBlockId: block.parentBlockId ? idMap[block.parentBlockId] : null,
+        name: block.name,
+        templateName: block.templateName,
+        blockType: block.blockType,
+        sortOrder: block.sortOrder,
+        zone: block.zone || null,
+        settings: block.settings || {},
+        isActive: true
+      }));
+
+      await this.client.saveDraft(version.pp_versionid, blocks);
+      await this.slugs.claimPath(slug);
+
+      return { page, version, idMap, blocksCount: blocks.length, unknownTemplates };
+    } catch (error) {
+      await this.client.deletePageCascade(page.pp_pageid).catch(cleanupError => {
+        console.error('Failed to remove the partly imported page:', cleanupError);
+      });
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,203 @@
+/**
+ * Tailwind classes derived from block settings.
+ *
+ * This is the one mapping from trait values to classes: the components'
+ * updateClasses() in the editor, the serializer for blocks stored without
+ * component JSON and the static renderer all call getBlockClasses(). Block
+ * types without an entry in BLOCK_CLASSES use the generic mapping of
+ * getSettingsClasses(). Neither includes settings.customClass; callers add
+ * it where they need it.
+ */
+
+export const PADDING_CLASSES = {
+  'none': 'tw-p-0',
+  'small': 'tw-p-4',
+  'medium': 'tw-p-8',
+  'large': 'tw-p-16',
+  'xlarge': 'tw-p-24'
+};
+
+export const MARGIN_CLASSES = {
+  'none': 'tw-m-0',
+  'small': 'tw-m-4',
+  'medium': 'tw-m-8',
+  'large': 'tw-m-16'
+};
+
+export const CONTAINER_WIDTH_CLASSES = {
+  'container': ['tw-container', 'tw-mx-auto', 'tw-px-4'],
+  'narrow': ['tw-max-w-4xl', 'tw-mx-auto', 'tw-px-4'],
+  'wide': ['tw-max-w-7xl', 'tw-mx-auto', 'tw-px-4'],
+  'full': ['tw-w-full']
+};
+
+export const BUTTON_STYLE_CLASSES = {
+  'primary': ['tw-bg-blue-600', 'tw-text-white', 'hover:tw-bg-blue-700'],
+  'secondary': ['tw-bg-gray-600', 'tw-text-white', 'hover:tw-bg-gray-700'],
+  'outline': ['tw-border-2', 'tw-border-blue-600', 'tw-text-blue-600', 'hover:tw-bg-blue-50'],
+  'ghost': ['tw-text-blue-600', 'hover:tw-bg-blue-50']
+};
+
+export const BUTTON_SIZE_CLASSES = {
+  'sm': ['tw-px-4', 'tw-py-2', 'tw-text-sm'],
+  'md': ['tw-px-6', 'tw-py-3', 'tw-text-base'],
+  'lg': ['tw-px-8', 'tw-py-4', 'tw-text-lg']
+};
+
+export const CALLOUT_TYPE_CLASSES = {
+  'info': ['tw-bg-blue-50', 'tw-border-blue-500'],
+  'success': ['tw-bg-green-50', 'tw-border-green-500'],
+  'warning': ['tw-bg-yellow-50', 'tw-border-yellow-500'],
+  'error': ['tw-bg-red-50', 'tw-border-red-500']
+};
+
+function backgroundClass(settings) {
+  if (settings.backgroundColor === 'transparent') return 'tw-bg-transparent';
+  if (settings.backgroundColor === 'primary') return 'tw-bg-primary';
+  return `tw-bg-${settings.backgroundColor}-${settings.backgroundShade || '600'}`;
+}
+
+// Trait values arrive as strings from the editor and as booleans from API
+// callers.
+function isOn(value) {
+  return value === true || value === 'true';
+}
+
+export const BLOCK_CLASSES = {
+  pp_layout_section_01: (settings) => {
+    const classes = ['tw-w-full'];
+
+    if (settings.backgroundColor && settings.backgroundColor !== 'transparent') {
+      classes.push(backgroundClass(settings));
+    }
+    if (settings.padding) {
+      classes.push(PADDING_CLASSES[settings.padding]);
+    }
+    if (settings.containerWidth && settings.containerWidth !== 'full') {
+      classes.push(...CONTAINER_WIDTH_CLASSES[settings.containerWidth] || []);
+    }
+
+    return classes;
+  },
+
+  pp_layout_container_01: (settings) => {
+    const classes = [];
+
+    if (settings.maxWidth && settings.maxWidth !== 'full') {
+      classes.push(`tw-max-w-${settings.maxWidth}`, 'tw-mx-auto');
+    } else {
+      classes.push('tw-w-full');
+    }
+    if (isOn(settings.centerContent)) {
+      classes.push('tw-flex', 'tw-flex-col', 'tw-items-center', 'tw-justify-center');
+    }
+    classes.push('tw-px-4');
+
+    return classes;
+  },
+
+  pp_layout_grid_01: (settings) => {
+    const columns = settings.columns || '3';
+
+    return [
+      'tw-grid',
+      ...(isOn(settings.responsive) ? ['tw-grid-cols-1', `md:tw-grid-cols-${columns}`] : [`tw-grid-cols-${columns}`]),
+      `tw-gap-${settings.gap || '4'}`
+    ];
+  },
+
+  pp_layout_column_01: (settings) => {
+    const classes = [`tw-col-span-${settings.span || '1'}`];
+
+    if (settings.align) {
+      classes.push(`tw-self-${settings.align}`);
+    }
+
+    return classes;
+  },
+
+  pp_content_heading_01: (settings) => {
+    const classes = [`tw-text-${settings.fontSize || '2xl'}`, 'tw-font-bold'];
+
+    if (settings.align) {
+      classes.push(`tw-text-${settings.align}`);
+    }
+    if (settings.color) {
+      classes.push(`tw-text-${settings.color}-900`);
+    }
+
+    return classes;
+  },
+
+  pp_content_text_01: (settings) => {
+    const classes = [`tw-text-${settings.fontSize || 'base'}`];
+
+    if (settings.align) {
+      classes.push(`tw-text-${settings.align}`);
+    }
+    classes.push(settings.color ? `tw-text-${settings.color}-700` : 'tw-text-gray-700');
+
+    return classes;
+  },
+
+  pp_content_button_01: (settings) => [
+    'tw-inline-block',
+    ...BUTTON_STYLE_CLASSES[settings.buttonStyle || 'primary'] || [],
+    ...BUTTON_SIZE_CLASSES[settings.buttonSize || 'md'] || [],
+    'tw-rounded'
+  ],
+
+  pp_content_callout_01: (settings) => [
+    'tw-p-6',
+    'tw-border-l-4',
+    'tw-rounded-r',
+    ...CALLOUT_TYPE_CLASSES[settings.calloutType || 'info'] || []
+  ]
+};
+
+// The mapping for block types that do not declare their own.
+export function getSettingsClasses(settings = {}) {
+  const classes = [];
+
+  if (settings.backgroundColor) {
+    classes.push(backgroundClass(settings));
+  }
+
+  if (settings.color) {
+    classes.push(settings.color === 'white' ? 'tw-text-white' : `tw-text-${settings.color}-${settings.colorShade || '900'}`);
+  }
+
+  if (settings.padding) {
+    classes.push(PADDING_CLASSES[settings.padding]);
+  }
+
+  if (settings.margin) {
+    classes.push(MARGIN_CLASSES[settings.margin]);
+  }
+
+  if (settings.align) {
+    classes.push(`tw-text-${settings.align}`);
+  }
+
+  if (settings.fontSize) {
+    classes.push(`tw-text-${settings.fontSize}`);
+  }
+
+  if (settings.fontWeight) {
+    classes.push(`tw-font-${settings.fontWeight}`);
+  }
+
+  if (settings.containerWidth) {
+    classes.push(...CONTAINER_WIDTH_CLASSES[settings.containerWidth] || []);
+  }
+
+  return classes;
+}
+
+export function getBlockClasses(templateName, settings = {}) {
+  const classes = BLOCK_CLASSES[templateName]
+    ? BLOCK_CLASSES[templateName](settings)
+    : getSettingsClasses(settings);
+
+  return classes.filter(Boolean);
+}
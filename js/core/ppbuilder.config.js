@@ -0,0 +1,59 @@
+const DEFAULTS = {
+  storage: {
+    type: 'odata'
+  },
+  // Authors only, until the host page grants more; see "Review workflow" in
+  // the README
+  user: {
+    name: null,
+    roles: ['author']
+  },
+  trash: {
+    retentionDays: 30
+  },
+  workflow: {
+    requireApproval: true,
+    roles: {
+      author: ['edit', 'submit'],
+      reviewer: ['edit', 'submit', 'approve', 'reject'],
+      publisher: ['edit', 'submit', 'approve', 'reject', 'publish', 'schedule']
+    }
+  }
+};
+
+export class PPBuilderConfig {
+  constructor(defaults = DEFAULTS) {
+    this.defaults = defaults;
+    this.overrides = {};
+  }
+
+  get values() {
+    const runtime = typeof window !== 'undefined' ? window.PPBuilderConfig || {} : {};
+    return this._merge(this._merge(this.defaults, runtime), this.overrides);
+  }
+
+  get(path, fallback = undefined) {
+    const value = path.split('.').reduce((current, key) => current?.[key], this.values);
+    return value === undefined ? fallback : value;
+  }
+
+  set(values) {
+    this.overrides = this._merge(this.overrides, values);
+  }
+
+  _merge(target, source) {
+    const result = { ...target };
+
+    Object.entries(source || {}).forEach(([key, value]) => {
+      if (value && typeof value === 'object' && !Array.isArray(value) && typeof result[key] === 'object') {
+        result[key] = this._merge(result[key], value);
+      } else {
+        result[key] = value;
+      }
+    });
+
+    return result;
+  }
+}
+
+export const config = new PPBuilderConfig();
@@ -0,0 +1,43 @@
+export const VERSION_STATE = {
+  DRAFT: 125600000,
+  PUBLISHED: 125600001,
+  ARCHIVED: 125600002,
+  IN_REVIEW: 125600003,
+  APPROVED: 125600004,
+  REJECTED: 125600005
+};
+
+export const VERSION_STATE_LABELS = {
+  [VERSION_STATE.DRAFT]: 'Draft',
+  [VERSION_STATE.PUBLISHED]: 'Published',
+  [VERSION_STATE.ARCHIVED]: 'Archived',
+  [VERSION_STATE.IN_REVIEW]: 'In review',
+  [VERSION_STATE.APPROVED]: 'Approved',
+  [VERSION_STATE.REJECTED]: 'Rejected'
+};
+
+// States of a version that is still being worked on, i.e. not yet live.
+export const WORKING_STATES = [
+  VERSION_STATE.DRAFT,
+  VERSION_STATE.IN_REVIEW,
+  VERSION_STATE.APPROVED,
+  VERSION_STATE.REJECTED
+];
+
+export const PAGE_STATUS = {
+  ACTIVE: 125600000
+};
+
+// Dataverse statecode/statuscode pairs; inactive pages are in the trash.
+export const RECORD_STATE = {
+  ACTIVE: { statecode: 0, statuscode: 1 },
+  INACTIVE: { statecode: 1, statuscode: 2 }
+};
+
+export function nextDraftLabel(label = '') {
+  const match = /^v(\d+)\.(\d+)/i.exec(label);
+  if (match) {
+    return `v${match[1]}.${parseInt(match[2], 10) + 1} - Draft`;
+  }
+  return `${label.replace(/ - (Draft|Copy)$/i, '') || 'Version'} - Draft`;
+}
@@ -0,0 +1,139 @@
+export class PPBuilderError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'PPBuilderError';
+    this.cause = options.cause;
+  }
+}
+
+export class PPBuilderSaveError extends PPBuilderError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'PPBuilderSaveError';
+    this.rolledBack = options.rolledBack || false;
+    this.rollbackError = options.rollbackError || null;
+    this.operationsApplied = options.operationsApplied || 0;
+  }
+}
+
+export class PPBuilderPublishError extends PPBuilderError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'PPBuilderPublishError';
+    this.rolledBack = options.rolledBack || false;
+    this.rollbackError = options.rollbackError || null;
+  }
+}
+
+export class PPBuilderWorkflowError extends PPBuilderError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'PPBuilderWorkflowError';
+    this.code = options.code || null;
+  }
+}
+
+export class PPBuilderTrashError extends PPBuilderError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'PPBuilderTrashError';
+    this.code = options.code || null;
+  }
+}
+
+export class PPBuilderAPIError extends PPBuilderError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'PPBuilderAPIError';
+    this.status = options.status ?? null;
+    this.code = options.code ?? null;
+    this.details = options.details ?? null;
+  }
+
+  get retryable() {
+    return [408, 429, 500, 502, 503, 504].includes(this.status);
+  }
+}
+
+export class PPBuilderNetworkError extends PPBuilderAPIError {
+  constructor(message, options = {}) {
+    super(message, { status: 0, ...options });
+    this.name = 'PPBuilderNetworkError';
+    this.timedOut = options.code === 'Timeout';
+    this.aborted = options.code === 'Aborted';
+  }
+
+  get retryable() {
+    return !this.aborted;
+  }
+}
+
+export class PPBuilderAuthError extends PPBuilderAPIError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'PPBuilderAuthError';
+  }
+}
+
+export class PPBuilderThrottledError extends PPBuilderAPIError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'PPBuilderThrottledError';
+    this.retryAfter = options.retryAfter ?? null;
+  }
+}
+
+export class PPBuilderValidationError extends PPBuilderAPIError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'PPBuilderValidationError';
+  }
+}
+
+export class PPBuilderConflictError extends PPBuilderAPIError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'PPBuilderConflictError';
+  }
+}
+
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export function createAPIError(status, body = {}, options = {}) {
+  const odataError = body?.error || {};
+  const message = odataError.message || `HTTP ${status}${options.statusText ? `: ${options.statusText}` : ''}`;
+  const errorOptions = {
+    status,
+    code: odataError.code || null,
+    details: odataError,
+    cause: options.cause
+  };
+
+  if (status === 401 || status === 403) {
+    return new PPBuilderAuthError(message, errorOptions);
+  }
+  if (status === 429) {
+    return new PPBuilderThrottledError(message, {
+      ...errorOptions,
+      retryAfter: parseRetryAfter(options.retryAfter)
+    });
+  }
+  if (status === 409 || status === 412) {
+    return new PPBuilderConflictError(message, errorOptions);
+  }
+  if (status === 400 || status === 422) {
+    return new PPBuilderValidationError(message, errorOptions);
+  }
+
+  return new PPBuilderAPIError(message, errorOptions);
+}
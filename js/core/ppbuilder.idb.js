@@ -0,0 +1,61 @@
+export class PPBuilderIDBStore {
+  constructor(databaseName, storeName = 'records') {
+    this.databaseName = databaseName;
+    this.storeName = storeName;
+    this.db = null;
+  }
+
+  static isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  async open() {
+    if (this.db) {
+      return this.db;
+    }
+
+    this.db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.databaseName, 1);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(this.storeName)) {
+          request.result.createObjectStore(this.storeName);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    return this.db;
+  }
+
+  async get(key) {
+    return await this._run('readonly', store => store.get(key));
+  }
+
+  async getAll() {
+    return await this._run('readonly', store => store.getAll());
+  }
+
+  async getAllKeys() {
+    return await this._run('readonly', store => store.getAllKeys());
+  }
+
+  async put(key, value) {
+    return await this._run('readwrite', store => store.put(value, key));
+  }
+
+  async delete(key) {
+    return await this._run('readwrite', store => store.delete(key));
+  }
+
+  async _run(mode, operation) {
+    const db = await this.open();
+
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
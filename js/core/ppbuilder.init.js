@@ -1,8 +1,30 @@
 
 
-import { apiClient } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.apiclient.js';
+import { storage } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/storage/ppbuilder.storage.js';
+import { config } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.config.js';
 import { serializer } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.serializer.js';
 import { pageManager } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.pagemanager.js';
+import { offlineQueue } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.offlinequeue.js';
+import { scheduling } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.scheduling.js';
+import { versionHistory } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.versionhistory.js';
+import { versionCompare } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.versioncompare.js';
+import { review } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.review.js';
+import { activity } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.activity.js';
+import { recycleBin } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.recyclebin.js';
+import { pageSettings } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.pagesettings.js';
+import { bundleTransfer } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.bundles.js';
+import { AUDIT_ACTIONS } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.audit.js';
+import { VERSION_STATE_LABELS } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.constants.js';
+import { PPBuilderMigrationRunner } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.migrations.js';
+import {
+  PPBuilderSaveError,
+  PPBuilderPublishError,
+  PPBuilderNetworkError,
+  PPBuilderAuthError,
+  PPBuilderThrottledError,
+  PPBuilderValidationError,
+  PPBuilderConflictError
+} from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.errors.js';
 
 class PPBuilderApp {
   constructor() {
@@ -10,16 +32,39 @@ class PPBuilderApp {
     this.currentPage = null;
     this.currentVersion = null;
     this.isDirty = false;
+    this.conflictPending = false;
+    this.localSaveTimer = null;
+    this.highlightedBlocks = [];
   }
 
   async init() {
     console.log('🚀 PP Builder initializing...');
 
     try {
+      await storage.init(config.get('storage'));
+
       this.editor = await this.initGrapesJS();
 
       await pageManager.init(this.editor, this);
 
+      await offlineQueue.init(this);
+
+      await scheduling.init(this.editor, this);
+
+      await versionHistory.init(this.editor, this);
+
+      await versionCompare.init(this.editor, this);
+
+      await review.init(this.editor, this);
+
+      await activity.init(this.editor, this);
+
+      await recycleBin.init(this.editor, this);
+
+      await pageSettings.init(this.editor, this);
+
+      await bundleTransfer.init(this.editor, this);
+
       await pageManager.loadPagesList();
 
       this.setupEventListeners();
@@ -88,6 +133,78 @@ class PPBuilderApp {
       }
     });
 
+    editor.Commands.add('submit-review', {
+      run: (editor) => {
+        review.showSubmitDialog();
+      }
+    });
+
+    editor.Commands.add('review-version', {
+      run: (editor) => {
+        review.showReviewDialog();
+      }
+    });
+
+    editor.Commands.add('activity-log', {
+      run: async (editor) => {
+        await activity.show();
+      }
+    });
+
+    editor.Commands.add('page-settings', {
+      run: (editor) => {
+        pageSettings.show();
+      }
+    });
+
+    editor.Commands.add('trash', {
+      run: async (editor) => {
+        await recycleBin.show();
+      }
+    });
+
+    editor.Commands.add('schedule-version', {
+      run: (editor) => {
+        scheduling.showScheduleDialog();
+      }
+    });
+
+    editor.Commands.add('scheduled-changes', {
+      run: async (editor) => {
+        await scheduling.showUpcomingDialog();
+      }
+    });
+
+    editor.Commands.add('version-history', {
+      run: async (editor) => {
+        await versionHistory.show();
+      }
+    });
+
+    editor.Commands.add('compare-live', {
+      run: async (editor) => {
+        await versionCompare.compareWithLive();
+      }
+    });
+
+    editor.Commands.add('migrate-pages', {
+      run: async (editor) => {
+        await this.migrateAllPages();
+      }
+    });
+
+    editor.Commands.add('export-page', {
+      run: async (editor) => {
+        await bundleTransfer.exportCurrentPage();
+      }
+    });
+
+    editor.Commands.add('import-page', {
+      run: (editor) => {
+        bundleTransfer.showImportDialog();
+      }
+    });
+
     editor.Commands.add('preview', {
       run: (editor) => {
         this.openPreview();
@@ -130,6 +247,90 @@ class PPBuilderApp {
       className: 'fa fa-mobile',
       attributes: { title: 'Mobile' }
     });
+
+    panelManager.addButton('pp-toolbar', {
+      id: 'page-settings',
+      command: 'page-settings',
+      className: 'fa fa-cog',
+      attributes: { title: 'Page settings' }
+    });
+
+    panelManager.addButton('pp-toolbar', {
+      id: 'version-history',
+      command: 'version-history',
+      className: 'fa fa-history',
+      attributes: { title: 'Version history' }
+    });
+
+    panelManager.addButton('pp-toolbar', {
+      id: 'activity-log',
+      command: 'activity-log',
+      className: 'fa fa-list-alt',
+      attributes: { title: 'Page activity' }
+    });
+
+    panelManager.addButton('pp-toolbar', {
+      id: 'compare-live',
+      command: 'compare-live',
+      className: 'fa fa-columns',
+      attributes: { title: 'Compare with live version' }
+    });
+
+    panelManager.addButton('pp-toolbar', {
+      id: 'submit-review',
+      command: 'submit-review',
+      className: 'fa fa-paper-plane',
+      attributes: { title: 'Submit for review' }
+    });
+
+    panelManager.addButton('pp-toolbar', {
+      id: 'review-version',
+      command: 'review-version',
+      className: 'fa fa-check-square-o',
+      attributes: { title: 'Review version' }
+    });
+
+    panelManager.addButton('pp-toolbar', {
+      id: 'schedule-version',
+      command: 'schedule-version',
+      className: 'fa fa-clock-o',
+      attributes: { title: 'Schedule publishing' }
+    });
+
+    panelManager.addButton('pp-toolbar', {
+      id: 'scheduled-changes',
+      command: 'scheduled-changes',
+      className: 'fa fa-calendar',
+      attributes: { title: 'Upcoming scheduled changes' }
+    });
+
+    panelManager.addButton('pp-toolbar', {
+      id: 'trash',
+      command: 'trash',
+      className: 'fa fa-trash',
+      attributes: { title: 'Trash' }
+    });
+
+    panelManager.addButton('pp-toolbar', {
+      id: 'migrate-pages',
+      command: 'migrate-pages',
+      className: 'fa fa-database',
+      attributes: { title: 'Migrate all pages to the current block schemas' }
+    });
+
+    panelManager.addButton('pp-toolbar', {
+      id: 'export-page',
+      command: 'export-page',
+      className: 'fa fa-download',
+      attributes: { title: 'Export page as bundle' }
+    });
+
+    panelManager.addButton('pp-toolbar', {
+      id: 'import-page',
+      command: 'import-page',
+      className: 'fa fa-upload',
+      attributes: { title: 'Import page from bundle' }
+    });
   }
 
   setupEventListeners() {
@@ -137,6 +338,14 @@ class PPBuilderApp {
       this.saveDraft();
     });
 
+    document.getElementById('pp-btn-submit-review')?.addEventListener('click', () => {
+      review.showSubmitDialog();
+    });
+
+    document.getElementById('pp-btn-review')?.addEventListener('click', () => {
+      review.showReviewDialog();
+    });
+
     document.getElementById('pp-btn-publish')?.addEventListener('click', () => {
       this.publishPage();
     });
@@ -145,9 +354,40 @@ class PPBuilderApp {
       this.openPreview();
     });
 
+    document.getElementById('pp-btn-schedule')?.addEventListener('click', () => {
+      scheduling.showScheduleDialog();
+    });
+
+    document.getElementById('pp-btn-page-settings')?.addEventListener('click', () => {
+      pageSettings.show();
+    });
+
+    document.getElementById('pp-btn-history')?.addEventListener('click', () => {
+      versionHistory.show();
+    });
+
+    document.getElementById('pp-btn-activity')?.addEventListener('click', () => {
+      activity.show();
+    });
+
+    document.getElementById('pp-btn-trash')?.addEventListener('click', () => {
+      recycleBin.show();
+    });
+
+    document.getElementById('pp-btn-export')?.addEventListener('click', () => {
+      bundleTransfer.exportCurrentPage();
+    });
+
+    document.getElementById('pp-btn-import')?.addEventListener('click', () => {
+      bundleTransfer.showImportDialog();
+    });
+
     this.editor.on('component:add component:remove component:update', () => {
+      if (versionHistory.isPreviewing()) return;
+
       this.isDirty = true;
       this.updateStatus('Unsaved changes');
+      this.scheduleLocalSave();
     });
 
     window.addEventListener('beforeunload', (e) => {
@@ -161,18 +401,141 @@ class PPBuilderApp {
 
   setupAutoSave() {
     setInterval(async () => {
-      if (this.isDirty && this.currentVersion) {
+      if (this.isDirty && this.currentVersion && !this.conflictPending) {
         console.log('💾 Auto-saving...');
         await this.saveDraft(true);
       }
     }, 60000);
   }
 
+  scheduleLocalSave() {
+    clearTimeout(this.localSaveTimer);
+    this.localSaveTimer = setTimeout(() => this.saveLocalCopy(), 2000);
+  }
+
+  async saveLocalCopy(pending = false) {
+    if (!this.currentPage || !this.currentVersion || (!this.isDirty && !pending)) {
+      return null;
+    }
+
+    try {
+      return await offlineQueue.saveLocal({
+        page: this.currentPage,
+        version: this.currentVersion,
+        blocks: this.serializeBlocks(),
+        pending
+      });
+    } catch (error) {
+      console.warn('Failed to store local copy:', error);
+      return null;
+    }
+  }
+
+  serializeBlocks() {
+    const components = this.editor.DomComponents.getWrapper().get('components');
+
+    return serializer.grapesJSToDataverse(
+      components.models,
+      this.currentVersion.pp_versionid
+    );
+  }
+
+  // Outlines invalid components in the canvas and lists their problems in
+  // the element's tooltip. Only the canvas DOM is touched, so nothing of
+  // this ends up in the saved blocks.
+  highlightInvalidBlocks(errors) {
+    this.highlightedBlocks.forEach(({ el, outline, title }) => {
+      el.style.outline = outline;
+      el.title = title;
+    });
+    this.highlightedBlocks = [];
+
+    const byBlock = new Map();
+    errors.forEach(error => {
+      if (!byBlock.has(error.blockId)) byBlock.set(error.blockId, []);
+      byBlock.get(error.blockId).push(error.message);
+    });
+
+    let first = null;
+    byBlock.forEach((messages, blockId) => {
+      const component = this.editor.getWrapper().find(`[data-block-id="${blockId}"]`)[0];
+      const el = component?.getEl();
+      if (!el) return;
+
+      this.highlightedBlocks.push({ el, outline: el.style.outline, title: el.title });
+      el.style.outline = '2px solid #dc2626';
+      el.title = messages.join('\n');
+      first = first || component;
+    });
+
+    if (first) {
+      this.editor.select(first);
+    }
+  }
+
+  async offerRecovery(pageData) {
+    const local = await offlineQueue.getLocal(pageData.page.pp_pageid, pageData.version.pp_versionid);
+    if (!local) {
+      return;
+    }
+
+    if (!offlineQueue.isNewerThanServer(local, pageData.version, pageData.blocks)) {
+      if (!local.pending) {
+        await offlineQueue.clear(local.pageId, local.versionId);
+      }
+      return;
+    }
+
+    const dialog = pageManager.createDialog({
+      title: 'Recover unsaved changes?',
+      content: `
+        <p>This browser has unsaved changes to <strong>${pageManager.escapeHtml(local.title || local.slug)}</strong>
+        from ${pageManager.escapeHtml(new Date(local.savedAt).toLocaleString())}, newer than the saved draft.</p>
+        <p>Recover them to continue where you left off, or discard them and keep the saved draft.</p>
+      `,
+      buttons: [
+        {
+          text: 'Discard',
+          className: 'pp-btn-secondary',
+          onClick: async (dialog) => {
+            dialog.close();
+            await offlineQueue.clear(local.pageId, local.versionId);
+          }
+        },
+        {
+          text: 'Recover',
+          className: 'pp-btn-primary',
+          onClick: (dialog) => {
+            dialog.close();
+            this.recoverLocalCopy(local);
+          }
+        }
+      ]
+    });
+
+    dialog.show();
+  }
+
+  recoverLocalCopy(local) {
+    const components = serializer.dataverseToGrapesJS(offlineQueue.toRecords(local.blocks), this.editor);
+
+    this.editor.DomComponents.clear();
+    this.editor.DomComponents.addComponent(components);
+
+    this.isDirty = true;
+    this.updateStatus('Unsaved changes');
+    this.showSuccess('Unsaved changes recovered');
+
+    console.log('✅ Recovered local changes from', local.savedAt);
+  }
+
   async loadPage(pageSlug) {
     try {
       this.showLoading('Loading page...');
+      clearTimeout(this.localSaveTimer);
+      versionHistory.clearPreview();
 
-      const pageData = await apiClient.loadPageForEditing(pageSlug);
+      const pageData = await storage.loadPageForEditing(pageSlug);
 
       this.currentPage = pageData.page;
       this.currentVersion = pageData.version;
@@ -190,17 +553,29 @@ class PPBuilderApp {
       this.showSuccess(`Loaded: ${this.currentPage.pp_title}`);
 
       console.log('✅ Page loaded:', pageSlug);
+
+      await this.offerRecovery(pageData);
     } catch (error) {
       console.error('❌ Failed to load page:', error);
       this.hideLoading();
-      this.showError(`Failed to load page: ${error.message}`);
+      this.showError(`Failed to load page: ${this.describeError(error)}`);
     }
   }
 
-  async saveDraft(silent = false) {
+  async saveDraft(silent = false, options = {}) {
     if (!this.currentVersion) {
       this.showError('No page loaded');
-      return;
+      return false;
+    }
+
+    if (versionHistory.isPreviewing()) {
+      this.showError('Leave the version preview before saving');
+      return false;
+    }
+
+    if (!review.can('edit')) {
+      this.showError('You are not allowed to edit pages');
+      return false;
     }
 
     try {
@@ -208,21 +583,35 @@ class PPBuilderApp {
         this.showLoading('Saving draft...');
       }
 
-      const components = this.editor.DomComponents.getWrapper().get('components');
-
-      const blocks = serializer.grapesJSToDataverse(
-        components.models,
-        this.currentVersion.pp_versionid
-      );
+      const blocks = this.serializeBlocks();
 
       const validation = serializer.validateBlocks(blocks);
+      this.highlightInvalidBlocks(validation.errors);
       if (!validation.valid) {
-        throw new Error(`Invalid blocks: ${validation.errors.join(', ')}`);
+        if (!silent) {
+          this.hideLoading();
+        }
+        const count = new Set(validation.errors.map(error => error.blockId)).size;
+        this.updateStatus('Invalid blocks');
+        this.showError(`${count} block${count === 1 ? ' has' : 's have'} invalid settings and ${count === 1 ? 'is' : 'are'} outlined in red. ${serializer.formatValidationError(validation.errors[0])}`);
+        return false;
       }
 
-      await apiClient.saveDraft(this.currentVersion.pp_versionid, blocks);
+      const result = await storage.saveDraft(this.currentVersion.pp_versionid, blocks, {
+        overwrite: options.overwrite
+      });
 
       this.isDirty = false;
+      this.conflictPending = false;
+
+      clearTimeout(this.localSaveTimer);
+      await offlineQueue.clear(this.currentPage.pp_pageid, this.currentVersion.pp_versionid);
+
+      activity.recordSave(result);
+
+      if (result.blocksCreated + result.blocksUpdated + result.blocksDeleted > 0) {
+        await review.reopenIfReviewed();
+      }
 
       if (!silent) {
         this.hideLoading();
@@ -231,13 +620,39 @@ class PPBuilderApp {
 
       this.updateStatus('Draft saved');
 
-      console.log('✅ Draft saved:', blocks.length, 'blocks');
+      console.log(
+        '✅ Draft saved:',
+        `${result.blocksCreated} created, ${result.blocksUpdated} updated, ${result.blocksDeleted} deleted, ${result.blocksUnchanged} unchanged`
+      );
+
+      return true;
     } catch (error) {
       console.error('❌ Failed to save draft:', error);
       if (!silent) {
         this.hideLoading();
       }
-      this.showError(`Failed to save: ${error.message}`);
+
+      const conflict = [error, error.cause].find(e => e instanceof PPBuilderConflictError);
+      const offline = !navigator.onLine ||
+        [error, error.cause].some(e => e instanceof PPBuilderNetworkError && !e.aborted);
+
+      if (conflict) {
+        this.updateStatus('Save conflict');
+        this.showConflictDialog(conflict);
+      } else if (offline && await this.saveLocalCopy(true)) {
+        this.updateStatus('Saved offline');
+        this.showError('You appear to be offline. Your changes are stored in this browser and will be saved when the connection returns.');
+      } else if (error instanceof PPBuilderSaveError && error.rolledBack) {
+        this.updateStatus('Save rolled back');
+        this.showError('Save rolled back: the stored draft is unchanged. Your edits are still in the editor, please try again.');
+      } else if (error instanceof PPBuilderSaveError) {
+        this.updateStatus('Save incomplete');
+        this.showError(`Save failed and could not be rolled back. Reload the page before editing further. (${this.describeError(error.cause || error)})`);
+      } else {
+        this.showError(`Failed to save: ${this.describeError(error)}`);
+      }
+
+      return false;
     }
   }
 
@@ -247,6 +662,11 @@ class PPBuilderApp {
       return;
     }
 
+    if (!review.can('publish')) {
+      this.showError('You are not allowed to publish pages');
+      return;
+    }
+
     if (!confirm('Are you sure you want to publish this page? This will make it live on the website.')) {
       return;
     }
@@ -254,22 +674,145 @@ class PPBuilderApp {
     try {
       this.showLoading('Publishing page...');
 
-      await this.saveDraft(true);
+      const saved = await this.saveDraft(true);
+      if (!saved) {
+        this.hideLoading();
+        return;
+      }
 
-      await apiClient.publishPage(
+      const result = await review.workflow.publish(
         this.currentPage.pp_pageid,
         this.currentVersion.pp_versionid
       );
 
+      activity.record(AUDIT_ACTIONS.PUBLISH, {
+        summary: `Published "${this.currentVersion.pp_label}"`,
+        details: {
+          archivedVersionIds: result.archivedVersionIds,
+          newDraftVersionId: result.newDraftVersionId
+        }
+      });
+
       this.hideLoading();
+
+      await this.loadPage(this.currentPage.pp_slug);
+      pageManager.refreshStatuses();
+
       this.showSuccess('Page published successfully! 🚀');
       this.updateStatus('Published');
 
-      console.log('✅ Page published');
+      console.log('✅ Page published, new draft:', result.newDraftVersionId);
     } catch (error) {
       console.error('❌ Failed to publish:', error);
       this.hideLoading();
-      this.showError(`Failed to publish: ${error.message}`);
+
+      if (error instanceof PPBuilderPublishError && error.rolledBack) {
+        this.showError(`Publish rolled back: the live page is unchanged. (${this.describeError(error.cause || error)})`);
+      } else if (error instanceof PPBuilderPublishError) {
+        this.showError(`Publish did not complete cleanly. Reload the page to check its versions. (${this.describeError(error.cause || error)})`);
+      } else {
+        this.showError(`Failed to publish: ${this.describeError(error)}`);
+      }
+    }
+  }
+
+  showConflictDialog(conflict) {
+    this.conflictPending = true;
+
+    const remoteChanges = conflict.details?.remoteChanges || [];
+    const changeList = remoteChanges.length > 0
+      ? remoteChanges.map(change => `
+          <li class="pp-conflict-change pp-conflict-${change.change}">
+            <strong>${change.change}</strong>
+            ${pageManager.escapeHtml(change.name || change.id)}
+          </li>
+        `).join('')
+      : '<li>The stored version differs from the one you loaded.</li>';
+
+    const dialog = pageManager.createDialog({
+      title: 'Page changed by someone else',
+      content: `
+        <p>Another editor saved changes to this page after you opened it.</p>
+        <p>Reload to get their version (your unsaved edits are lost), or overwrite their changes with yours. Compare shows how the stored blocks differ from yours.</p>
+        <ul class="pp-conflict-changes">
+          ${changeList}
+        </ul>
+      `,
+      buttons: [
+        {
+          text: 'Compare',
+          className: 'pp-btn-secondary',
+          onClick: () => versionCompare.compareWithStored()
+        },
+        {
+          text: 'Reload',
+          className: 'pp-btn-secondary',
+          onClick: (dialog) => {
+            dialog.close();
+            this.conflictPending = false;
+            this.loadPage(this.currentPage.pp_slug);
+          }
+        },
+        {
+          text: 'Overwrite',
+          className: 'pp-btn-primary',
+          onClick: (dialog) => {
+            dialog.close();
+            this.saveDraft(false, { overwrite: true });
+          }
+        }
+      ]
+    });
+
+    dialog.show();
+  }
+
+  // Rewrites the stored blocks of every page whose settings are behind the
+  // current block schema versions. Pages also migrate when they are opened;
+  // this brings versions nobody opens (and the published ones) up to date.
+  async migrateAllPages() {
+    if (!review.can('publish')) {
+      this.showError('You are not allowed to migrate pages');
+      return;
+    }
+
+    if (!confirm('Migrate the stored blocks of all pages to the current block schemas? Every version of every page is rewritten where needed.')) {
+      return;
+    }
+
+    if (this.isDirty && !await this.saveDraft(true)) {
+      return;
+    }
+
+    try {
+      this.showLoading('Migrating pages...');
+
+      const runner = new PPBuilderMigrationRunner({ client: storage });
+      const summary = await runner.migrateAll({
+        onProgress: ({ page, index, total }) => {
+          this.showLoading(`Migrating pages... ${index + 1}/${total}: ${page.pp_title}`);
+        }
+      });
+
+      this.hideLoading();
+
+      if (this.currentPage) {
+        await this.loadPage(this.currentPage.pp_slug);
+      }
+
+      const message = `Migrated ${summary.blocksMigrated} of ${summary.blocksChecked} blocks in ${summary.versions} versions of ${summary.pages} pages`;
+      if (summary.failures.length > 0) {
+        summary.failures.forEach(failure => console.error(`❌ Migration failed for "${failure.title}":`, failure.error));
+        this.showError(`${message}. ${summary.failures.length} pages failed: ${summary.failures.map(failure => failure.title).join(', ')}`);
+      } else {
+        this.showSuccess(message);
+      }
+
+      console.log('✅ Migration finished:', summary);
+    } catch (error) {
+      console.error('❌ Migration failed:', error);
+      this.hideLoading();
+      this.showError(`Migration failed: ${this.describeError(error)}`);
     }
   }
 
@@ -288,15 +831,37 @@ class PPBuilderApp {
     const pageSelectorElement = document.getElementById('pp-page-selector');
 
     if (statusElement && this.currentVersion) {
-      const statusText = this.currentVersion.pp_status === 1 ? 'Draft' :
-                         this.currentVersion.pp_status === 2 ? 'Published' : 'Archived';
+      const statusText = VERSION_STATE_LABELS[this.currentVersion.pp_state] || 'Draft';
       statusElement.textContent = statusText;
-      statusElement.className = `pp-status-badge pp-status-${statusText.toLowerCase()}`;
+      statusElement.className = `pp-status-badge pp-status-${statusText.toLowerCase().replace(/\s+/g, '-')}`;
     }
 
     if (pageSelectorElement && this.currentPage) {
       pageSelectorElement.value = this.currentPage.pp_slug;
     }
+
+    review.updateButtons();
+  }
+
+  describeError(error) {
+    if (error instanceof PPBuilderNetworkError) {
+      if (error.aborted) return 'The request was cancelled';
+      if (error.timedOut) return 'The server did not respond in time, please try again';
+      return 'Could not reach the server, check your connection';
+    }
+    if (error instanceof PPBuilderAuthError) {
+      return 'Your session has expired or you are not allowed to do this, please sign in again';
+    }
+    if (error instanceof PPBuilderThrottledError) {
+      return 'The server is busy, please try again in a moment';
+    }
+    if (error instanceof PPBuilderValidationError) {
+      return `The server rejected the data: ${error.message}`;
+    }
+    if (error instanceof PPBuilderConflictError) {
+      return `Someone else changed this item: ${error.message}`;
+    }
+    return error.message;
   }
 
   updateStatus(message) {
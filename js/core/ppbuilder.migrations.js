@@ -0,0 +1,179 @@
+import { apiClient } from './ppbuilder.apiclient.js';
+import { PPBuilderValidationError } from './ppbuilder.errors.js';
+
+// Stored block settings carry the schema version of their block type under
+// SCHEMA_VERSION_KEY. Settings saved before versioning count as version 1.
+export const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+// Keys of the settings that are not trait values.
+const RESERVED_KEYS = [SCHEMA_VERSION_KEY, '_component'];
+
+/**
+ * Migrations by block type. A migration registered for version n turns
+ * settings of version n into version n + 1; the current version of a type
+ * is one past its last migration.
+ *
+ *   migrations.register('pp_layout_container_01', 1, settings => ({
+ *     ...settings,
+ *     maxWidth: settings.maxWidth === 'full' ? 'none' : settings.maxWidth
+ *   }));
+ */
+export class PPBuilderMigrations {
+  constructor() {
+    this.steps = new Map();
+  }
+
+  register(templateName, fromVersion, migrate) {
+    if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+      throw new PPBuilderValidationError(`Invalid migration version for ${templateName}: ${fromVersion}`);
+    }
+    if (!this.steps.has(templateName)) {
+      this.steps.set(templateName, new Map());
+    }
+    this.steps.get(templateName).set(fromVersion, migrate);
+  }
+
+  // `{ templateName: { fromVersion: migrate } }`, as returned by the block
+  // files' getMigrations().
+  registerAll(migrations) {
+    Object.entries(migrations).forEach(([templateName, steps]) => {
+      Object.entries(steps).forEach(([fromVersion, migrate]) => {
+        this.register(templateName, parseInt(fromVersion, 10), migrate);
+      });
+    });
+  }
+
+  currentVersion(templateName) {
+    const steps = this.steps.get(templateName);
+    return steps && steps.size > 0 ? Math.max(...steps.keys()) + 1 : 1;
+  }
+
+  versionOf(settings = {}) {
+    return Number.isInteger(settings[SCHEMA_VERSION_KEY]) ? settings[SCHEMA_VERSION_KEY] : 1;
+  }
+
+  stamp(templateName, settings) {
+    return { ...settings, [SCHEMA_VERSION_KEY]: this.currentVersion(templateName) };
+  }
+
+  /**
+   * Brings settings up to the current version of their block type.
+   * Returns `{ settings, from, to, migrated }`; settings from a newer
+   * version than this build knows are left alone.
+   */
+  migrate(templateName, settings = {}) {
+    const from = this.versionOf(settings);
+    const to = this.currentVersion(templateName);
+    const steps = this.steps.get(templateName);
+
+    if (!steps || from >= to) {
+      return { settings, from, to: from, migrated: false };
+    }
+
+    let migrated = settings;
+    for (let version = from; version < to; version++) {
+      const step = steps.get(version);
+      if (step) {
+        migrated = syncComponent(migrated, step({ ...migrated }) || migrated);
+      }
+    }
+
+    return { settings: { ...migrated, [SCHEMA_VERSION_KEY]: to }, from, to, migrated: true };
+  }
+}
+
+// The component JSON stored with a block repeats trait values as attributes
+// or properties. Changes a migration makes to the settings are copied there
+// so they are not undone when the component is restored; trait values it
+// adds are written as attributes.
+function syncComponent(before, after) {
+  const component = after._component;
+  if (!component) return after;
+
+  const synced = { ...component, attributes: { ...component.attributes } };
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  keys.forEach(key => {
+    if (RESERVED_KEYS.includes(key) || before[key] === after[key]) return;
+
+    const target = key in synced && key !== 'attributes' ? synced : synced.attributes;
+    if (after[key] === undefined) {
+      delete target[key];
+    } else {
+      target[key] = after[key];
+    }
+  });
+
+  return { ...after, _component: synced };
+}
+
+export const migrations = new PPBuilderMigrations();
+
+/**
+ * Rewrites the stored blocks of every page version that is behind the
+ * current schema versions, including the versions of pages in the trash so
+ * a restored page comes back on the current schemas.
+ */
+export class PPBuilderMigrationRunner {
+  constructor(options = {}) {
+    this.client = options.client || apiClient;
+    this.migrations = options.migrations || migrations;
+  }
+
+  async migrateAll(options = {}) {
+    const summary = {
+      pages: 0,
+      versions: 0,
+      blocksChecked: 0,
+      blocksMigrated: 0,
+      failures: []
+    };
+
+    const pages = [
+      ...await this.client.getPages(),
+      ...await this.client.getTrashedPages()
+    ];
+
+    for (const page of pages) {
+      options.onProgress?.({ page, index: summary.pages, total: pages.length });
+
+      try {
+        const versions = await this.client.getPageVersions(page.pp_pageid);
+
+        for (const version of versions) {
+          const { checked, migrated } = await this.migrateVersion(version.pp_versionid, options);
+          summary.blocksChecked += checked;
+          summary.blocksMigrated += migrated;
+          summary.versions++;
+        }
+      } catch (error) {
+        summary.failures.push({ pageId: page.pp_pageid, title: page.pp_title, error });
+      }
+
+      summary.pages++;
+    }
+
+    return summary;
+  }
+
+  // A version is rewritten in one changeset (updateBlocks), so it is never
+  // left with some blocks migrated and others not.
+  async migrateVersion(versionId, options = {}) {
+    const blocks = await this.client.getBlocks(versionId);
+    const changes = [];
+
+    for (const block of blocks) {
+      const settings = block.pp_data ? JSON.parse(block.pp_data) : {};
+      const result = this.migrations.migrate(block.pp_type, settings);
+      if (result.migrated) {
+        changes.push({ id: block.pp_blockid, updates: { settings: result.settings } });
+      }
+    }
+
+    if (changes.length > 0 && !options.dryRun) {
+      await this.client.updateBlocks(changes);
+    }
+
+    return { checked: blocks.length, migrated: changes.length };
+  }
+}
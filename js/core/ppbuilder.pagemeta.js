@@ -0,0 +1,139 @@
+import { validateSlug } from './ppbuilder.slugs.js';
+
+// SEO and social metadata for pages. pp_title, pp_slug and
+// pp_metadescription are columns of their own; everything else is kept as
+// JSON in pp_settings using the shape of DEFAULT_PAGE_SETTINGS.
+
+export const DEFAULT_PAGE_SETTINGS = {
+  canonicalUrl: '',
+  robots: [],
+  openGraph: {
+    title: '',
+    description: '',
+    image: '',
+    type: 'website'
+  },
+  twitter: {
+    card: 'summary_large_image',
+    site: ''
+  }
+};
+
+export const ROBOTS_DIRECTIVES = ['noindex', 'nofollow', 'noarchive', 'nosnippet', 'noimageindex'];
+
+export const OPEN_GRAPH_TYPES = ['website', 'article', 'product', 'profile'];
+
+export const TWITTER_CARDS = ['summary', 'summary_large_image'];
+
+export const META_LIMITS = {
+  title: 60,
+  description: 160
+};
+
+export function getPageSettings(page) {
+  let stored = {};
+  try {
+    stored = page?.pp_settings ? JSON.parse(page.pp_settings) : {};
+  } catch (e) {
+    stored = {};
+  }
+
+  return {
+    ...DEFAULT_PAGE_SETTINGS,
+    ...stored,
+    robots: Array.isArray(stored.robots) ? stored.robots.filter(value => ROBOTS_DIRECTIVES.includes(value)) : [],
+    openGraph: { ...DEFAULT_PAGE_SETTINGS.openGraph, ...stored.openGraph },
+    twitter: { ...DEFAULT_PAGE_SETTINGS.twitter, ...stored.twitter }
+  };
+}
+
+function isAbsoluteUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+}
+
+function isImageUrl(value) {
+  return isAbsoluteUrl(value) || /^\/[^/]/.test(value);
+}
+
+/**
+ * Checks the values of the page settings form.
+ * Returns `{ valid, errors, warnings }`; each message names its field.
+ */
+export function validatePageMeta(values) {
+  const errors = [];
+  const warnings = [];
+  const settings = values.settings || DEFAULT_PAGE_SETTINGS;
+
+  if (!values.title?.trim()) {
+    errors.push({ field: 'title', message: 'Title is required' });
+  } else if (values.title.length > META_LIMITS.title) {
+    warnings.push({ field: 'title', message: `Titles longer than ${META_LIMITS.title} characters are cut off in search results` });
+  }
+
+  const slugError = validateSlug(values.slug);
+  if (slugError) {
+    errors.push({ field: 'slug', message: slugError });
+  }
+
+  if ((values.metaDescription || '').length > META_LIMITS.description) {
+    warnings.push({ field: 'metaDescription', message: `Descriptions longer than ${META_LIMITS.description} characters are cut off in search results` });
+  }
+
+  if (settings.canonicalUrl && !isAbsoluteUrl(settings.canonicalUrl)) {
+    errors.push({ field: 'canonicalUrl', message: 'Canonical URL must be an absolute http(s) URL' });
+  }
+
+  if (settings.openGraph.image && !isImageUrl(settings.openGraph.image)) {
+    errors.push({ field: 'openGraph.image', message: 'Share image must be an absolute URL or a path starting with /' });
+  }
+
+  if (!OPEN_GRAPH_TYPES.includes(settings.openGraph.type)) {
+    errors.push({ field: 'openGraph.type', message: `Unknown Open Graph type: ${settings.openGraph.type}` });
+  }
+
+  if (!TWITTER_CARDS.includes(settings.twitter.card)) {
+    errors.push({ field: 'twitter.card', message: `Unknown Twitter card: ${settings.twitter.card}` });
+  }
+
+  if (settings.twitter.site && !/^@\w{1,15}$/.test(settings.twitter.site)) {
+    errors.push({ field: 'twitter.site', message: 'Twitter account must look like @account' });
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * The head tags a page renders with. Social fields fall back to the page
+ * title and meta description when they are left empty.
+ */
+export function getMetaTags(page, options = {}) {
+  const settings = getPageSettings(page);
+  const title = page.pp_title || '';
+  const description = page.pp_metadescription || '';
+  const url = settings.canonicalUrl || (options.origin ? `${options.origin}/${page.pp_slug}` : '');
+  const image = settings.openGraph.image && options.origin && settings.openGraph.image.startsWith('/')
+    ? `${options.origin}${settings.openGraph.image}`
+    : settings.openGraph.image;
+
+  const tags = [
+    { name: 'description', content: description },
+    { name: 'robots', content: settings.robots.join(', ') },
+    { property: 'og:title', content: settings.openGraph.title || title },
+    { property: 'og:description', content: settings.openGraph.description || description },
+    { property: 'og:type', content: settings.openGraph.type },
+    { property: 'og:url', content: url },
+    { property: 'og:image', content: image },
+    { name: 'twitter:card', content: settings.twitter.card },
+    { name: 'twitter:site', content: settings.twitter.site }
+  ].filter(tag => tag.content);
+
+  return {
+    title,
+    canonical: url || null,
+    tags
+  };
+}
@@ -0,0 +1,168 @@
+import { VERSION_STATE, WORKING_STATES } from './ppbuilder.constants.js';
+import { PPBuilderValidationError } from './ppbuilder.errors.js';
+
+// Pages form a tree through the optional pp_parentpageid lookup and are
+// ordered among their siblings by pp_sortorder, then by title. Nested slugs
+// follow the tree: a page's slug is its parent's slug plus its own last
+// segment, and PPBuilderSlugService.changeSlug keeps subpages in step.
+
+export const PAGE_TREE_STATUS = {
+  DRAFT: 'draft',
+  PUBLISHED: 'published',
+  SCHEDULED: 'scheduled'
+};
+
+export const PAGE_TREE_STATUS_LABELS = {
+  [PAGE_TREE_STATUS.DRAFT]: 'Draft',
+  [PAGE_TREE_STATUS.PUBLISHED]: 'Published',
+  [PAGE_TREE_STATUS.SCHEDULED]: 'Scheduled'
+};
+
+export function getParentPageId(page) {
+  return page._pp_parentpageid_value || null;
+}
+
+export function comparePages(a, b) {
+  const left = a.pp_sortorder ?? Number.MAX_SAFE_INTEGER;
+  const right = b.pp_sortorder ?? Number.MAX_SAFE_INTEGER;
+  return left - right || (a.pp_title || '').localeCompare(b.pp_title || '');
+}
+
+/**
+ * Builds `[{ page, children, depth }]` from a flat page list. Pages whose
+ * parent is not in the list (e.g. it is in the trash) are shown at the top
+ * level, and so are pages caught in a parent cycle.
+ */
+export function buildPageTree(pages) {
+  const ids = new Set(pages.map(page => page.pp_pageid));
+  const childrenOf = new Map();
+
+  pages.forEach(page => {
+    const parentId = ids.has(getParentPageId(page)) ? getParentPageId(page) : null;
+    if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+    childrenOf.get(parentId).push(page);
+  });
+
+  const placed = new Set();
+  const build = (parentId, depth) => (childrenOf.get(parentId) || [])
+    .sort(comparePages)
+    .filter(page => !placed.has(page.pp_pageid))
+    .map(page => {
+      placed.add(page.pp_pageid);
+      return { page, depth, children: build(page.pp_pageid, depth + 1) };
+    });
+
+  const roots = build(null, 0);
+
+  pages.filter(page => !placed.has(page.pp_pageid)).sort(comparePages).forEach(page => {
+    if (placed.has(page.pp_pageid)) return;
+    placed.add(page.pp_pageid);
+    roots.push({ page, depth: 0, children: build(page.pp_pageid, 1) });
+  });
+
+  return roots;
+}
+
+// Keeps the nodes whose title or slug match, along with their ancestors.
+export function filterPageTree(nodes, search = '') {
+  const term = search.trim().toLowerCase();
+  if (!term) return nodes;
+
+  return nodes.reduce((result, node) => {
+    const children = filterPageTree(node.children, term);
+    const matches = [node.page.pp_title, node.page.pp_slug].some(value => value?.toLowerCase().includes(term));
+
+    if (matches || children.length > 0) {
+      result.push({ ...node, children, match: matches });
+    }
+    return result;
+  }, []);
+}
+
+export function flattenPageTree(nodes) {
+  return nodes.flatMap(node => [node, ...flattenPageTree(node.children)]);
+}
+
+// Where a page sits in the tree: its displayed parent and the IDs of the
+// pages at that level, in order.
+export function findTreePosition(nodes, pageId, parentId = null) {
+  if (nodes.some(node => node.page.pp_pageid === pageId)) {
+    return { parentId, siblingIds: nodes.map(node => node.page.pp_pageid) };
+  }
+
+  for (const node of nodes) {
+    const position = findTreePosition(node.children, pageId, node.page.pp_pageid);
+    if (position) return position;
+  }
+
+  return null;
+}
+
+/**
+ * Works out the page updates needed to put `pageId` under `parentId`
+ * (null for the top level) at position `index` among its new siblings;
+ * an index past the end appends.
+ * Returns `[{ pageId, parentId, previousParentId, sortOrder }]` for the
+ * pages whose parent or sort order actually changes.
+ */
+export function planPageMove(pages, pageId, parentId, index) {
+  const page = pages.find(candidate => candidate.pp_pageid === pageId);
+  if (!page) {
+    throw new PPBuilderValidationError(`Page ${pageId} not found`);
+  }
+
+  for (let ancestorId = parentId; ancestorId; ) {
+    if (ancestorId === pageId) {
+      throw new PPBuilderValidationError('A page cannot be moved under itself or one of its subpages');
+    }
+    ancestorId = getParentPageId(pages.find(candidate => candidate.pp_pageid === ancestorId) || {});
+  }
+
+  const ids = new Set(pages.map(candidate => candidate.pp_pageid));
+  const siblings = pages
+    .filter(candidate => candidate.pp_pageid !== pageId)
+    .filter(candidate => (ids.has(getParentPageId(candidate)) ? getParentPageId(candidate) : null) === parentId)
+    .sort(comparePages);
+
+  siblings.splice(Math.max(0, Math.min(index, siblings.length)), 0, page);
+
+  return siblings
+    .map((sibling, sortOrder) => ({
+      pageId: sibling.pp_pageid,
+      parentId,
+      previousParentId: getParentPageId(sibling),
+      sortOrder
+    }))
+    .filter(move => move.sortOrder !== pages.find(candidate => candidate.pp_pageid === move.pageId).pp_sortorder ||
+      move.parentId !== move.previousParentId);
+}
+
+/**
+ * Maps page IDs to their badges: 'published' when a version is live,
+ * 'scheduled' when a version still being worked on has a publish date in
+ * the future, and 'draft' when neither applies.
+ */
+export function getPageStatuses(pages, versions, now = new Date()) {
+  const statuses = new Map(pages.map(page => [page.pp_pageid, new Set()]));
+
+  versions.forEach(version => {
+    const badges = statuses.get(version._pp_page_value);
+    if (!badges) return;
+
+    if (version.pp_state === VERSION_STATE.PUBLISHED) {
+      badges.add(PAGE_TREE_STATUS.PUBLISHED);
+    } else if (WORKING_STATES.includes(version.pp_state)) {
+      const schedule = version.pp_settings ? JSON.parse(version.pp_settings).schedule : null;
+      if (schedule?.publishAt && new Date(schedule.publishAt) > now) {
+        badges.add(PAGE_TREE_STATUS.SCHEDULED);
+      }
+    }
+  });
+
+  return new Map([...statuses].map(([pageId, badges]) => [
+    pageId,
+    badges.size > 0
+      ? Object.values(PAGE_TREE_STATUS).filter(status => badges.has(status))
+      : [PAGE_TREE_STATUS.DRAFT]
+  ]));
+}
@@ -0,0 +1,213 @@
+import { PPBuilderValidationError } from './ppbuilder.errors.js';
+
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\/[A-Za-z_][A-Za-z0-9_]*)*$/;
+const ORDER_PATTERN = /^[A-Za-z_][A-Za-z0-9_/]*( (asc|desc))?$/i;
+
+export function isGuid(value) {
+  return typeof value === 'string' && GUID_PATTERN.test(value);
+}
+
+export function assertGuid(value, label = 'id') {
+  if (!isGuid(value)) {
+    throw new PPBuilderValidationError(`Invalid ${label}: expected a GUID but got "${value}"`);
+  }
+  return value;
+}
+
+export function generateGuid() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+    const r = Math.random() * 16 | 0;
+    return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+  });
+}
+
+export class PPBuilderQuery {
+  constructor() {
+    this.filters = [];
+    this.options = {};
+  }
+
+  static field(name) {
+    if (!FIELD_PATTERN.test(name)) {
+      throw new PPBuilderValidationError(`Invalid field name: "${name}"`);
+    }
+    return name;
+  }
+
+  static literal(value) {
+    if (value === null || value === undefined) {
+      return 'null';
+    }
+    if (typeof value === 'boolean') {
+      return value ? 'true' : 'false';
+    }
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value)) {
+        throw new PPBuilderValidationError(`Invalid numeric value: ${value}`);
+      }
+      return String(value);
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    return `'${String(value).replace(/'/g, "''")}'`;
+  }
+
+  static guid(value) {
+    return assertGuid(value);
+  }
+
+  static compare(field, operator, value) {
+    return `${PPBuilderQuery.field(field)} ${operator} ${PPBuilderQuery.literal(value)}`;
+  }
+
+  static eq(field, value) {
+    return PPBuilderQuery.compare(field, 'eq', value);
+  }
+
+  static ne(field, value) {
+    return PPBuilderQuery.compare(field, 'ne', value);
+  }
+
+  static eqGuid(field, value) {
+    return `${PPBuilderQuery.field(field)} eq ${PPBuilderQuery.guid(value)}`;
+  }
+
+  static contains(field, value) {
+    return `contains(${PPBuilderQuery.field(field)},${PPBuilderQuery.literal(String(value))})`;
+  }
+
+  static startswith(field, value) {
+    return `startswith(${PPBuilderQuery.field(field)},${PPBuilderQuery.literal(String(value))})`;
+  }
+
+  static in(field, values) {
+    if (values.length === 0) {
+      return 'false';
+    }
+    return `(${values.map(value => PPBuilderQuery.eq(field, value)).join(' or ')})`;
+  }
+
+  where(clause) {
+    if (clause) {
+      this.filters.push(clause);
+    }
+    return this;
+  }
+
+  eq(field, value) {
+    return this.where(PPBuilderQuery.eq(field, value));
+  }
+
+  ne(field, value) {
+    return this.where(PPBuilderQuery.ne(field, value));
+  }
+
+  gt(field, value) {
+    return this.where(PPBuilderQuery.compare(field, 'gt', value));
+  }
+
+  ge(field, value) {
+    return this.where(PPBuilderQuery.compare(field, 'ge', value));
+  }
+
+  lt(field, value) {
+    return this.where(PPBuilderQuery.compare(field, 'lt', value));
+  }
+
+  le(field, value) {
+    return this.where(PPBuilderQuery.compare(field, 'le', value));
+  }
+
+  eqGuid(field, value) {
+    return this.where(PPBuilderQuery.eqGuid(field, value));
+  }
+
+  in(field, values) {
+    return this.where(PPBuilderQuery.in(field, values));
+  }
+
+  contains(field, value) {
+    return this.where(PPBuilderQuery.contains(field, value));
+  }
+
+  startswith(field, value) {
+    return this.where(PPBuilderQuery.startswith(field, value));
+  }
+
+  or(...clauses) {
+    const parts = clauses.filter(Boolean);
+    return parts.length > 0 ? this.where(`(${parts.join(' or ')})`) : this;
+  }
+
+  select(...fields) {
+    this.options.$select = fields.flat().map(PPBuilderQuery.field).join(',');
+    return this;
+  }
+
+  expand(expression) {
+    this.options.$expand = expression;
+    return this;
+  }
+
+  orderby(...clauses) {
+    const parts = clauses.flat().flatMap(clause => clause.split(',')).map(clause => clause.trim());
+    parts.forEach(clause => {
+      if (!ORDER_PATTERN.test(clause)) {
+        throw new PPBuilderValidationError(`Invalid orderby clause: "${clause}"`);
+      }
+    });
+    this.options.$orderby = parts.join(',');
+    return this;
+  }
+
+  top(count) {
+    this.options.$top = this._integer(count, '$top');
+    return this;
+  }
+
+  skip(count) {
+    this.options.$skip = this._integer(count, '$skip');
+    return this;
+  }
+
+  count(enabled = true) {
+    this.options.$count = enabled ? 'true' : 'false';
+    return this;
+  }
+
+  apply(expression) {
+    this.options.$apply = expression;
+    return this;
+  }
+
+  _integer(value, name) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+      throw new PPBuilderValidationError(`Invalid ${name}: ${value}`);
+    }
+    return String(number);
+  }
+
+  toString() {
+    const params = [];
+
+    if (this.filters.length > 0) {
+      params.push(['$filter', this.filters.join(' and ')]);
+    }
+
+    ['$select', '$expand', '$orderby', '$top', '$skip', '$count', '$apply'].forEach(name => {
+      if (this.options[name] !== undefined) {
+        params.push([name, this.options[name]]);
+      }
+    });
+
+    return params.length > 0
+      ? `?${params.map(([name, value]) => `${name}=${encodeURIComponent(value)}`).join('&')}`
+      : '';
+  }
+}
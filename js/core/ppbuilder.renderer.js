@@ -0,0 +1,248 @@
+import { serializer, COMPONENT_KEY, BLOCK_REF } from './ppbuilder.serializer.js';
+import { getBlockClasses } from './ppbuilder.classmap.js';
+import { getMetaTags } from './ppbuilder.pagemeta.js';
+import { blockSchemas } from './ppbuilder.blockschema.js';
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// GrapesJS leaves a component's tagName out of its JSON when it is the
+// default of the component type, so the renderer needs those defaults.
+const DEFAULT_TAGS = {
+  pp_layout_section_01: 'section',
+  pp_content_heading_01: 'h2',
+  pp_content_text_01: 'p',
+  pp_content_button_01: 'a',
+  link: 'a',
+  image: 'img',
+  label: 'label',
+  table: 'table',
+  thead: 'thead',
+  tbody: 'tbody',
+  tfoot: 'tfoot',
+  row: 'tr',
+  cell: 'td',
+  svg: 'svg'
+};
+
+const TAG_PATTERN = /^[a-z][a-z0-9-]*$/i;
+
+const ATTRIBUTE_PATTERN = /^[a-z_:][a-z0-9_:.-]*$/;
+
+// Traits whose attribute is real HTML on the block's element. Every other
+// trait or setting is dropped from the attributes; its classes come from
+// the class map.
+const HTML_TRAITS = new Set(['id', 'href', 'target']);
+
+function escapeText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+  return escapeText(value).replace(/"/g, '&quot;');
+}
+
+function classNames(classes = []) {
+  return classes
+    .map(entry => (typeof entry === 'string' ? entry : entry?.name))
+    .flatMap(name => (name || '').split(/\s+/))
+    .filter(Boolean);
+}
+
+function bySortOrder(a, b) {
+  return (a.sortOrder ?? 0) - (b.sortOrder ?? 0);
+}
+
+/**
+ * Renders stored blocks to HTML without GrapesJS or a DOM, for publishing
+ * pages on the portal and for checking output in Node.
+ *
+ * Blocks saved by the editor are rendered from their component JSON (tag,
+ * attributes, classes, style, content and nested components); older blocks
+ * without it are rendered from their settings the way the serializer loads
+ * them. Either way the classes from the shared class map are applied, and
+ * component `content` is written as is, as GrapesJS does: it is HTML made
+ * in the editor.
+ *
+ * Trait values GrapesJS keeps as attributes (padding, level, customClass)
+ * are not HTML and are left out, as is data-block-id unless
+ * `includeBlockIds` is set.
+ */
+export class PPBuilderRenderer {
+  constructor(options = {}) {
+    this.includeBlockIds = options.includeBlockIds || false;
+  }
+
+  /**
+   * Accepts pp_blocks rows, serialized blocks or buildBlockTree() output.
+   * Rows are migrated to the current schema versions as they are read, and
+   * inactive blocks are skipped.
+   */
+  renderBlocks(blocks) {
+    return this.toTree(blocks)
+      .sort(bySortOrder)
+      .map(block => this.renderBlock(block))
+      .join('');
+  }
+
+  toTree(blocks) {
+    const normalized = blocks.map(block => this._normalize(block));
+    return normalized.some(block => Array.isArray(block.children))
+      ? normalized
+      : serializer.buildBlockTree(normalized);
+  }
+
+  _normalize(block) {
+    const parsed = block.pp_blockid ? serializer._parseDataverseBlock(block) : block;
+    return Array.isArray(block.children)
+      ? { ...parsed, children: block.children.map(child => this._normalize(child)) }
+      : parsed;
+  }
+
+  renderBlock(block) {
+    if (block.isActive === false) return '';
+
+    const settings = block.settings || {};
+    const component = settings[COMPONENT_KEY];
+    const childBlocks = (block.children || []).filter(child => child.isActive !== false).sort(bySortOrder);
+    const blockAttributes = this.includeBlockIds ? { 'data-block-id': block.id } : {};
+
+    if (!component) {
+      const { class: className, ...attributes } = serializer._settingsToAttributes(settings, block.templateName);
+
+      return this._element({
+        tagName: (block.templateName === 'pp_content_heading_01' && settings.level) || DEFAULT_TAGS[block.templateName],
+        attributes: {
+          'data-template': block.templateName,
+          'data-block-type': block.blockType,
+          ...attributes,
+          ...blockAttributes
+        },
+        classes: classNames([className]),
+        content: settings.text || settings.content,
+        inner: childBlocks.map(child => this.renderBlock(child)).join('')
+      });
+    }
+
+    const placed = new Set();
+    const renderChild = (json) => {
+      if (json[BLOCK_REF] !== undefined) {
+        const child = childBlocks[json[BLOCK_REF]];
+        if (!child || placed.has(child)) return '';
+        placed.add(child);
+        return this.renderBlock(child);
+      }
+      return this.renderComponent(json, renderChild);
+    };
+
+    const inner = (component.components || []).map(renderChild).join('');
+
+    // As in the editor, child blocks without a placeholder go last.
+    const unplaced = childBlocks
+      .filter(child => !placed.has(child))
+      .map(child => this.renderBlock(child))
+      .join('');
+
+    return this._element({
+      tagName: component.tagName || DEFAULT_TAGS[block.templateName],
+      attributes: { ...this._htmlAttributes(block, component.attributes), ...blockAttributes },
+      classes: [...getBlockClasses(block.templateName, settings), ...classNames(component.classes)],
+      style: component.style,
+      content: component.content,
+      inner: inner + unplaced
+    });
+  }
+
+  // The attributes of a block's component without its trait values: the
+  // properties of its schema and, for types without one, its settings keys.
+  _htmlAttributes(block, attributes = {}) {
+    const settingNames = new Set([
+      ...Object.keys(blockSchemas.get(block.templateName)?.properties || {}),
+      ...Object.keys(block.settings || {})
+    ]);
+
+    return Object.fromEntries(Object.entries(attributes)
+      .filter(([name]) => HTML_TRAITS.has(name) || !settingNames.has(name)));
+  }
+
+  // A component that is not a block. `renderChild` renders its children,
+  // which may include block placeholders.
+  renderComponent(json, renderChild = child => this.renderComponent(child)) {
+    if (json.type === 'textnode') return escapeText(json.content || '');
+    if (json.type === 'comment') return '';
+
+    const attributes = { ...json.attributes };
+    if (json.type === 'image' && json.src && !attributes.src) {
+      attributes.src = json.src;
+    }
+
+    return this._element({
+      tagName: json.tagName || DEFAULT_TAGS[json.type],
+      attributes,
+      classes: classNames(json.classes),
+      style: json.style,
+      content: json.content,
+      inner: (json.components || []).map(renderChild).join('')
+    });
+  }
+
+  _element({ tagName, attributes = {}, classes = [], style, content, inner = '' }) {
+    const tag = TAG_PATTERN.test(tagName || '') ? tagName.toLowerCase() : 'div';
+    const { class: className, style: inlineStyle, ...rest } = attributes;
+
+    const allClasses = [...new Set([...classes, ...classNames([className])])];
+    const styleText = style && typeof style === 'object'
+      ? Object.entries(style).map(([property, value]) => `${property}:${value};`).join('')
+      : inlineStyle;
+
+    const html = [
+      allClasses.length > 0 ? ` class="${escapeAttribute(allClasses.join(' '))}"` : '',
+      styleText ? ` style="${escapeAttribute(styleText)}"` : '',
+      ...Object.entries(rest)
+        .filter(([, value]) => value !== undefined && value !== null && value !== false)
+        .filter(([name]) => ATTRIBUTE_PATTERN.test(name) && !name.startsWith('data-gjs') && name !== 'data-settings')
+        .map(([name, value]) => (value === true ? ` ${name}` : ` ${name}="${escapeAttribute(value)}"`))
+    ].join('');
+
+    if (VOID_ELEMENTS.has(tag)) {
+      return `<${tag}${html}>`;
+    }
+
+    return `<${tag}${html}>${content || ''}${inner}</${tag}>`;
+  }
+
+  /**
+   * Renders a page version as `{ title, head, body }`: head holds the title,
+   * meta and canonical tags from the page settings, body the blocks inside
+   * the version's wrapperClass and containerClass elements.
+   */
+  renderPage({ page, version, blocks }, options = {}) {
+    const meta = getMetaTags(page, options);
+    const versionSettings = version?.pp_settings ? JSON.parse(version.pp_settings) : {};
+
+    const head = [
+      `<title>${escapeText(meta.title)}</title>`,
+      ...meta.tags.map(tag => (tag.name
+        ? `<meta name="${escapeAttribute(tag.name)}" content="${escapeAttribute(tag.content)}">`
+        : `<meta property="${escapeAttribute(tag.property)}" content="${escapeAttribute(tag.content)}">`)),
+      meta.canonical ? `<link rel="canonical" href="${escapeAttribute(meta.canonical)}">` : ''
+    ].filter(Boolean).join('\n');
+
+    const content = this.renderBlocks(blocks);
+    const container = versionSettings.containerClass
+      ? this._element({ tagName: 'div', classes: classNames([versionSettings.containerClass]), inner: content })
+      : content;
+
+    return {
+      title: meta.title,
+      head,
+      body: this._element({ tagName: 'div', classes: classNames([versionSettings.wrapperClass]), inner: container })
+    };
+  }
+}
+
+export const renderer = new PPBuilderRenderer();
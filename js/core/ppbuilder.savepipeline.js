@@ -0,0 +1,202 @@
+import { PPBuilderSaveError, PPBuilderConflictError } from './ppbuilder.errors.js';
+import { summarizeChanges } from './ppbuilder.blockdiff.js';
+
+export class PPBuilderSavePipeline {
+  constructor(client, versionId) {
+    this.client = client;
+    this.versionId = versionId;
+    this.snapshot = [];
+    this.applied = [];
+  }
+
+  async run(blocks, options = {}) {
+    this.snapshot = await this.client.getBlocks(this.versionId);
+    this.applied = [];
+    this.overwrite = options.overwrite || false;
+
+    if (!this.overwrite) {
+      this._assertUnchangedSinceLoad();
+    }
+
+    const changes = this.client._diffBlocks(this.snapshot, blocks);
+    const operations = this._planOperations(changes);
+    const operationByStep = new Map(operations.map(operation => [operation.apply, operation]));
+
+    try {
+      await this.client._executeInChangesets(operations.map(operation => operation.apply), {
+        split: true,
+        onCommit: (steps) => {
+          steps.forEach(step => this.applied.push(operationByStep.get(step)));
+        }
+      });
+    } catch (error) {
+      await this._rollback(error);
+    }
+
+    return {
+      success: true,
+      versionId: this.versionId,
+      blocksCreated: changes.creates.length,
+      blocksUpdated: changes.updates.length,
+      blocksDeleted: changes.deletes.length,
+      blocksUnchanged: changes.unchanged,
+      changes: summarizeChanges(changes)
+    };
+  }
+
+  async _rollback(error) {
+    const operationsApplied = this.applied.length;
+
+    if (operationsApplied === 0) {
+      throw new PPBuilderSaveError(`Save rolled back: ${error.message}`, {
+        cause: error,
+        rolledBack: true,
+        operationsApplied
+      });
+    }
+
+    const undoSteps = [...this.applied].reverse().map(operation => operation.undo);
+
+    try {
+      await this.client._executeInChangesets(undoSteps, { split: true });
+    } catch (rollbackError) {
+      console.error('Rollback failed:', rollbackError);
+      throw new PPBuilderSaveError(`Save failed and could not be rolled back: ${error.message}`, {
+        cause: error,
+        rolledBack: false,
+        rollbackError,
+        operationsApplied
+      });
+    }
+
+    this.applied = [];
+
+    throw new PPBuilderSaveError(`Save rolled back: ${error.message}`, {
+      cause: error,
+      rolledBack: true,
+      operationsApplied
+    });
+  }
+
+  _assertUnchangedSinceLoad() {
+    const loaded = this.client.loadedBlockETags.get(this.versionId);
+    if (!loaded) {
+      return;
+    }
+
+    const remoteChanges = [];
+    const storedIds = new Set();
+
+    this.snapshot.forEach(block => {
+      storedIds.add(block.pp_blockid);
+
+      if (!loaded.has(block.pp_blockid)) {
+        remoteChanges.push({ id: block.pp_blockid, name: block.pp_title, change: 'added' });
+      } else if (loaded.get(block.pp_blockid) !== (block['@odata.etag'] || null)) {
+        remoteChanges.push({ id: block.pp_blockid, name: block.pp_title, change: 'modified' });
+      }
+    });
+
+    loaded.forEach((etag, id) => {
+      if (!storedIds.has(id)) {
+        remoteChanges.push({ id, name: null, change: 'removed' });
+      }
+    });
+
+    if (remoteChanges.length > 0) {
+      throw new PPBuilderConflictError('This draft was changed by someone else since you loaded it', {
+        status: 412,
+        code: 'DraftChanged',
+        details: { remoteChanges }
+      });
+    }
+  }
+
+  _ifMatch(id) {
+    if (this.overwrite) {
+      return {};
+    }
+
+    const stored = this.snapshot.find(block => block.pp_blockid === id);
+    return stored?.['@odata.etag'] ? { 'If-Match': stored['@odata.etag'] } : {};
+  }
+
+  _planOperations(changes) {
+    const storedMap = new Map(this.snapshot.map(block => [block.pp_blockid, block]));
+
+    return [
+      ...changes.creates.map(block => ({
+        type: 'create',
+        apply: this._createStep({ ...block, pageversionId: this.versionId }),
+        undo: this._deleteStep(block.id)
+      })),
+      ...changes.updates.map(({ id, updates }) => ({
+        type: 'update',
+        apply: this._updateStep(id, updates, this._ifMatch(id)),
+        undo: this._updateStep(id, this._previousValues(storedMap.get(id), updates))
+      })),
+      ...changes.deletes.map(block => ({
+        type: 'delete',
+        apply: this._deleteStep(block.pp_blockid, this._ifMatch(block.pp_blockid)),
+        undo: this._restoreStep(block)
+      }))
+    ];
+  }
+
+  _createStep(block, rawData) {
+    return ({ batch, bind, track }) => {
+      const payload = this.client._blockPayload(block);
+      if (block.parentBlockId) {
+        payload['pp_parentblockid@odata.bind'] = bind(block.parentBlockId, 'pp_blocks');
+      }
+      if (rawData !== undefined) {
+        payload.pp_data = rawData;
+      }
+      track(block.id, batch.post(`${this.client.baseURL}/pp_blocks`, payload));
+    };
+  }
+
+  _updateStep(id, updates, headers = {}) {
+    return ({ batch, bind }) => {
+      const payload = this.client._blockUpdatePayload(updates);
+      if (updates.parentBlockId) {
+        payload['pp_parentblockid@odata.bind'] = bind(updates.parentBlockId, 'pp_blocks');
+      }
+      batch.patch(this.client._entityUrl('pp_blocks', id), payload, headers);
+      if (updates.parentBlockId === null) {
+        batch.delete(`${this.client._entityUrl('pp_blocks', id)}/pp_parentblockid/$ref`);
+      }
+    };
+  }
+
+  _deleteStep(id, headers = {}) {
+    return ({ batch }) => {
+      batch.delete(this.client._entityUrl('pp_blocks', id), headers);
+    };
+  }
+
+  _restoreStep(stored) {
+    return this._createStep({
+      id: stored.pp_blockid,
+      pageversionId: this.versionId,
+      parentBlockId: this.client._getParentBlockId(stored),
+      name: stored.pp_title,
+      templateName: stored.pp_type,
+      blockType: stored.pp_blocktype,
+      sortOrder: stored.pp_order,
+      zone: stored.pp_zone
+    }, stored.pp_data || '{}');
+  }
+
+  _previousValues(stored, updates) {
+    const previous = {};
+
+    if ('sortOrder' in updates) previous.sortOrder = stored.pp_order ?? 0;
+    if ('parentBlockId' in updates) previous.parentBlockId = this.client._getParentBlockId(stored);
+    if ('settings' in updates) previous.settings = stored.pp_data ? JSON.parse(stored.pp_data) : {};
+    if ('name' in updates) previous.name = stored.pp_title;
+    if ('zone' in updates) previous.zone = stored.pp_zone || null;
+
+    return previous;
+  }
+}
@@ -0,0 +1,171 @@
+import { apiClient } from './ppbuilder.apiclient.js';
+import { VERSION_STATE, WORKING_STATES } from './ppbuilder.constants.js';
+import { PPBuilderValidationError } from './ppbuilder.errors.js';
+import { PPBuilderWorkflow } from './ppbuilder.workflow.js';
+
+/**
+ * Applies scheduled publish/unpublish transitions.
+ *
+ * Schedules live in the version's pp_settings as
+ * `{ schedule: { publishAt, unpublishAt } }` (ISO timestamps). An approved
+ * version is published once publishAt has passed; one still awaiting review
+ * is held until it is approved, unless workflow.requireApproval is off, in
+ * which case it is approved and published as workflow.publish() would. A published version is archived once
+ * unpublishAt has passed. The client can be the API client, the storage
+ * facade or any storage adapter, so the scheduler also runs in Node.
+ */
+export class PPBuilderScheduler {
+  constructor(options = {}) {
+    this.client = options.client || apiClient;
+    this.workflow = options.workflow || new PPBuilderWorkflow({ client: this.client, config: options.config });
+    this.interval = options.interval || 60000;
+    this.now = options.now || (() => new Date());
+    this.onTransition = options.onTransition || null;
+    this.onError = options.onError || null;
+    this.timer = null;
+    this.running = false;
+  }
+
+  static getSchedule(version) {
+    const settings = version.settings || (version.pp_settings ? JSON.parse(version.pp_settings) : {});
+    return settings.schedule || null;
+  }
+
+  static validateSchedule(schedule = {}) {
+    const publishAt = schedule.publishAt ? new Date(schedule.publishAt) : null;
+    const unpublishAt = schedule.unpublishAt ? new Date(schedule.unpublishAt) : null;
+
+    if (publishAt && Number.isNaN(publishAt.getTime())) {
+      throw new PPBuilderValidationError(`Invalid publish date: "${schedule.publishAt}"`);
+    }
+    if (unpublishAt && Number.isNaN(unpublishAt.getTime())) {
+      throw new PPBuilderValidationError(`Invalid unpublish date: "${schedule.unpublishAt}"`);
+    }
+    if (publishAt && unpublishAt && unpublishAt <= publishAt) {
+      throw new PPBuilderValidationError('The unpublish date must be after the publish date');
+    }
+
+    return {
+      publishAt: publishAt ? publishAt.toISOString() : null,
+      unpublishAt: unpublishAt ? unpublishAt.toISOString() : null
+    };
+  }
+
+  async setSchedule(versionId, schedule) {
+    const version = await this.client.getPageVersion(versionId);
+    const settings = version.pp_settings ? JSON.parse(version.pp_settings) : {};
+    const validated = PPBuilderScheduler.validateSchedule(schedule);
+
+    if (version.pp_state === VERSION_STATE.ARCHIVED) {
+      throw new PPBuilderValidationError('Archived versions cannot be scheduled');
+    }
+    // Published versions keep the publishAt that brought them live.
+    const publishAtChanged = validated.publishAt !== (settings.schedule?.publishAt || null);
+    if (validated.publishAt && publishAtChanged && !WORKING_STATES.includes(version.pp_state)) {
+      throw new PPBuilderValidationError('Only versions that are not live yet can be scheduled for publishing');
+    }
+
+    if (validated.publishAt || validated.unpublishAt) {
+      settings.schedule = validated;
+    } else {
+      delete settings.schedule;
+    }
+
+    return await this.client.updatePageVersion(versionId, { settings });
+  }
+
+  async clearSchedule(versionId) {
+    return await this.setSchedule(versionId, {});
+  }
+
+  getTransitions(versions, now = this.now()) {
+    const transitions = [];
+
+    versions.forEach(version => {
+      const schedule = PPBuilderScheduler.getSchedule(version);
+      if (!schedule) return;
+
+      const pageId = version._pp_page_value;
+      const publishAt = schedule.publishAt ? new Date(schedule.publishAt) : null;
+      const unpublishAt = schedule.unpublishAt ? new Date(schedule.unpublishAt) : null;
+
+      if (WORKING_STATES.includes(version.pp_state) && publishAt) {
+        // A version whose whole window has already passed is never published.
+        const type = unpublishAt && unpublishAt <= now ? 'expire' : 'publish';
+        const blocked = type === 'publish' && !this.workflow.isReadyToPublish(version);
+        transitions.push({ type, at: publishAt, due: publishAt <= now, blocked, version, pageId });
+      } else if (version.pp_state === VERSION_STATE.PUBLISHED && unpublishAt) {
+        transitions.push({ type: 'unpublish', at: unpublishAt, due: unpublishAt <= now, blocked: false, version, pageId });
+      }
+    });
+
+    return transitions.sort((a, b) => a.at - b.at);
+  }
+
+  async getUpcoming(now = this.now()) {
+    const versions = await this.client.getScheduledVersions();
+    return this.getTransitions(versions, now).filter(transition => !transition.due || transition.blocked);
+  }
+
+  async runDue(now = this.now()) {
+    if (this.running) {
+      return { applied: [], failed: [] };
+    }
+
+    this.running = true;
+    const applied = [];
+    const failed = [];
+
+    try {
+      const versions = await this.client.getScheduledVersions();
+      const due = this.getTransitions(versions, now).filter(transition => transition.due && !transition.blocked);
+
+      for (const transition of due) {
+        try {
+          await this.apply(transition);
+          applied.push(transition);
+          this.onTransition?.(transition);
+        } catch (error) {
+          console.error(`❌ Scheduled ${transition.type} failed:`, transition.version.pp_versionid, error);
+          failed.push({ ...transition, error });
+          this.onError?.(error, transition);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return { applied, failed };
+  }
+
+  async apply(transition) {
+    const versionId = transition.version.pp_versionid;
+
+    if (transition.type === 'publish') {
+      await this.workflow.approveForPublish(transition.version, 'Published on schedule without review');
+      return await this.client.publishPage(transition.pageId, versionId);
+    }
+    if (transition.type === 'unpublish') {
+      return await this.client.updatePageVersion(versionId, { state: VERSION_STATE.ARCHIVED });
+    }
+    if (transition.type === 'expire') {
+      return await this.clearSchedule(versionId);
+    }
+
+    throw new Error(`Unknown scheduled transition: ${transition.type}`);
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.runDue().catch(error => this.onError?.(error));
+    this.timer = setInterval(() => {
+      this.runDue().catch(error => this.onError?.(error));
+    }, this.interval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
@@ -1,3 +1,17 @@
+import { getParentBlockId } from './ppbuilder.blockdiff.js';
+import { blockSchemas, validateSettings, allowsChild } from './ppbuilder.blockschema.js';
+import { migrations, SCHEMA_VERSION_KEY } from './ppbuilder.migrations.js';
+import { getBlockClasses } from './ppbuilder.classmap.js';
+
+// Block settings hold the trait values plus, under COMPONENT_KEY, the
+// GrapesJS JSON of the component itself (tag, attributes, classes, style,
+// text). Child components that are not pp_ blocks are kept inside that JSON
+// instead of becoming blocks; a child block appears there as
+// `{ [BLOCK_REF]: n }`, the n-th child block by sort order, so the
+// reference survives cloneVersion giving blocks new IDs.
+export const COMPONENT_KEY = '_component';
+export const BLOCK_REF = '_block';
+
 export class PPBuilderSerializer {
   constructor() {
     this.blockTypeMap = {
@@ -23,9 +37,10 @@ export class PPBuilderSerializer {
 
     dataverseBlocks.forEach(block => {
       const current = blockMap.get(block.pp_blockid);
+      const parentBlockId = getParentBlockId(block);
 
-      if (block.pp_parentblockid) {
-        const parent = blockMap.get(block.pp_parentblockid);
+      if (parentBlockId) {
+        const parent = blockMap.get(parentBlockId);
         if (parent) {
           parent.children.push(current);
         }
@@ -41,7 +56,11 @@ export class PPBuilderSerializer {
     return grapesComponents;
   }
 
+  // Settings are migrated to the current schema version of their block
+  // type as they are read.
   _parseDataverseBlock(block) {
+    const stored = block.pp_data ? JSON.parse(block.pp_data) : {};
+
     return {
       id: block.pp_blockid,
       name: block.pp_title,
@@ -49,13 +68,17 @@ export class PPBuilderSerializer {
       blockType: block.pp_blocktype,
       sortOrder: block.pp_order,
       zone: block.pp_zone,
-      parentBlockId: block.pp_parentblockid,
-      settings: block.pp_data ? JSON.parse(block.pp_data) : {},
+      parentBlockId: getParentBlockId(block),
+      settings: migrations.migrate(block.pp_type, stored).settings,
       isActive: block.pp_isactive
     };
   }
 
   _blockToGrapesComponent(block, editor) {
+    if (block.settings?.[COMPONENT_KEY]) {
+      return this._restoreComponent(block, editor);
+    }
+
     const component = {
       type: block.templateName,
       attributes: {
@@ -85,6 +108,49 @@ export class PPBuilderSerializer {
     return component;
   }
 
+  _restoreComponent(block, editor) {
+    const { components = [], ...stored } = block.settings[COMPONENT_KEY];
+    const childBlocks = [...block.children].sort((a, b) => (a.sortOrder ?? 0) - (b.sortOrder ?? 0));
+    const placed = new Set();
+
+    const restore = (json) => {
+      if (json[BLOCK_REF] !== undefined) {
+        const child = childBlocks[json[BLOCK_REF]];
+        if (!child || placed.has(child)) return null;
+        placed.add(child);
+        return this._blockToGrapesComponent(child, editor);
+      }
+
+      const { components: children, ...rest } = json;
+      return children ? { ...rest, components: children.map(restore).filter(Boolean) } : rest;
+    };
+
+    const restored = components.map(restore).filter(Boolean);
+
+    // Child blocks that have no placeholder, e.g. ones added through the
+    // API, go after the stored children.
+    childBlocks
+      .filter(child => !placed.has(child))
+      .forEach(child => restored.push(this._blockToGrapesComponent(child, editor)));
+
+    const component = {
+      ...stored,
+      type: block.templateName,
+      attributes: {
+        ...stored.attributes,
+        'data-block-id': block.id,
+        'data-template': block.templateName,
+        'data-block-type': String(block.blockType)
+      }
+    };
+
+    if (restored.length > 0) {
+      component.components = restored;
+    }
+
+    return component;
+  }
+
   _settingsToTraits(settings) {
     return Object.entries(settings).map(([key, value]) => ({
       name: key,
@@ -112,87 +178,46 @@ export class PPBuilderSerializer {
   }
 
   _settingsToClasses(settings, templateName) {
-    const classes = [];
-
-    if (settings.backgroundColor) {
-      if (settings.backgroundColor === 'transparent') {
-        classes.push('tw-bg-transparent');
-      } else if (settings.backgroundColor === 'primary') {
-        classes.push('tw-bg-primary');
-      } else {
-        classes.push(`tw-bg-${settings.backgroundColor}-${settings.backgroundShade || '600'}`);
-      }
-    }
-
-    if (settings.color) {
-      if (settings.color === 'white') {
-        classes.push('tw-text-white');
-      } else {
-        classes.push(`tw-text-${settings.color}-${settings.colorShade || '900'}`);
-      }
-    }
-
-    if (settings.padding) {
-      const paddingMap = {
-        'none': 'tw-p-0',
-        'small': 'tw-p-4',
-        'medium': 'tw-p-8',
-        'large': 'tw-p-16',
-        'xlarge': 'tw-p-24'
-      };
-      classes.push(paddingMap[settings.padding] || '');
-    }
-
-    if (settings.margin) {
-      const marginMap = {
-        'none': 'tw-m-0',
-        'small': 'tw-m-4',
-        'medium': 'tw-m-8',
-        'large': 'tw-m-16'
-      };
-      classes.push(marginMap[settings.margin] || '');
-    }
-
-    if (settings.align) {
-      classes.push(`tw-text-${settings.align}`);
-    }
-
-    if (settings.fontSize) {
-      classes.push(`tw-text-${settings.fontSize}`);
-    }
-
-    if (settings.fontWeight) {
-      classes.push(`tw-font-${settings.fontWeight}`);
-    }
-
-    if (settings.containerWidth) {
-      if (settings.containerWidth === 'container') {
-        classes.push('tw-container tw-mx-auto tw-px-4');
-      } else if (settings.containerWidth === 'narrow') {
-        classes.push('tw-max-w-4xl tw-mx-auto tw-px-4');
-      } else if (settings.containerWidth === 'wide') {
-        classes.push('tw-max-w-7xl tw-mx-auto tw-px-4');
-      } else if (settings.containerWidth === 'full') {
-        classes.push('tw-w-full');
-      }
-    }
-
-    return classes.filter(c => c);
+    return getBlockClasses(templateName, settings);
   }
 
   grapesJSToDataverse(grapesComponents, versionId) {
     const blocks = [];
+    const seenIds = new Set();
     let sortOrder = 0;
 
     const processComponent = (component, parentBlockId = null) => {
       const block = this._grapesComponentToBlock(component, versionId, parentBlockId, sortOrder++);
+
+      if (seenIds.has(block.id)) {
+        block.id = this._generateGUID();
+      }
+      seenIds.add(block.id);
+
+      if (component.getAttributes()['data-block-id'] !== block.id) {
+        component.addAttributes({ 'data-block-id': block.id });
+      }
+
       blocks.push(block);
 
-      const children = component.get('components');
-      if (children && children.length > 0) {
-        children.forEach(child => {
+      let childBlockIndex = 0;
+      const embed = (child) => {
+        if (this.isBlockComponent(child)) {
           processComponent(child, block.id);
-        });
+          return { [BLOCK_REF]: childBlockIndex++ };
+        }
+
+        const json = this._componentToJSON(child);
+        const children = child.components();
+        if (children.length > 0) {
+          json.components = children.map(embed);
+        }
+        return json;
+      };
+
+      const children = component.components();
+      if (children.length > 0) {
+        block.settings[COMPONENT_KEY].components = children.map(embed);
       }
     };
 
@@ -203,6 +228,29 @@ export class PPBuilderSerializer {
     return blocks;
   }
 
+  isBlockComponent(component) {
+    return (component.get('type') || '').startsWith('pp_');
+  }
+
+  // The component without its children, as plain JSON. The block ID is left
+  // out because it is stored in its own column and changes when versions
+  // are cloned.
+  _componentToJSON(component) {
+    const { components, ...rest } = component.toJSON();
+    const json = JSON.parse(JSON.stringify(rest));
+
+    if (json.attributes) {
+      delete json.attributes['data-block-id'];
+    }
+
+    const style = component.getStyle();
+    if (style && Object.keys(style).length > 0) {
+      json.style = style;
+    }
+
+    return json;
+  }
+
   _grapesComponentToBlock(component, versionId, parentBlockId, sortOrder) {
     const templateName = component.get('type');
     const attributes = component.getAttributes();
@@ -226,6 +274,9 @@ export class PPBuilderSerializer {
       }
     }
 
+    settings[SCHEMA_VERSION_KEY] = migrations.currentVersion(templateName);
+    settings[COMPONENT_KEY] = this._componentToJSON(component);
+
     const blockType = this._getBlockTypeFromTemplate(templateName);
 
     const blockId = attributes['data-block-id'] || this._generateGUID();
@@ -274,7 +325,7 @@ export class PPBuilderSerializer {
 
     flatBlocks.forEach(block => {
       const id = block.id || block.pp_blockid;
-      const parentId = block.parentBlockId || block.pp_parentblockid;
+      const parentId = block.parentBlockId || getParentBlockId(block);
       const current = blockMap.get(id);
 
       if (parentId) {
@@ -316,18 +367,65 @@ export class PPBuilderSerializer {
     return flatBlocks;
   }
 
-  validateBlocks(blocks) {
+  /**
+   * Checks serialized blocks against the schemas in `blockSchemas`.
+   * Each error is `{ blockId, name, templateName, path, field, message }`,
+   * where path reads like "Section 1 › Grid 1 › Column 2" (positions are
+   * 1-based among siblings).
+   */
+  validateBlocks(blocks, schemas = blockSchemas) {
     const errors = [];
+    const byId = new Map(blocks.map(block => [block.id, block]));
+    const paths = new Map();
+    const siblingCounts = new Map();
+
+    const pathOf = (block) => {
+      if (paths.has(block.id)) return paths.get(block.id);
+
+      const parent = byId.get(block.parentBlockId);
+      const key = parent ? parent.id : null;
+      const position = (siblingCounts.get(key) || 0) + 1;
+      siblingCounts.set(key, position);
+
+      const segment = `${block.name || block.templateName} ${position}`;
+      const path = parent ? `${pathOf(parent)} › ${segment}` : segment;
+      paths.set(block.id, path);
+      return path;
+    };
+
+    [...blocks]
+      .sort((a, b) => (a.sortOrder ?? 0) - (b.sortOrder ?? 0))
+      .forEach(block => pathOf(block));
 
     blocks.forEach((block, index) => {
+      const report = (field, message) => errors.push({
+        blockId: block.id,
+        name: block.name || block.templateName || `Block ${index}`,
+        templateName: block.templateName,
+        path: paths.get(block.id) || `Block ${index}`,
+        field,
+        message
+      });
+
       if (!block.templateName) {
-        errors.push(`Block ${index}: Missing templateName`);
+        report(null, 'Missing templateName');
+        return;
       }
       if (block.blockType === undefined) {
-        errors.push(`Block ${index}: Missing blockType`);
+        report(null, 'Missing blockType');
       }
       if (block.sortOrder === undefined) {
-        errors.push(`Block ${index}: Missing sortOrder`);
+        report(null, 'Missing sortOrder');
+      }
+
+      const schema = schemas.get(block.templateName);
+      if (schema) {
+        validateSettings(block.settings, schema).forEach(error => report(error.field, error.message));
+      }
+
+      const parent = byId.get(block.parentBlockId);
+      if (parent && !allowsChild(schemas.get(parent.templateName), block.templateName)) {
+        report(null, `${block.name || block.templateName} (${block.templateName}) is not allowed inside ${parent.name || parent.templateName} (${parent.templateName})`);
       }
     });
 
@@ -336,6 +434,10 @@ export class PPBuilderSerializer {
       errors
     };
   }
+
+  formatValidationError(error) {
+    return `${error.path}: ${error.message}`;
+  }
 }
 
 export const serializer = new PPBuilderSerializer();
@@ -0,0 +1,193 @@
+import { apiClient } from './ppbuilder.apiclient.js';
+import { PPBuilderValidationError } from './ppbuilder.errors.js';
+import { getParentPageId } from './ppbuilder.pagetree.js';
+
+const SEGMENT_PATTERN = /^[a-z0-9-]+$/;
+
+// Letters that Unicode normalization does not decompose into a base letter
+// plus accent.
+const TRANSLITERATIONS = {
+  'ß': 'ss',
+  'æ': 'ae',
+  'œ': 'oe',
+  'ø': 'o',
+  'đ': 'd',
+  'ð': 'd',
+  'ł': 'l',
+  'þ': 'th',
+  'ĳ': 'ij'
+};
+
+export const REDIRECT_STATUS = {
+  PERMANENT: 301,
+  TEMPORARY: 302
+};
+
+export function generateSlug(text = '') {
+  return text
+    .toLowerCase()
+    .replace(/[ßæœøđðłþĳ]/g, char => TRANSLITERATIONS[char])
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s-]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+// Turns user input such as "Producten / Widgets" into "producten/widgets".
+export function normalizeSlugPath(text = '') {
+  return text
+    .split('/')
+    .map(segment => generateSlug(segment))
+    .filter(Boolean)
+    .join('/');
+}
+
+export function validateSlug(slug) {
+  if (!slug) {
+    return 'URL slug is required';
+  }
+  if (slug.startsWith('/') || slug.endsWith('/') || slug.includes('//')) {
+    return 'Slug segments cannot be empty and the slug cannot start or end with /';
+  }
+  if (!slug.split('/').every(segment => SEGMENT_PATTERN.test(segment))) {
+    return 'Slug can only contain lowercase letters, numbers, hyphens and / between parts';
+  }
+  return null;
+}
+
+export function getParentSlug(slug) {
+  const index = slug.lastIndexOf('/');
+  return index === -1 ? null : slug.slice(0, index);
+}
+
+export function getSlugLeaf(slug) {
+  return slug.slice(slug.lastIndexOf('/') + 1);
+}
+
+export function joinSlug(parentSlug, leaf) {
+  return parentSlug ? `${parentSlug}/${leaf}` : leaf;
+}
+
+/**
+ * Slug availability and slug changes.
+ *
+ * When the slug of a page with a published version changes, a permanent
+ * redirect from the old path is stored (`pp_redirects`). Redirects that
+ * pointed at the old path are moved to the new one so visitors never go
+ * through a chain, and a redirect whose source path is taken by a page is
+ * removed because the page wins.
+ */
+export class PPBuilderSlugService {
+  constructor(options = {}) {
+    this.client = options.client || apiClient;
+  }
+
+  async checkAvailability(slug, options = {}) {
+    const error = validateSlug(slug);
+    if (error) {
+      return { slug, available: false, valid: false, error, page: null };
+    }
+
+    const page = await this.client.getPageBySlug(slug);
+    const taken = Boolean(page && page.pp_pageid !== options.excludePageId);
+
+    const parentSlug = getParentSlug(slug);
+    const parent = parentSlug ? await this.client.getPageBySlug(parentSlug) : null;
+
+    return {
+      slug,
+      valid: true,
+      available: !taken,
+      error: taken ? `"${slug}" is already used by "${page.pp_title}"` : null,
+      page: taken ? page : null,
+      missingParent: Boolean(parentSlug && !parent) ? parentSlug : null
+    };
+  }
+
+  async assertAvailable(slug, options = {}) {
+    const result = await this.checkAvailability(slug, options);
+    if (!result.available) {
+      throw new PPBuilderValidationError(result.error);
+    }
+    return result;
+  }
+
+  async changeSlug(pageId, newSlug, updates = {}) {
+    const page = await this.client.getPage(pageId);
+    const oldSlug = page.pp_slug;
+
+    if (oldSlug === newSlug) {
+      return { page: await this.client.updatePage(pageId, updates), redirects: [], moved: [] };
+    }
+
+    // Subpages in the page tree move along with the page: each keeps its
+    // last segment under its parent's new path. Every target path is checked
+    // before anything is written.
+    const descendants = this._planDescendants(await this.client.getPages(), pageId, newSlug);
+
+    await this.assertAvailable(newSlug, { excludePageId: pageId });
+    for (const descendant of descendants) {
+      await this.assertAvailable(descendant.slug, { excludePageId: descendant.page.pp_pageid });
+    }
+
+    const updated = await this.client.updatePage(pageId, { ...updates, slug: newSlug });
+    const redirects = [await this._moved(page, newSlug)];
+    const moved = [];
+
+    for (const descendant of descendants) {
+      moved.push(await this.client.updatePage(descendant.page.pp_pageid, { slug: descendant.slug }));
+      redirects.push(await this._moved(descendant.page, descendant.slug));
+    }
+
+    return { page: updated, redirects: redirects.filter(Boolean), moved };
+  }
+
+  _planDescendants(pages, pageId, slug, visited = new Set([pageId])) {
+    return pages
+      .filter(other => getParentPageId(other) === pageId && !visited.has(other.pp_pageid))
+      .flatMap(child => {
+        visited.add(child.pp_pageid);
+        const childSlug = joinSlug(slug, getSlugLeaf(child.pp_slug));
+        return [
+          ...(childSlug !== child.pp_slug ? [{ page: child, slug: childSlug }] : []),
+          ...this._planDescendants(pages, child.pp_pageid, childSlug, visited)
+        ];
+      });
+  }
+
+  async _moved(page, newSlug) {
+    const oldSlug = page.pp_slug;
+    await this.claimPath(newSlug);
+
+    for (const existing of await this.client.getRedirects({ toSlug: oldSlug })) {
+      await this.client.updateRedirect(existing.pp_redirectid, { toSlug: newSlug });
+    }
+
+    if (!await this.client.getPublishedPageVersion(page.pp_pageid)) {
+      return null;
+    }
+
+    return await this.client.createRedirect({
+      fromSlug: oldSlug,
+      toSlug: newSlug,
+      pageId: page.pp_pageid,
+      statusCode: REDIRECT_STATUS.PERMANENT
+    });
+  }
+
+  // A page at a path replaces any redirect away from that path.
+  async claimPath(slug) {
+    for (const redirect of await this.client.getRedirects({ fromSlug: slug })) {
+      await this.client.deleteRedirect(redirect.pp_redirectid);
+    }
+  }
+
+  async resolve(slug) {
+    const [redirect] = await this.client.getRedirects({ fromSlug: slug });
+    return redirect
+      ? { slug: redirect.pp_toslug, statusCode: redirect.pp_statuscode || REDIRECT_STATUS.PERMANENT }
+      : null;
+  }
+}
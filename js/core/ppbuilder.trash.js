@@ -0,0 +1,110 @@
+import { apiClient } from './ppbuilder.apiclient.js';
+import { config as defaultConfig } from './ppbuilder.config.js';
+import { RECORD_STATE } from './ppbuilder.constants.js';
+import { PPBuilderTrashError } from './ppbuilder.errors.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Soft delete for pages.
+ *
+ * Deleting a page only sets it inactive (statecode 1); its versions and
+ * blocks stay untouched so a restore brings everything back. Pages can be
+ * purged for good once they have been in the trash for
+ * `trash.retentionDays` days.
+ */
+export class PPBuilderTrash {
+  constructor(options = {}) {
+    this.client = options.client || apiClient;
+    this.config = options.config || defaultConfig;
+    this.now = options.now || (() => new Date());
+  }
+
+  get retentionDays() {
+    return Math.max(0, Number(this.config.get('trash.retentionDays', 30)) || 0);
+  }
+
+  purgeableOn(page) {
+    const deletedOn = page.pp_deletedon ? new Date(page.pp_deletedon) : this.now();
+    return new Date(deletedOn.getTime() + this.retentionDays * DAY);
+  }
+
+  canPurge(page) {
+    return this.purgeableOn(page) <= this.now();
+  }
+
+  async list() {
+    const pages = await this.client.getTrashedPages();
+
+    return pages.map(page => ({
+      ...page,
+      purgeableOn: this.purgeableOn(page).toISOString(),
+      canPurge: this.canPurge(page)
+    }));
+  }
+
+  // Schedules are cleared so a page in the trash cannot go live by itself.
+  async trash(pageId, options = {}) {
+    const versions = await this.client.getPageVersions(pageId);
+
+    for (const version of versions) {
+      const settings = version.pp_settings ? JSON.parse(version.pp_settings) : {};
+      if (settings.schedule) {
+        delete settings.schedule;
+        await this.client.updatePageVersion(version.pp_versionid, { settings });
+      }
+    }
+
+    return await this.client.trashPage(pageId, { user: options.user || null });
+  }
+
+  async restore(pageId) {
+    const page = await this._requireTrashed(pageId);
+
+    const existing = await this.client.getPageBySlug(page.pp_slug);
+    if (existing) {
+      throw new PPBuilderTrashError(
+        `Another page already uses the slug "${page.pp_slug}". Change that page's slug before restoring this one.`,
+        { code: 'SlugInUse' }
+      );
+    }
+
+    return await this.client.restorePage(pageId);
+  }
+
+  async purge(pageId) {
+    const page = await this._requireTrashed(pageId);
+
+    if (!this.canPurge(page)) {
+      throw new PPBuilderTrashError(
+        `"${page.pp_title}" can be purged from ${this.purgeableOn(page).toLocaleDateString()}`,
+        { code: 'RetentionPeriod' }
+      );
+    }
+
+    return await this.client.deletePageCascade(pageId, { split: true });
+  }
+
+  // A page in the trash is purged in as many changesets as it needs. The
+  // page record goes last, so a page whose purge fails halfway stays in the
+  // trash with what is left of it and is purged on the next run.
+  async purgeExpired() {
+    const expired = (await this.list()).filter(page => page.canPurge);
+    const purged = [];
+
+    for (const page of expired) {
+      await this.client.deletePageCascade(page.pp_pageid, { split: true });
+      purged.push(page);
+    }
+
+    return purged;
+  }
+
+  async _requireTrashed(pageId) {
+    const page = await this.client.getPage(pageId);
+    if (page.statecode !== RECORD_STATE.INACTIVE.statecode) {
+      throw new PPBuilderTrashError(`"${page.pp_title}" is not in the trash`, { code: 'NotTrashed' });
+    }
+    return page;
+  }
+}
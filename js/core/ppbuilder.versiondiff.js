@@ -0,0 +1,256 @@
+import { serializer, COMPONENT_KEY, BLOCK_REF } from './ppbuilder.serializer.js';
+import { normalizeData } from './ppbuilder.blockdiff.js';
+import { SCHEMA_VERSION_KEY } from './ppbuilder.migrations.js';
+import { getBlockClasses } from './ppbuilder.classmap.js';
+
+// Settings the serializer keeps for itself. The component JSON is compared
+// part by part instead (see componentParts()); schemaVersion only moves
+// with a migration.
+const INTERNAL_KEYS = new Set([COMPONENT_KEY, SCHEMA_VERSION_KEY]);
+
+const BLOCK_ATTRIBUTES = new Set(['data-block-id', 'data-template', 'data-block-type']);
+
+/**
+ * Compares the block trees of two page versions.
+ *
+ * Blocks are matched by pp_blockid. Copies made by cloneVersion get new IDs,
+ * so `idMap` ({ baseId: targetId }) translates base IDs before matching;
+ * getCloneIdMap() derives it from the clonedFrom record a copy keeps in its
+ * settings.
+ */
+export function diffVersions(baseBlocks, targetBlocks, options = {}) {
+  const idMap = options.idMap || {};
+  const base = indexTree(baseBlocks, id => idMap[id] || id);
+  const target = indexTree(targetBlocks, id => id);
+
+  const result = {
+    added: [],
+    removed: [],
+    moved: [],
+    reordered: [],
+    changed: [],
+    unchanged: 0
+  };
+
+  target.nodes.forEach((node, id) => {
+    const previous = base.nodes.get(id);
+
+    if (!previous) {
+      result.added.push(describe(node));
+      return;
+    }
+
+    let different = false;
+
+    if (previous.parentId !== node.parentId || (previous.block.pp_zone || null) !== (node.block.pp_zone || null)) {
+      result.moved.push({
+        ...describe(node),
+        baseId: previous.block.pp_blockid,
+        from: { parentId: previous.parentId, zone: previous.block.pp_zone || null, path: previous.path },
+        to: { parentId: node.parentId, zone: node.block.pp_zone || null, path: node.path }
+      });
+      different = true;
+    }
+
+    const keys = diffSettings(previous.block, node.block);
+    if (keys.length > 0) {
+      result.changed.push({ ...describe(node), baseId: previous.block.pp_blockid, keys });
+      different = true;
+    }
+
+    if (!different) {
+      result.unchanged++;
+    }
+  });
+
+  base.nodes.forEach((node, id) => {
+    if (!target.nodes.has(id)) {
+      result.removed.push(describe(node));
+    }
+  });
+
+  result.reordered = findReordered(base, target, result.moved);
+  result.unchanged -= result.reordered.filter(entry => !isListed(result, entry.id)).length;
+
+  result.hasChanges = ['added', 'removed', 'moved', 'reordered', 'changed'].some(type => result[type].length > 0);
+
+  return result;
+}
+
+export function getCloneIdMap(baseVersion, targetVersion) {
+  const targetOrigin = parseSettings(targetVersion).clonedFrom;
+  if (targetOrigin?.versionId === baseVersion.pp_versionid) {
+    return { ...targetOrigin.blockIds };
+  }
+
+  const baseOrigin = parseSettings(baseVersion).clonedFrom;
+  if (baseOrigin?.versionId === targetVersion.pp_versionid) {
+    return Object.fromEntries(Object.entries(baseOrigin.blockIds).map(([targetId, baseId]) => [baseId, targetId]));
+  }
+
+  return {};
+}
+
+function parseSettings(version) {
+  return version.settings || (version.pp_settings ? JSON.parse(version.pp_settings) : {});
+}
+
+function indexTree(blocks, keyOf) {
+  const sorted = [...blocks].sort((a, b) => (a.pp_order ?? 0) - (b.pp_order ?? 0));
+  const roots = serializer.buildBlockTree(sorted);
+  const nodes = new Map();
+  const children = new Map();
+
+  const walk = (block, parentId, path) => {
+    const id = keyOf(block.pp_blockid);
+    const label = block.pp_title || block.pp_type;
+    const node = { id, parentId, block, path: [...path, label] };
+
+    nodes.set(id, node);
+    if (!children.has(parentId)) children.set(parentId, []);
+    children.get(parentId).push(id);
+
+    block.children.forEach(child => walk(child, id, node.path));
+  };
+
+  roots.forEach(block => walk(block, null, []));
+
+  return { nodes, children };
+}
+
+function describe(node) {
+  return {
+    id: node.block.pp_blockid,
+    key: node.id,
+    name: node.block.pp_title || null,
+    templateName: node.block.pp_type,
+    path: node.path
+  };
+}
+
+function diffSettings(before, after) {
+  const previous = JSON.parse(normalizeData(before.pp_data));
+  const next = JSON.parse(normalizeData(after.pp_data));
+  const keys = new Set([...Object.keys(previous), ...Object.keys(next)].filter(key => !INTERNAL_KEYS.has(key)));
+  const changes = [];
+
+  keys.forEach(key => {
+    if (!(key in previous)) {
+      changes.push({ key, change: 'added', after: next[key] });
+    } else if (!(key in next)) {
+      changes.push({ key, change: 'removed', before: previous[key] });
+    } else if (JSON.stringify(previous[key]) !== JSON.stringify(next[key])) {
+      changes.push({ key, change: 'modified', before: previous[key], after: next[key] });
+    }
+  });
+
+  if (previous[COMPONENT_KEY] && next[COMPONENT_KEY]) {
+    const previousParts = componentParts(previous, before.pp_type);
+    const nextParts = componentParts(next, after.pp_type);
+
+    Object.keys(nextParts).forEach(key => {
+      if (JSON.stringify(previousParts[key]) !== JSON.stringify(nextParts[key])) {
+        changes.push({ key, change: 'modified', before: previousParts[key], after: nextParts[key] });
+      }
+    });
+  }
+
+  if ((before.pp_title || null) !== (after.pp_title || null)) {
+    changes.push({ key: 'name', change: 'modified', before: before.pp_title, after: after.pp_title });
+  }
+  if (before.pp_type !== after.pp_type) {
+    changes.push({ key: 'templateName', change: 'modified', before: before.pp_type, after: after.pp_type });
+  }
+
+  return changes;
+}
+
+// What an editor changes in a block's component JSON beyond its traits:
+// text and rich children, tag, own classes, inline style and attributes.
+// Classes and attributes that follow from the trait values are left out, as
+// are the places of child blocks, which the tree comparison covers.
+function componentParts(settings, templateName) {
+  const { tagName = null, content = null, components = [], classes = [], style = {}, attributes = {} } = settings[COMPONENT_KEY];
+  const derived = new Set([
+    ...getBlockClasses(templateName, settings),
+    ...String(settings.customClass || '').split(/\s+/)
+  ]);
+
+  return {
+    content: { content, components: withoutBlockRefs(components) },
+    tag: tagName,
+    classes: classes.map(entry => entry?.name || entry).filter(name => !derived.has(name)),
+    style,
+    attributes: Object.fromEntries(Object.entries(attributes)
+      .filter(([name]) => !(name in settings) && !BLOCK_ATTRIBUTES.has(name)))
+  };
+}
+
+function withoutBlockRefs(components) {
+  return components
+    .filter(json => json[BLOCK_REF] === undefined)
+    .map(json => (json.components ? { ...json, components: withoutBlockRefs(json.components) } : json));
+}
+
+// Siblings kept in place form the longest common subsequence of the two
+// orderings; every other sibling that exists on both sides was reordered.
+function findReordered(base, target, moved) {
+  const movedKeys = new Set(moved.map(entry => entry.key));
+  const reordered = [];
+
+  target.children.forEach((targetOrder, parentId) => {
+    const baseOrder = base.children.get(parentId) || [];
+    const common = new Set(baseOrder.filter(id => targetOrder.includes(id) && !movedKeys.has(id)));
+
+    const before = baseOrder.filter(id => common.has(id));
+    const after = targetOrder.filter(id => common.has(id));
+    const kept = new Set(longestCommonSubsequence(before, after));
+
+    after.forEach(id => {
+      if (!kept.has(id)) {
+        reordered.push({
+          ...describe(target.nodes.get(id)),
+          baseId: base.nodes.get(id).block.pp_blockid,
+          from: before.indexOf(id),
+          to: after.indexOf(id)
+        });
+      }
+    });
+  });
+
+  return reordered;
+}
+
+function longestCommonSubsequence(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const sequence = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      sequence.push(a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return sequence;
+}
+
+function isListed(result, id) {
+  return result.moved.some(entry => entry.id === id) || result.changed.some(entry => entry.id === id);
+}
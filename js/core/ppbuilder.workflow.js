@@ -0,0 +1,191 @@
+import { apiClient } from './ppbuilder.apiclient.js';
+import { config as defaultConfig } from './ppbuilder.config.js';
+import { VERSION_STATE } from './ppbuilder.constants.js';
+import { PPBuilderWorkflowError } from './ppbuilder.errors.js';
+
+const TRANSITIONS = {
+  submit: {
+    from: [VERSION_STATE.DRAFT, VERSION_STATE.REJECTED],
+    to: VERSION_STATE.IN_REVIEW
+  },
+  approve: {
+    from: [VERSION_STATE.IN_REVIEW],
+    to: VERSION_STATE.APPROVED
+  },
+  reject: {
+    from: [VERSION_STATE.IN_REVIEW],
+    to: VERSION_STATE.REJECTED,
+    commentRequired: true
+  },
+  reopen: {
+    from: [VERSION_STATE.IN_REVIEW, VERSION_STATE.APPROVED],
+    to: VERSION_STATE.DRAFT,
+    permission: 'edit'
+  }
+};
+
+// States a version can be published from when workflow.requireApproval is
+// off; it is approved on the way.
+const REVIEWABLE_STATES = [VERSION_STATE.DRAFT, VERSION_STATE.IN_REVIEW, VERSION_STATE.REJECTED];
+
+/**
+ * Draft → review → approval → publish workflow for page versions.
+ *
+ * The review trail lives in the version's pp_settings under `review`
+ * (`{ comment, by, at, history: [...] }`) and is written together with the
+ * state through updatePageVersion. Permissions come from the configured
+ * role map: `workflow.roles` maps a role to the actions it may take and
+ * `user.roles` lists the roles of the current user. Nobody approves their
+ * own submission: the submitter is taken from the review history and
+ * compared with the current user name.
+ */
+export class PPBuilderWorkflow {
+  constructor(options = {}) {
+    this.client = options.client || apiClient;
+    this.config = options.config || defaultConfig;
+  }
+
+  get requireApproval() {
+    return this.config.get('workflow.requireApproval', true);
+  }
+
+  get userName() {
+    return this.config.get('user.name') || this.config.get('user.email') || 'Unknown user';
+  }
+
+  getAllowedActions() {
+    const roleMap = this.config.get('workflow.roles', {});
+    const roles = this.config.get('user.roles', []);
+
+    return new Set(roles.flatMap(role => roleMap[role] || []));
+  }
+
+  can(action) {
+    return this.getAllowedActions().has(action);
+  }
+
+  assertCan(action) {
+    if (!this.can(action)) {
+      throw new PPBuilderWorkflowError(`You are not allowed to ${action} versions`, { code: 'Forbidden' });
+    }
+  }
+
+  getReview(version) {
+    const settings = version.settings || (version.pp_settings ? JSON.parse(version.pp_settings) : {});
+    return settings.review || null;
+  }
+
+  getSubmitter(version) {
+    const history = this.getReview(version)?.history || [];
+    return [...history].reverse().find(entry => entry.action === 'submit')?.by || null;
+  }
+
+  isSubmitter(version) {
+    return this.getSubmitter(version) === this.userName;
+  }
+
+  availableActions(version) {
+    return Object.entries(TRANSITIONS)
+      .filter(([action, transition]) => action !== 'reopen' && transition.from.includes(version.pp_state))
+      .map(([action]) => action)
+      .filter(action => this.can(action))
+      .filter(action => action !== 'approve' || !this.isSubmitter(version));
+  }
+
+  async transition(versionId, action, options = {}) {
+    const transition = TRANSITIONS[action];
+    if (!transition) {
+      throw new PPBuilderWorkflowError(`Unknown workflow action: ${action}`, { code: 'UnknownAction' });
+    }
+
+    this.assertCan(transition.permission || action);
+
+    const version = await this.client.getPageVersion(versionId);
+    if (!transition.from.includes(version.pp_state)) {
+      throw new PPBuilderWorkflowError(`This version cannot be ${this._pastTense(action)} in its current state`, {
+        code: 'InvalidState'
+      });
+    }
+
+    if (action === 'approve' && this.isSubmitter(version)) {
+      throw new PPBuilderWorkflowError('You cannot approve a version you submitted yourself', { code: 'SelfApproval' });
+    }
+
+    const comment = (options.comment || '').trim();
+    if (transition.commentRequired && !comment) {
+      throw new PPBuilderWorkflowError('Please add a comment explaining what needs to change', { code: 'CommentRequired' });
+    }
+
+    return await this._record(version, action, transition.to, comment);
+  }
+
+  async _record(version, action, state, comment) {
+    const settings = version.pp_settings ? JSON.parse(version.pp_settings) : {};
+    const entry = {
+      action,
+      from: version.pp_state,
+      to: state,
+      comment: comment || null,
+      by: this.userName,
+      at: new Date().toISOString()
+    };
+
+    settings.review = {
+      comment: comment || null,
+      by: entry.by,
+      at: entry.at,
+      history: [...(settings.review?.history || []), entry]
+    };
+
+    return await this.client.updatePageVersion(version.pp_versionid, { state, settings });
+  }
+
+  async submit(versionId, comment) {
+    return await this.transition(versionId, 'submit', { comment });
+  }
+
+  async approve(versionId, comment) {
+    return await this.transition(versionId, 'approve', { comment });
+  }
+
+  async reject(versionId, comment) {
+    return await this.transition(versionId, 'reject', { comment });
+  }
+
+  async reopen(versionId) {
+    return await this.transition(versionId, 'reopen', { comment: 'Changed after review' });
+  }
+
+  isReadyToPublish(version) {
+    return version.pp_state === VERSION_STATE.APPROVED
+      || (!this.requireApproval && REVIEWABLE_STATES.includes(version.pp_state));
+  }
+
+  // Approves a version that may skip review, so publishPage() accepts it.
+  async approveForPublish(version, comment = 'Published without review') {
+    if (!this.isReadyToPublish(version)) {
+      throw new PPBuilderWorkflowError('This version has to be approved before it can be published', {
+        code: 'NotApproved'
+      });
+    }
+
+    if (version.pp_state === VERSION_STATE.APPROVED) {
+      return version;
+    }
+
+    return await this._record(version, 'approve', VERSION_STATE.APPROVED, comment);
+  }
+
+  async publish(pageId, versionId) {
+    this.assertCan('publish');
+
+    const version = await this.client.getPageVersion(versionId);
+    await this.approveForPublish(version);
+
+    return await this.client.publishPage(pageId, versionId);
+  }
+
+  _pastTense(action) {
+    return { submit: 'submitted', approve: 'approved', reject: 'rejected', reopen: 'reopened' }[action] || action;
+  }
+}
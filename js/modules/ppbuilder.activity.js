@@ -0,0 +1,153 @@
+import { storage } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/storage/ppbuilder.storage.js';
+import { config } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.config.js';
+import {
+  PPBuilderAuditLog,
+  AUDIT_ACTION_LABELS,
+  filterAuditEntries,
+  auditEntriesToCSV
+} from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.audit.js';
+import { pageManager } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.pagemanager.js';
+
+class PPBuilderActivity {
+  constructor() {
+    this.editor = null;
+    this.app = null;
+    this.log = null;
+    this.entries = [];
+    this.filter = {};
+  }
+
+  async init(editor, app) {
+    this.editor = editor;
+    this.app = app;
+    this.log = new PPBuilderAuditLog({ client: storage, config });
+  }
+
+  context(context = {}) {
+    return {
+      page: this.app.currentPage,
+      version: this.app.currentVersion,
+      ...context
+    };
+  }
+
+  async record(action, context = {}) {
+    return await this.log?.record(action, this.context(context));
+  }
+
+  async recordSave(result, context = {}) {
+    return await this.log?.recordSave(this.context(context), result);
+  }
+
+  async show() {
+    const page = this.app.currentPage;
+    if (!page) {
+      this.app.showError('No page loaded');
+      return;
+    }
+
+    try {
+      this.app.showLoading('Loading activity...');
+      this.entries = await this.log.getEntries(page.pp_pageid);
+      this.filter = {};
+      this.app.hideLoading();
+    } catch (error) {
+      console.error('❌ Failed to load activity:', error);
+      this.app.hideLoading();
+      this.app.showError(`Failed to load activity: ${this.app.describeError(error)}`);
+      return;
+    }
+
+    const users = [...new Set(this.entries.map(entry => entry.user).filter(Boolean))].sort();
+
+    const dialog = pageManager.createDialog({
+      title: `Activity: ${pageManager.escapeHtml(page.pp_title)}`,
+      content: `
+        <div class="pp-activity-filters">
+          <select id="pp-activity-action" class="pp-input">
+            <option value="">All actions</option>
+            ${Object.entries(AUDIT_ACTION_LABELS).map(([action, label]) => `<option value="${action}">${label}</option>`).join('')}
+          </select>
+          <select id="pp-activity-user" class="pp-input">
+            <option value="">All users</option>
+            ${users.map(user => `<option value="${pageManager.escapeHtml(user).replace(/"/g, '&quot;')}">${pageManager.escapeHtml(user)}</option>`).join('')}
+          </select>
+          <input type="date" id="pp-activity-from" class="pp-input" title="From">
+          <input type="date" id="pp-activity-to" class="pp-input" title="To">
+          <input type="search" id="pp-activity-search" class="pp-input" placeholder="Search...">
+        </div>
+        <ul id="pp-activity-list" class="pp-activity-list">${this.renderEntries(this.entries)}</ul>
+      `,
+      buttons: [
+        {
+          text: 'Close',
+          className: 'pp-btn-secondary',
+          onClick: (dialog) => dialog.close()
+        },
+        {
+          text: 'Export CSV',
+          className: 'pp-btn-primary',
+          onClick: () => this.exportCSV(filterAuditEntries(this.entries, this.filter))
+        }
+      ]
+    });
+
+    dialog.show();
+
+    const applyFilter = () => {
+      const action = document.getElementById('pp-activity-action')?.value;
+      const from = document.getElementById('pp-activity-from')?.value;
+      const to = document.getElementById('pp-activity-to')?.value;
+
+      this.filter = {
+        actions: action ? [action] : [],
+        user: document.getElementById('pp-activity-user')?.value || null,
+        from: from ? `${from}T00:00:00` : null,
+        to: to ? `${to}T23:59:59.999` : null,
+        search: document.getElementById('pp-activity-search')?.value
+      };
+
+      const list = document.getElementById('pp-activity-list');
+      if (list) {
+        list.innerHTML = this.renderEntries(filterAuditEntries(this.entries, this.filter));
+      }
+    };
+
+    ['pp-activity-action', 'pp-activity-user', 'pp-activity-from', 'pp-activity-to', 'pp-activity-search'].forEach(id => {
+      document.getElementById(id)?.addEventListener('input', applyFilter);
+    });
+  }
+
+  renderEntries(entries) {
+    if (entries.length === 0) {
+      return '<li class="pp-empty-state">No activity found.</li>';
+    }
+
+    return entries.map(entry => `
+      <li class="pp-activity-item pp-activity-${entry.action.replace(/\./g, '-')}">
+        <span class="pp-activity-date">${pageManager.escapeHtml(new Date(entry.timestamp).toLocaleString())}</span>
+        <strong>${AUDIT_ACTION_LABELS[entry.action] || pageManager.escapeHtml(entry.action)}</strong>
+        <span class="pp-activity-user">${pageManager.escapeHtml(entry.user || '')}</span>
+        <p>${pageManager.escapeHtml(entry.summary || '')}</p>
+        ${entry.versionLabel ? `<small>${pageManager.escapeHtml(entry.versionLabel)}</small>` : ''}
+      </li>
+    `).join('');
+  }
+
+  exportCSV(entries) {
+    const blob = new Blob([auditEntriesToCSV(entries)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = `${this.app.currentPage?.pp_slug || 'page'}-activity.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+
+    console.log(`✅ Exported ${entries.length} activity entries`);
+  }
+}
+
+export const activity = new PPBuilderActivity();
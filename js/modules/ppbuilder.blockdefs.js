@@ -5,6 +5,8 @@ import { contentBlocks } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-
 import { mediaBlocks } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/blocks/media-blocks.js';
 import { navBlocks } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/blocks/nav-blocks.js';
 import { dvBlocks } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/blocks/dv-blocks.js';
+import { blockSchemas } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.blockschema.js';
+import { migrations } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.migrations.js';
 
 class PPBuilderBlockDefinitions {
   constructor() {
@@ -31,12 +33,35 @@ class PPBuilderBlockDefinitions {
     return this.categories[categoryName]?.getBlocks() || [];
   }
 
+  getAllSchemas() {
+    return Object.values(this.categories).reduce((schemas, category) => ({
+      ...schemas,
+      ...category.getSchemas()
+    }), {});
+  }
+
+  getAllMigrations() {
+    return Object.values(this.categories).reduce((all, category) => ({
+      ...all,
+      ...category.getMigrations()
+    }), {});
+  }
+
   registerComponents(editor) {
+    this.registerComponentTypes(editor);
+
+    blockSchemas.registerAll(this.getAllSchemas());
+    migrations.registerAll(this.getAllMigrations());
+
+    console.log('✅ All block components registered');
+  }
+
+  // Only the GrapesJS component types, for additional editors such as the
+  // version compare canvases; schemas and migrations are registered once.
+  registerComponentTypes(editor) {
     Object.values(this.categories).forEach(category => {
       category.registerComponents(editor);
     });
-
-    console.log('✅ All block components registered');
   }
 }
 
@@ -0,0 +1,218 @@
+import { storage } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/storage/ppbuilder.storage.js';
+import { PPBuilderBundles } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.bundles.js';
+import { normalizeSlugPath, validateSlug } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.slugs.js';
+import { getParentPageId } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.pagetree.js';
+import { AUDIT_ACTIONS } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.audit.js';
+import { pageManager } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.pagemanager.js';
+import { activity } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.activity.js';
+
+class PPBuilderBundleTransfer {
+  constructor() {
+    this.editor = null;
+    this.app = null;
+    this.service = null;
+    this.bundle = null;
+  }
+
+  async init(editor, app) {
+    this.editor = editor;
+    this.app = app;
+    this.service = new PPBuilderBundles({ client: storage });
+  }
+
+  isRegistered(templateName) {
+    return Boolean(this.editor.DomComponents.getType(templateName));
+  }
+
+  // Downloads the version open in the editor, saving it first so the
+  // bundle matches what is on screen.
+  async exportCurrentPage() {
+    const page = this.app.currentPage;
+    if (!page || !this.app.currentVersion) {
+      this.app.showError('No page loaded');
+      return;
+    }
+
+    if (this.app.isDirty && !await this.app.saveDraft(true)) {
+      return;
+    }
+
+    try {
+      this.app.showLoading('Exporting page...');
+      const bundle = await this.service.exportPage(page.pp_pageid, { versionId: this.app.currentVersion.pp_versionid });
+      this.app.hideLoading();
+
+      this.download(bundle, `${page.pp_slug.replace(/\//g, '-')}.ppbundle.json`);
+
+      console.log(`✅ Exported "${page.pp_title}" with ${bundle.templates.length} block types`);
+    } catch (error) {
+      console.error('❌ Failed to export page:', error);
+      this.app.hideLoading();
+      this.app.showError(`Failed to export page: ${this.app.describeError(error)}`);
+    }
+  }
+
+  download(bundle, filename) {
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  showImportDialog() {
+    this.bundle = null;
+
+    const dialog = pageManager.createDialog({
+      title: 'Import Page',
+      content: `
+        <div class="pp-form-group">
+          <label for="pp-import-file">Bundle file *</label>
+          <input type="file" id="pp-import-file" class="pp-input" accept=".json,application/json">
+          <small>A .ppbundle.json file exported from a PP Builder portal</small>
+        </div>
+        <div id="pp-import-details" style="display: none;">
+          <div class="pp-form-group">
+            <label for="pp-import-title">Page Title *</label>
+            <input type="text" id="pp-import-title" class="pp-input">
+          </div>
+          <div class="pp-form-group">
+            <label for="pp-import-slug">URL Slug *</label>
+            <input type="text" id="pp-import-slug" class="pp-input">
+            <small id="pp-import-slug-status"></small>
+          </div>
+          <div id="pp-import-unknown" class="pp-import-warning" style="display: none;"></div>
+        </div>
+      `,
+      buttons: [
+        {
+          text: 'Cancel',
+          className: 'pp-btn-secondary',
+          onClick: (dialog) => dialog.close()
+        },
+        {
+          text: 'Import',
+          className: 'pp-btn-primary',
+          onClick: (dialog) => this.importPage(dialog)
+        }
+      ]
+    });
+
+    dialog.show();
+
+    const slugInput = document.getElementById('pp-import-slug');
+    const checkSlug = pageManager.attachSlugCheck(slugInput, document.getElementById('pp-import-slug-status'));
+
+    slugInput?.addEventListener('blur', () => {
+      slugInput.value = normalizeSlugPath(slugInput.value);
+      checkSlug();
+    });
+
+    document.getElementById('pp-import-file')?.addEventListener('change', async (event) => {
+      const file = event.target.files[0];
+      if (!file) return;
+
+      try {
+        this.bundle = this.service.validateBundle(JSON.parse(await file.text()));
+      } catch (error) {
+        this.bundle = null;
+        document.getElementById('pp-import-details').style.display = 'none';
+        this.app.showError(error instanceof SyntaxError
+          ? 'The file is not valid JSON'
+          : this.app.describeError(error));
+        return;
+      }
+
+      document.getElementById('pp-import-title').value = this.bundle.page.title;
+      slugInput.value = this.bundle.page.slug || '';
+      document.getElementById('pp-import-details').style.display = '';
+      checkSlug();
+
+      this.renderUnknownTemplates(this.service.findUnknownTemplates(this.bundle, type => this.isRegistered(type)));
+    });
+  }
+
+  renderUnknownTemplates(unknownTemplates) {
+    const element = document.getElementById('pp-import-unknown');
+    if (!element) return;
+
+    if (unknownTemplates.length === 0) {
+      element.style.display = 'none';
+      element.innerHTML = '';
+      return;
+    }
+
+    element.style.display = '';
+    element.innerHTML = `
+      <p>This portal does not have these block types:</p>
+      <ul>
+        ${unknownTemplates.map(({ templateName, count }) => `<li><code>${pageManager.escapeHtml(templateName)}</code> (${count} ${count === 1 ? 'block' : 'blocks'})</li>`).join('')}
+      </ul>
+      <label>
+        <input type="checkbox" id="pp-import-allow-unknown">
+        Import anyway; these blocks are kept but cannot be edited here
+      </label>
+    `;
+  }
+
+  async importPage(dialog) {
+    if (!this.bundle) {
+      this.app.showError('Choose a bundle file to import');
+      return;
+    }
+
+    const title = document.getElementById('pp-import-title')?.value.trim();
+    const slug = normalizeSlugPath(document.getElementById('pp-import-slug')?.value.trim() || '');
+    const allowUnknownTemplates = Boolean(document.getElementById('pp-import-allow-unknown')?.checked);
+
+    if (!title) {
+      this.app.showError('Page title is required');
+      return;
+    }
+
+    const slugError = validateSlug(slug);
+    if (slugError) {
+      this.app.showError(slugError);
+      return;
+    }
+
+    try {
+      dialog.close();
+      this.app.showLoading('Importing page...');
+
+      const result = await this.service.importBundle(this.bundle, {
+        title,
+        slug,
+        isRegistered: type => this.isRegistered(type),
+        allowUnknownTemplates,
+        sortOrder: pageManager.pages.filter(page => !getParentPageId(page)).length
+      });
+
+      activity.record(AUDIT_ACTIONS.PAGE_CREATE, {
+        page: result.page,
+        version: result.version,
+        summary: `Imported page "${title}" at /${slug} with ${result.blocksCount} blocks`
+      });
+
+      await pageManager.loadPagesList();
+
+      this.app.hideLoading();
+      this.app.showSuccess(`Page "${title}" imported`);
+
+      this.app.loadPage(slug);
+
+      console.log('✅ Page imported:', result.page.pp_pageid);
+    } catch (error) {
+      console.error('❌ Failed to import page:', error);
+      this.app.hideLoading();
+      this.app.showError(`Failed to import page: ${this.app.describeError(error)}`);
+    }
+  }
+}
+
+export const bundleTransfer = new PPBuilderBundleTransfer();
@@ -0,0 +1,137 @@
+import { storage } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/storage/ppbuilder.storage.js';
+import { PPBuilderIDBStore } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.idb.js';
+
+class PPBuilderOfflineQueue {
+  constructor() {
+    this.store = new PPBuilderIDBStore('ppbuilder-offline', 'drafts');
+    this.sessionId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    this.app = null;
+    this.syncing = false;
+  }
+
+  async init(app) {
+    this.app = app;
+
+    if (!this.isAvailable()) {
+      console.warn('IndexedDB not available, offline edits are disabled');
+      return;
+    }
+
+    window.addEventListener('online', () => this.replay());
+  }
+
+  isAvailable() {
+    return PPBuilderIDBStore.isAvailable();
+  }
+
+  key(pageId, versionId) {
+    return `${pageId}:${versionId}`;
+  }
+
+  async saveLocal({ page, version, blocks, pending = false }) {
+    if (!this.isAvailable()) return null;
+
+    const key = this.key(page.pp_pageid, version.pp_versionid);
+    const existing = await this.store.get(key);
+
+    const entry = {
+      key,
+      pageId: page.pp_pageid,
+      versionId: version.pp_versionid,
+      slug: page.pp_slug,
+      title: page.pp_title,
+      blocks,
+      savedAt: new Date().toISOString(),
+      sessionId: this.sessionId,
+      pending: pending || Boolean(existing?.pending && existing.sessionId === this.sessionId)
+    };
+
+    await this.store.put(key, entry);
+    return entry;
+  }
+
+  async enqueue(data) {
+    return await this.saveLocal({ ...data, pending: true });
+  }
+
+  async getLocal(pageId, versionId) {
+    if (!this.isAvailable()) return null;
+    return await this.store.get(this.key(pageId, versionId)) || null;
+  }
+
+  async clear(pageId, versionId) {
+    if (!this.isAvailable()) return;
+    await this.store.delete(this.key(pageId, versionId));
+  }
+
+  async getPending() {
+    if (!this.isAvailable()) return [];
+
+    const entries = await this.store.getAll();
+    return entries.filter(entry => entry.pending && entry.sessionId === this.sessionId);
+  }
+
+  async replay() {
+    if (this.syncing || !navigator.onLine) return;
+
+    this.syncing = true;
+    let synced = 0;
+
+    try {
+      for (const entry of await this.getPending()) {
+        try {
+          await storage.saveDraft(entry.versionId, entry.blocks);
+
+          const latest = await this.store.get(entry.key);
+          if (latest && latest.savedAt === entry.savedAt) {
+            await this.store.delete(entry.key);
+          }
+
+          if (this.app?.currentVersion?.pp_versionid === entry.versionId && latest?.savedAt === entry.savedAt) {
+            this.app.isDirty = false;
+            this.app.updateStatus('Draft saved');
+          }
+
+          synced++;
+        } catch (error) {
+          console.error('❌ Failed to sync offline changes:', entry.key, error);
+          this.app?.showError(`Could not sync offline changes for "${entry.title}": ${this.app.describeError(error)}`);
+        }
+      }
+    } finally {
+      this.syncing = false;
+    }
+
+    if (synced > 0) {
+      this.app?.showSuccess(`Synced offline changes for ${synced} page${synced === 1 ? '' : 's'}`);
+      console.log(`✅ Synced ${synced} offline drafts`);
+    }
+  }
+
+  isNewerThanServer(entry, version, blocks) {
+    const serverTimestamps = [version, ...blocks]
+      .map(record => Date.parse(record.modifiedon || record.pp_createdon || ''))
+      .filter(timestamp => !Number.isNaN(timestamp));
+
+    if (serverTimestamps.length === 0) {
+      return true;
+    }
+
+    return Date.parse(entry.savedAt) > Math.max(...serverTimestamps);
+  }
+
+  toRecords(blocks) {
+    return blocks.map(block => ({
+      pp_blockid: block.id,
+      pp_parentblockid: block.parentBlockId || null,
+      pp_title: block.name,
+      pp_type: block.templateName,
+      pp_blocktype: block.blockType,
+      pp_order: block.sortOrder,
+      pp_zone: block.zone,
+      pp_data: JSON.stringify(block.settings || {})
+    }));
+  }
+}
+
+export const offlineQueue = new PPBuilderOfflineQueue();
@@ -1,10 +1,36 @@
-import { apiClient } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.apiclient.js';
+import { storage } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/storage/ppbuilder.storage.js';
+import { AUDIT_ACTIONS } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.audit.js';
+import {
+  PPBuilderSlugService,
+  generateSlug,
+  normalizeSlugPath,
+  validateSlug,
+  getSlugLeaf,
+  joinSlug
+} from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.slugs.js';
+import {
+  PAGE_TREE_STATUS_LABELS,
+  buildPageTree,
+  filterPageTree,
+  flattenPageTree,
+  findTreePosition,
+  getParentPageId,
+  planPageMove,
+  getPageStatuses
+} from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.pagetree.js';
+import { activity } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.activity.js';
+import { recycleBin } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.recyclebin.js';
 
 class PPBuilderPageManager {
   constructor() {
     this.editor = null;
     this.app = null;
     this.pages = [];
+    this.statuses = new Map();
+    this.collapsed = new Set();
+    this.search = '';
+    this.dragging = null;
+    this.slugs = new PPBuilderSlugService({ client: storage });
   }
 
   async init(editor, app) {
@@ -35,9 +61,20 @@ class PPBuilderPageManager {
 
   async loadPagesList() {
     try {
-      this.pages = await apiClient.getPages({
-        orderby: 'pp_title'
-      });
+      const pages = [];
+      const pageSize = 100;
+
+      for await (const page of storage.iteratePages({ orderby: 'pp_title', maxPageSize: pageSize })) {
+        pages.push(page);
+
+        if (pages.length % pageSize === 0) {
+          this.pages = [...pages];
+          this.renderPagesList();
+        }
+      }
+
+      this.pages = pages;
+      await this.loadStatuses();
 
       this.renderPagesList();
       this.renderPagesDropdown();
@@ -49,48 +86,263 @@ class PPBuilderPageManager {
     }
   }
 
+  // Badges are a nicety; the tree still renders when they cannot be loaded.
+  async loadStatuses() {
+    try {
+      this.statuses = getPageStatuses(this.pages, await storage.getCurrentVersions());
+    } catch (error) {
+      console.error('❌ Failed to load page statuses:', error);
+      this.statuses = new Map();
+    }
+  }
+
+  async refreshStatuses() {
+    await this.loadStatuses();
+    this.renderPagesList();
+  }
+
   renderPagesList() {
     const listElement = document.getElementById('pp-pages-list');
     if (!listElement) return;
 
+    this.renderSearchBox(listElement);
     listElement.innerHTML = '';
+    listElement.classList.add('pp-page-tree');
 
     if (this.pages.length === 0) {
       listElement.innerHTML = '<li class="pp-empty-state">No pages yet. Create one!</li>';
       return;
     }
 
-    this.pages.forEach(page => {
-      const li = document.createElement('li');
-      li.className = 'pp-page-item';
+    const nodes = filterPageTree(buildPageTree(this.pages), this.search);
+    if (nodes.length === 0) {
+      listElement.innerHTML = '<li class="pp-empty-state">No pages match your search.</li>';
+      return;
+    }
+
+    nodes.forEach(node => listElement.appendChild(this.renderTreeNode(node)));
+  }
 
-      li.innerHTML = `
+  renderSearchBox(listElement) {
+    if (document.getElementById('pp-pages-search')) return;
+
+    const input = document.createElement('input');
+    input.type = 'search';
+    input.id = 'pp-pages-search';
+    input.className = 'pp-input pp-pages-search';
+    input.placeholder = 'Search pages...';
+    input.value = this.search;
+
+    input.addEventListener('input', () => {
+      this.search = input.value;
+      this.renderPagesList();
+    });
+
+    listElement.parentNode?.insertBefore(input, listElement);
+  }
+
+  renderTreeNode(node) {
+    const { page, children } = node;
+    // While searching, every branch with a match is shown expanded and
+    // dragging is off, because positions in a filtered tree are misleading.
+    const searching = Boolean(this.search.trim());
+    const expanded = searching || !this.collapsed.has(page.pp_pageid);
+    const statuses = this.statuses.get(page.pp_pageid) || [];
+
+    const li = document.createElement('li');
+    li.className = `pp-page-item${node.match ? ' pp-page-match' : ''}`;
+    li.dataset.id = page.pp_pageid;
+    li.draggable = !searching;
+
+    li.innerHTML = `
+      <div class="pp-page-item-row">
+        <button class="pp-btn-icon pp-page-toggle" data-action="toggle" title="${expanded ? 'Collapse' : 'Expand'}"${children.length === 0 ? ' hidden' : ''}>
+          ${expanded ? '▾' : '▸'}
+        </button>
         <div class="pp-page-item-content">
           <span class="pp-page-name">${this.escapeHtml(page.pp_title)}</span>
           <span class="pp-page-slug">${this.escapeHtml(page.pp_slug)}</span>
+          ${statuses.map(status => `<span class="pp-status-badge pp-status-${status}">${PAGE_TREE_STATUS_LABELS[status]}</span>`).join('')}
         </div>
         <div class="pp-page-actions">
-          <button class="pp-btn-icon" data-action="edit" data-slug="${page.pp_slug}" title="Edit">
+          <button class="pp-btn-icon" data-action="edit" title="Edit">
             ✏️
           </button>
-          <button class="pp-btn-icon" data-action="delete" data-id="${page.pp_pageid}" title="Delete">
+          <button class="pp-btn-icon" data-action="delete" title="Delete">
             🗑️
           </button>
         </div>
-      `;
+      </div>
+    `;
+
+    const row = li.querySelector('.pp-page-item-row');
+
+    row.querySelector('[data-action="toggle"]').addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (expanded) {
+        this.collapsed.add(page.pp_pageid);
+      } else {
+        this.collapsed.delete(page.pp_pageid);
+      }
+      this.renderPagesList();
+    });
+
+    row.querySelector('[data-action="edit"]').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.app.loadPage(page.pp_slug);
+    });
+
+    row.querySelector('[data-action="delete"]').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.deletePage(page.pp_pageid, page.pp_title);
+    });
+
+    if (!searching) {
+      this.attachDragHandlers(li, row, page);
+    }
+
+    if (children.length > 0 && expanded) {
+      const ul = document.createElement('ul');
+      ul.className = 'pp-page-children';
+      children.forEach(child => ul.appendChild(this.renderTreeNode(child)));
+      li.appendChild(ul);
+    }
+
+    return li;
+  }
+
+  // Dropping on the top or bottom quarter of a row places the page before
+  // or after it; dropping on the middle makes it the row's last subpage.
+  attachDragHandlers(li, row, page) {
+    const dropPosition = (e) => {
+      const rect = row.getBoundingClientRect();
+      const offset = (e.clientY - rect.top) / rect.height;
+      return offset < 0.25 ? 'before' : offset > 0.75 ? 'after' : 'inside';
+    };
+
+    const clearIndicator = () => row.classList.remove('pp-drop-before', 'pp-drop-after', 'pp-drop-inside');
+
+    li.addEventListener('dragstart', (e) => {
+      e.stopPropagation();
+      this.dragging = page.pp_pageid;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', page.pp_pageid);
+      li.classList.add('pp-dragging');
+    });
+
+    li.addEventListener('dragend', () => {
+      this.dragging = null;
+      li.classList.remove('pp-dragging');
+    });
+
+    row.addEventListener('dragover', (e) => {
+      if (!this.dragging || this.dragging === page.pp_pageid) return;
+      e.preventDefault();
+      clearIndicator();
+      row.classList.add(`pp-drop-${dropPosition(e)}`);
+    });
+
+    row.addEventListener('dragleave', clearIndicator);
+
+    row.addEventListener('drop', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      clearIndicator();
+
+      const pageId = this.dragging;
+      if (!pageId || pageId === page.pp_pageid) return;
+
+      const position = dropPosition(e);
+      if (position === 'inside') {
+        this.collapsed.delete(page.pp_pageid);
+        this.movePage(pageId, page.pp_pageid, Infinity);
+        return;
+      }
+
+      const { parentId, siblingIds } = findTreePosition(buildPageTree(this.pages), page.pp_pageid);
+      const index = siblingIds.filter(id => id !== pageId).indexOf(page.pp_pageid);
+      this.movePage(pageId, parentId, position === 'before' ? index : index + 1);
+    });
+  }
+
+  async movePage(pageId, parentId, index) {
+    let moves;
+    try {
+      moves = planPageMove(this.pages, pageId, parentId, index);
+    } catch (error) {
+      this.app.showError(this.app.describeError(error));
+      return;
+    }
+    if (moves.length === 0) return;
+
+    const page = this.pages.find(p => p.pp_pageid === pageId);
+    const parent = this.pages.find(p => p.pp_pageid === parentId);
+
+    try {
+      await storage.movePages(moves);
 
-      li.querySelector('[data-action="edit"]').addEventListener('click', (e) => {
-        e.stopPropagation();
-        this.app.loadPage(page.pp_slug);
+      moves.forEach(move => {
+        const moved = this.pages.find(p => p.pp_pageid === move.pageId);
+        moved._pp_parentpageid_value = move.parentId;
+        moved.pp_sortorder = move.sortOrder;
       });
 
-      li.querySelector('[data-action="delete"]').addEventListener('click', (e) => {
-        e.stopPropagation();
-        this.deletePage(page.pp_pageid, page.pp_title);
+      this.renderPagesList();
+      this.renderPagesDropdown();
+
+      const reparented = moves.some(move => move.pageId === pageId && move.parentId !== move.previousParentId);
+      if (reparented) {
+        activity.record(AUDIT_ACTIONS.PAGE_UPDATE, {
+          page,
+          version: null,
+          summary: parent ? `Moved page under "${parent.pp_title}"` : 'Moved page to the top level'
+        });
+      }
+
+      console.log(`✅ Moved page ${pageId} (${moves.length} pages renumbered)`);
+
+      if (reparented) {
+        await this.offerSlugChange(page, parent);
+      }
+    } catch (error) {
+      console.error('❌ Failed to move page:', error);
+      this.app.showError(`Failed to move page: ${this.app.describeError(error)}`);
+      await this.loadPagesList();
+    }
+  }
+
+  // A page moved to another parent keeps its URL until the user agrees to
+  // the one that matches its new place; changeSlug adds the redirects and
+  // moves the subpages along.
+  async offerSlugChange(page, parent) {
+    const oldSlug = page.pp_slug;
+    const newSlug = joinSlug(parent?.pp_slug || null, getSlugLeaf(oldSlug));
+    if (newSlug === oldSlug) return;
+
+    if (!confirm(`Change the URL of "${page.pp_title}" to match its new place?\n\n/${oldSlug} → /${newSlug}\n\nSubpages move along, and visitors of the old URLs are redirected.`)) {
+      return;
+    }
+
+    try {
+      const { page: updated, redirects, moved } = await this.slugs.changeSlug(page.pp_pageid, newSlug);
+
+      activity.record(AUDIT_ACTIONS.PAGE_UPDATE, {
+        page: updated,
+        version: null,
+        summary: `Slug /${oldSlug} → /${newSlug}${redirects.length > 0 ? ` (${redirects.length} redirects added)` : ''}${moved.length > 0 ? `, ${moved.length} child pages moved` : ''}`,
+        details: { redirects: redirects.map(redirect => redirect.pp_redirectid) }
       });
 
-      listElement.appendChild(li);
-    });
+      if (this.app.currentPage?.pp_pageid === page.pp_pageid) {
+        this.app.currentPage = { ...this.app.currentPage, ...updated };
+        this.app.updatePageInfo();
+      }
+    } catch (error) {
+      console.error('❌ Failed to change slug:', error);
+      this.app.showError(`The page was moved, but its URL could not be changed: ${this.app.describeError(error)}`);
+    }
+
+    await this.loadPagesList();
   }
 
   renderPagesDropdown() {
@@ -99,10 +351,10 @@ class PPBuilderPageManager {
 
     dropdown.innerHTML = '<option value="">Select a page...</option>';
 
-    this.pages.forEach(page => {
+    flattenPageTree(buildPageTree(this.pages)).forEach(({ page, depth }) => {
       const option = document.createElement('option');
       option.value = page.pp_slug;
-      option.textContent = page.pp_title;
+      option.textContent = `${'— '.repeat(depth)}${page.pp_title}`;
       dropdown.appendChild(option);
     });
   }
@@ -115,10 +367,19 @@ class PPBuilderPageManager {
           <label for="new-page-name">Page Name *</label>
           <input type="text" id="new-page-name" class="pp-input" placeholder="e.g., About Us" required>
         </div>
+        <div class="pp-form-group">
+          <label for="new-page-parent">Parent Page</label>
+          <select id="new-page-parent" class="pp-input">
+            <option value="">None (top level)</option>
+            ${flattenPageTree(buildPageTree(this.pages)).map(({ page, depth }) => `
+              <option value="${page.pp_pageid}" data-slug="${this.escapeHtml(page.pp_slug)}">${'— '.repeat(depth)}${this.escapeHtml(page.pp_title)} (/${this.escapeHtml(page.pp_slug)})</option>
+            `).join('')}
+          </select>
+        </div>
         <div class="pp-form-group">
           <label for="new-page-slug">URL Slug *</label>
-          <input type="text" id="new-page-slug" class="pp-input" placeholder="e.g., about-us" required>
-          <small>Only lowercase letters, numbers, and hyphens</small>
+          <input type="text" id="new-page-slug" class="pp-input" placeholder="e.g., about-us or products/widgets" required>
+          <small id="new-page-slug-status">Lowercase letters, numbers and hyphens; use / for nested pages</small>
         </div>
         <div class="pp-form-group">
           <label for="new-page-title">Page Title</label>
@@ -143,37 +404,110 @@ class PPBuilderPageManager {
       ]
     });
 
+    dialog.show();
+
     const nameInput = document.getElementById('new-page-name');
+    const parentInput = document.getElementById('new-page-parent');
     const slugInput = document.getElementById('new-page-slug');
+    const checkSlug = this.attachSlugCheck(slugInput, document.getElementById('new-page-slug-status'));
+    let slugEdited = false;
+
+    const suggestSlug = () => {
+      if (!slugInput) return;
+      const leaf = slugEdited ? getSlugLeaf(slugInput.value) : this.generateSlug(nameInput?.value || '');
+      const parentSlug = parentInput?.selectedOptions[0]?.dataset.slug || null;
+      slugInput.value = joinSlug(parentSlug, leaf);
+      checkSlug();
+    };
 
-    nameInput?.addEventListener('input', (e) => {
-      const slug = this.generateSlug(e.target.value);
-      if (slugInput) {
-        slugInput.value = slug;
-      }
+    nameInput?.addEventListener('input', () => {
+      if (!slugEdited) suggestSlug();
+    });
+    parentInput?.addEventListener('change', suggestSlug);
+    slugInput?.addEventListener('input', () => {
+      slugEdited = slugInput.value !== '';
     });
+    slugInput?.addEventListener('blur', () => {
+      slugInput.value = normalizeSlugPath(slugInput.value);
+      checkSlug();
+    });
+  }
 
-    dialog.show();
+  // Shows live availability of the slug typed into `input` and returns a
+  // function that re-runs the check. Responses that arrive after a newer
+  // check started are ignored.
+  attachSlugCheck(input, statusElement, options = {}) {
+    let timer = null;
+    let latest = 0;
+
+    const setStatus = (message, state) => {
+      if (!statusElement) return;
+      statusElement.textContent = message;
+      statusElement.className = `pp-slug-status pp-slug-${state}`;
+    };
+
+    const check = () => {
+      clearTimeout(timer);
+      const slug = input?.value.trim() || '';
+      const error = validateSlug(slug);
+      if (error) {
+        setStatus(error, 'invalid');
+        return;
+      }
+
+      setStatus('Checking availability...', 'checking');
+      const request = ++latest;
+
+      timer = setTimeout(async () => {
+        try {
+          const result = await this.slugs.checkAvailability(slug, options);
+          if (request !== latest) return;
+
+          if (!result.available) {
+            setStatus(result.error, 'taken');
+          } else if (result.missingParent) {
+            setStatus(`/${slug} is available, but there is no page at /${result.missingParent}`, 'warning');
+          } else {
+            setStatus(`/${slug} is available`, 'available');
+          }
+        } catch (error) {
+          if (request === latest) {
+            setStatus('Could not check availability', 'warning');
+          }
+        }
+      }, 300);
+    };
+
+    input?.addEventListener('input', check);
+    return check;
   }
 
   async createPage(dialog) {
     const name = document.getElementById('new-page-name')?.value.trim();
-    const slug = document.getElementById('new-page-slug')?.value.trim();
+    const slug = normalizeSlugPath(document.getElementById('new-page-slug')?.value.trim() || '');
     const title = document.getElementById('new-page-title')?.value.trim();
     const description = document.getElementById('new-page-description')?.value.trim();
+    const parentId = document.getElementById('new-page-parent')?.value || null;
 
     if (!name) {
       this.app.showError('Page name is required');
       return;
     }
 
-    if (!slug) {
-      this.app.showError('URL slug is required');
+    const slugError = validateSlug(slug);
+    if (slugError) {
+      this.app.showError(slugError);
       return;
     }
 
-    if (!/^[a-z0-9-]+$/.test(slug)) {
-      this.app.showError('Slug can only contain lowercase letters, numbers, and hyphens');
+    try {
+      const availability = await this.slugs.checkAvailability(slug);
+      if (!availability.available) {
+        this.app.showError(availability.error);
+        return;
+      }
+    } catch (error) {
+      this.app.showError(`Could not check the slug: ${this.app.describeError(error)}`);
       return;
     }
 
@@ -181,15 +515,17 @@ class PPBuilderPageManager {
       dialog.close();
       this.app.showLoading('Creating page...');
 
-      const page = await apiClient.createPage({
+      const page = await storage.createPage({
         name,
         slug,
         title: title || name,
         metaDescription: description,
+        parentId,
+        sortOrder: this.pages.filter(other => getParentPageId(other) === parentId).length,
         isActive: true
       });
 
-      const version = await apiClient.createPageVersion({
+      const version = await storage.createPageVersion({
         pageId: page.pp_pageid,
         name: 'v1.0 - Draft',
         versionNumber: 1,
@@ -200,6 +536,14 @@ class PPBuilderPageManager {
         }
       });
 
+      await this.slugs.claimPath(slug);
+
+      activity.record(AUDIT_ACTIONS.PAGE_CREATE, {
+        page,
+        version,
+        summary: `Created page "${name}" at /${slug}`
+      });
+
       await this.loadPagesList();
 
       this.app.hideLoading();
@@ -211,53 +555,17 @@ class PPBuilderPageManager {
     } catch (error) {
       console.error('❌ Failed to create page:', error);
       this.app.hideLoading();
-      this.app.showError(`Failed to create page: ${error.message}`);
+      this.app.showError(`Failed to create page: ${this.app.describeError(error)}`);
     }
   }
 
   async deletePage(pageId, pageName) {
-    if (!confirm(`Are you sure you want to delete "${pageName}"?\n\nThis will delete all versions and blocks. This action cannot be undone.`)) {
-      return;
-    }
-
-    try {
-      this.app.showLoading('Deleting page...');
-
-      const versions = await apiClient.getPageVersions(pageId);
-
-      for (const version of versions) {
-        await apiClient.deleteAllBlocks(version.pp_versionid);
-        await apiClient.deletePageVersion(version.pp_versionid);
-      }
-
-      await apiClient.deletePage(pageId);
-
-      await this.loadPagesList();
-
-      if (this.app.currentPage?.pp_pageid === pageId) {
-        this.editor.DomComponents.clear();
-        this.app.currentPage = null;
-        this.app.currentVersion = null;
-      }
-
-      this.app.hideLoading();
-      this.app.showSuccess(`Page "${pageName}" deleted successfully`);
-
-      console.log('✅ Page deleted:', pageId);
-    } catch (error) {
-      console.error('❌ Failed to delete page:', error);
-      this.app.hideLoading();
-      this.app.showError(`Failed to delete page: ${error.message}`);
-    }
+    const page = this.pages.find(p => p.pp_pageid === pageId) || { pp_pageid: pageId, pp_title: pageName };
+    return await recycleBin.moveToTrash(page);
   }
 
   generateSlug(text) {
-    return text
-      .toLowerCase()
-      .replace(/[^a-z0-9\s-]/g, '')
-      .replace(/\s+/g, '-')
-      .replace(/-+/g, '-')
-      .replace(/^-|-$/g, '');
+    return generateSlug(text);
   }
 
   escapeHtml(text) {
@@ -0,0 +1,280 @@
+import {
+  getPageSettings,
+  getMetaTags,
+  validatePageMeta,
+  ROBOTS_DIRECTIVES,
+  OPEN_GRAPH_TYPES,
+  TWITTER_CARDS,
+  META_LIMITS
+} from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.pagemeta.js';
+import { AUDIT_ACTIONS } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.audit.js';
+import { pageManager } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.pagemanager.js';
+import { activity } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.activity.js';
+
+class PPBuilderPageSettings {
+  constructor() {
+    this.editor = null;
+    this.app = null;
+  }
+
+  async init(editor, app) {
+    this.editor = editor;
+    this.app = app;
+  }
+
+  show() {
+    const page = this.app.currentPage;
+    if (!page) {
+      this.app.showError('No page loaded');
+      return;
+    }
+
+    const settings = getPageSettings(page);
+    const escape = (value) => pageManager.escapeHtml(value || '');
+    const attr = (value) => escape(value).replace(/"/g, '&quot;');
+    const options = (values, selected) => values
+      .map(value => `<option value="${value}"${value === selected ? ' selected' : ''}>${value}</option>`)
+      .join('');
+
+    const dialog = pageManager.createDialog({
+      title: `Page settings: ${escape(page.pp_title)}`,
+      content: `
+        <div class="pp-page-settings">
+          <div class="pp-page-settings-form">
+            <h4>General</h4>
+            <div class="pp-form-group">
+              <label for="pp-meta-title">Title *</label>
+              <input type="text" id="pp-meta-title" class="pp-input" value="${attr(page.pp_title)}">
+              <small id="pp-meta-title-count"></small>
+            </div>
+            <div class="pp-form-group">
+              <label for="pp-meta-slug">URL Slug *</label>
+              <input type="text" id="pp-meta-slug" class="pp-input" value="${attr(page.pp_slug)}">
+              <small id="pp-meta-slug-status">Lowercase letters, numbers and hyphens; use / for nested pages</small>
+            </div>
+            <div class="pp-form-group">
+              <label for="pp-meta-description">Meta Description</label>
+              <textarea id="pp-meta-description" class="pp-input" rows="3">${escape(page.pp_metadescription)}</textarea>
+              <small id="pp-meta-description-count"></small>
+            </div>
+
+            <h4>Search engines</h4>
+            <div class="pp-form-group">
+              <label for="pp-meta-canonical">Canonical URL</label>
+              <input type="url" id="pp-meta-canonical" class="pp-input" value="${attr(settings.canonicalUrl)}" placeholder="Leave empty to use the page URL">
+            </div>
+            <div class="pp-form-group">
+              <label>Robots</label>
+              ${ROBOTS_DIRECTIVES.map(directive => `
+                <label class="pp-checkbox">
+                  <input type="checkbox" name="pp-meta-robots" value="${directive}"${settings.robots.includes(directive) ? ' checked' : ''}>
+                  ${directive}
+                </label>
+              `).join('')}
+            </div>
+
+            <h4>Social sharing</h4>
+            <div class="pp-form-group">
+              <label for="pp-meta-og-title">Share title</label>
+              <input type="text" id="pp-meta-og-title" class="pp-input" value="${attr(settings.openGraph.title)}" placeholder="Defaults to the page title">
+            </div>
+            <div class="pp-form-group">
+              <label for="pp-meta-og-description">Share description</label>
+              <textarea id="pp-meta-og-description" class="pp-input" rows="2" placeholder="Defaults to the meta description">${escape(settings.openGraph.description)}</textarea>
+            </div>
+            <div class="pp-form-group">
+              <label for="pp-meta-og-image">Share image</label>
+              <input type="text" id="pp-meta-og-image" class="pp-input" value="${attr(settings.openGraph.image)}" placeholder="https://... or /images/share.jpg">
+              <small>1200 × 630 pixels works best</small>
+            </div>
+            <div class="pp-form-group">
+              <label for="pp-meta-og-type">Open Graph type</label>
+              <select id="pp-meta-og-type" class="pp-input">${options(OPEN_GRAPH_TYPES, settings.openGraph.type)}</select>
+            </div>
+            <div class="pp-form-group">
+              <label for="pp-meta-twitter-card">Twitter card</label>
+              <select id="pp-meta-twitter-card" class="pp-input">${options(TWITTER_CARDS, settings.twitter.card)}</select>
+            </div>
+            <div class="pp-form-group">
+              <label for="pp-meta-twitter-site">Twitter account</label>
+              <input type="text" id="pp-meta-twitter-site" class="pp-input" value="${attr(settings.twitter.site)}" placeholder="@account">
+            </div>
+          </div>
+
+          <div class="pp-page-settings-preview">
+            <h4>Search result</h4>
+            <div id="pp-meta-snippet" class="pp-snippet-preview"></div>
+            <h4>Social card</h4>
+            <div id="pp-meta-card" class="pp-social-card-preview"></div>
+            <ul id="pp-meta-messages" class="pp-meta-messages"></ul>
+          </div>
+        </div>
+      `,
+      buttons: [
+        {
+          text: 'Cancel',
+          className: 'pp-btn-secondary',
+          onClick: (dialog) => dialog.close()
+        },
+        {
+          text: 'Save settings',
+          className: 'pp-btn-primary',
+          onClick: (dialog) => this.save(dialog)
+        }
+      ]
+    });
+
+    dialog.show();
+
+    document.querySelector('.pp-page-settings-form')?.addEventListener('input', () => this.updatePreview());
+    document.querySelector('.pp-page-settings-form')?.addEventListener('change', () => this.updatePreview());
+    pageManager.attachSlugCheck(
+      document.getElementById('pp-meta-slug'),
+      document.getElementById('pp-meta-slug-status'),
+      { excludePageId: page.pp_pageid }
+    );
+    this.updatePreview();
+  }
+
+  readForm() {
+    const value = (id) => document.getElementById(id)?.value.trim() || '';
+    const settings = getPageSettings(this.app.currentPage);
+
+    return {
+      title: value('pp-meta-title'),
+      slug: value('pp-meta-slug'),
+      metaDescription: value('pp-meta-description'),
+      settings: {
+        ...settings,
+        canonicalUrl: value('pp-meta-canonical'),
+        robots: [...document.querySelectorAll('input[name="pp-meta-robots"]:checked')].map(input => input.value),
+        openGraph: {
+          title: value('pp-meta-og-title'),
+          description: value('pp-meta-og-description'),
+          image: value('pp-meta-og-image'),
+          type: value('pp-meta-og-type')
+        },
+        twitter: {
+          card: value('pp-meta-twitter-card'),
+          site: value('pp-meta-twitter-site')
+        }
+      }
+    };
+  }
+
+  // The previews render from the same page shape that is stored, so they
+  // show exactly what getMetaTags will emit after saving.
+  toPage(values) {
+    return {
+      ...this.app.currentPage,
+      pp_title: values.title,
+      pp_slug: values.slug,
+      pp_metadescription: values.metaDescription,
+      pp_settings: JSON.stringify(values.settings)
+    };
+  }
+
+  updatePreview() {
+    const values = this.readForm();
+    const meta = getMetaTags(this.toPage(values), { origin: window.location.origin });
+    const tag = (key) => meta.tags.find(t => (t.property || t.name) === key)?.content || '';
+    const escape = (value) => pageManager.escapeHtml(value || '');
+    const truncate = (text, length) => text.length > length ? `${text.slice(0, length - 1)}…` : text;
+
+    const count = (id, length, limit) => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.textContent = `${length} / ${limit} characters`;
+        element.classList.toggle('pp-text-warning', length > limit);
+      }
+    };
+    count('pp-meta-title-count', values.title.length, META_LIMITS.title);
+    count('pp-meta-description-count', values.metaDescription.length, META_LIMITS.description);
+
+    const snippet = document.getElementById('pp-meta-snippet');
+    if (snippet) {
+      const url = meta.canonical || `${window.location.origin}/${values.slug}`;
+      snippet.innerHTML = `
+        <div class="pp-snippet-url">${escape(url)}</div>
+        <div class="pp-snippet-title">${escape(truncate(values.title || 'Untitled page', META_LIMITS.title))}</div>
+        <div class="pp-snippet-description">${escape(truncate(values.metaDescription || 'No meta description.', META_LIMITS.description))}</div>
+        ${values.settings.robots.includes('noindex') ? '<div class="pp-snippet-warning">Hidden from search engines (noindex)</div>' : ''}
+      `;
+    }
+
+    const card = document.getElementById('pp-meta-card');
+    if (card) {
+      const image = tag('og:image');
+      card.className = `pp-social-card-preview pp-social-card-${values.settings.twitter.card}`;
+      card.innerHTML = `
+        ${image ? `<img class="pp-social-card-image" src="${escape(image).replace(/"/g, '&quot;')}" alt="">` : '<div class="pp-social-card-image pp-social-card-empty">No share image</div>'}
+        <div class="pp-social-card-body">
+          <small>${escape(window.location.host)}</small>
+          <strong>${escape(tag('og:title'))}</strong>
+          <p>${escape(truncate(tag('og:description'), 120))}</p>
+        </div>
+      `;
+    }
+
+    const messages = document.getElementById('pp-meta-messages');
+    if (messages) {
+      const { errors, warnings } = validatePageMeta(values);
+      messages.innerHTML = [
+        ...errors.map(error => `<li class="pp-meta-error">${escape(error.message)}</li>`),
+        ...warnings.map(warning => `<li class="pp-meta-warning">${escape(warning.message)}</li>`)
+      ].join('');
+    }
+  }
+
+  async save(dialog) {
+    const page = this.app.currentPage;
+    const values = this.readForm();
+
+    const validation = validatePageMeta(values);
+    if (!validation.valid) {
+      this.app.showError(validation.errors.map(error => error.message).join(', '));
+      return;
+    }
+
+    try {
+      if (values.slug !== page.pp_slug) {
+        const availability = await pageManager.slugs.checkAvailability(values.slug, { excludePageId: page.pp_pageid });
+        if (!availability.available) {
+          this.app.showError(availability.error);
+          return;
+        }
+      }
+
+      this.app.showLoading('Saving page settings...');
+
+      const { slug, ...updates } = values;
+      const { page: updated, redirects, moved } = await pageManager.slugs.changeSlug(page.pp_pageid, slug, updates);
+
+      const slugSummary = slug !== page.pp_slug
+        ? `, slug /${page.pp_slug} → /${slug}${redirects.length > 0 ? ` (${redirects.length} redirects added)` : ''}${moved.length > 0 ? `, ${moved.length} child pages moved` : ''}`
+        : '';
+
+      activity.record(AUDIT_ACTIONS.PAGE_UPDATE, {
+        page: updated,
+        summary: `Page settings changed${slugSummary}`,
+        details: { redirects: redirects.map(redirect => redirect.pp_redirectid) }
+      });
+
+      this.app.currentPage = { ...page, ...updated };
+      await pageManager.loadPagesList();
+      this.app.updatePageInfo();
+
+      dialog.close();
+      this.app.hideLoading();
+      this.app.showSuccess('Page settings saved');
+
+      console.log('✅ Page settings saved:', page.pp_pageid);
+    } catch (error) {
+      console.error('❌ Failed to save page settings:', error);
+      this.app.hideLoading();
+      this.app.showError(`Failed to save page settings: ${this.app.describeError(error)}`);
+    }
+  }
+}
+
+export const pageSettings = new PPBuilderPageSettings();
@@ -0,0 +1,215 @@
+import { storage } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/storage/ppbuilder.storage.js';
+import { config } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.config.js';
+import { PPBuilderTrash } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.trash.js';
+import { AUDIT_ACTIONS } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.audit.js';
+import { pageManager } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.pagemanager.js';
+import { activity } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.activity.js';
+
+class PPBuilderRecycleBin {
+  constructor() {
+    this.editor = null;
+    this.app = null;
+    this.trash = null;
+    this.pages = [];
+    this.dialog = null;
+  }
+
+  async init(editor, app) {
+    this.editor = editor;
+    this.app = app;
+    this.trash = new PPBuilderTrash({ client: storage, config });
+  }
+
+  async moveToTrash(page) {
+    const days = this.trash.retentionDays;
+    if (!confirm(`Move "${page.pp_title}" to the trash?\n\nYou can restore it from the Trash${days > 0 ? ` for at least ${days} days` : ''}.`)) {
+      return false;
+    }
+
+    try {
+      this.app.showLoading('Moving page to trash...');
+
+      await this.trash.trash(page.pp_pageid, { user: config.get('user.name') });
+
+      activity.record(AUDIT_ACTIONS.PAGE_DELETE, {
+        page,
+        version: null,
+        summary: `Moved "${page.pp_title}" to the trash`
+      });
+
+      if (this.app.currentPage?.pp_pageid === page.pp_pageid) {
+        this.editor.DomComponents.clear();
+        this.app.currentPage = null;
+        this.app.currentVersion = null;
+        this.app.isDirty = false;
+      }
+
+      await pageManager.loadPagesList();
+
+      this.app.hideLoading();
+      this.app.showSuccess(`"${page.pp_title}" moved to the trash`);
+
+      console.log('✅ Page moved to trash:', page.pp_pageid);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to move page to trash:', error);
+      this.app.hideLoading();
+      this.app.showError(`Failed to delete page: ${this.app.describeError(error)}`);
+      return false;
+    }
+  }
+
+  async show() {
+    try {
+      this.app.showLoading('Loading trash...');
+      this.pages = await this.trash.list();
+      this.app.hideLoading();
+    } catch (error) {
+      console.error('❌ Failed to load trash:', error);
+      this.app.hideLoading();
+      this.app.showError(`Failed to load trash: ${this.app.describeError(error)}`);
+      return;
+    }
+
+    const expired = this.pages.filter(page => page.canPurge).length;
+
+    this.dialog?.close();
+    this.dialog = pageManager.createDialog({
+      title: 'Trash',
+      content: `
+        <p><small>Pages can be purged permanently ${this.trash.retentionDays} days after they were deleted.</small></p>
+        <ul id="pp-trash-list" class="pp-trash-list">${this.renderPages()}</ul>
+      `,
+      buttons: [
+        {
+          text: 'Close',
+          className: 'pp-btn-secondary',
+          onClick: (dialog) => dialog.close()
+        },
+        ...(expired > 0 ? [{
+          text: `Purge expired (${expired})`,
+          className: 'pp-btn-danger',
+          onClick: () => this.purgeExpired()
+        }] : [])
+      ]
+    });
+
+    this.dialog.show();
+
+    document.getElementById('pp-trash-list')?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      const page = button && this.pages.find(p => p.pp_pageid === button.dataset.pageId);
+      if (!page) return;
+
+      if (button.dataset.action === 'restore') this.restore(page);
+      if (button.dataset.action === 'purge') this.purge(page);
+    });
+  }
+
+  renderPages() {
+    if (this.pages.length === 0) {
+      return '<li class="pp-empty-state">The trash is empty.</li>';
+    }
+
+    return this.pages.map(page => `
+      <li class="pp-trash-item">
+        <div class="pp-trash-info">
+          <strong>${pageManager.escapeHtml(page.pp_title)}</strong>
+          <span class="pp-page-slug">${pageManager.escapeHtml(page.pp_slug)}</span>
+          <small>
+            Deleted ${page.pp_deletedon ? pageManager.escapeHtml(new Date(page.pp_deletedon).toLocaleString()) : ''}
+            ${page.pp_deletedby ? `by ${pageManager.escapeHtml(page.pp_deletedby)}` : ''}
+          </small>
+        </div>
+        <div class="pp-trash-actions">
+          <button class="pp-btn pp-btn-small" data-action="restore" data-page-id="${page.pp_pageid}">Restore</button>
+          ${page.canPurge
+            ? `<button class="pp-btn pp-btn-small pp-btn-danger" data-action="purge" data-page-id="${page.pp_pageid}">Purge</button>`
+            : `<small>Purge from ${pageManager.escapeHtml(new Date(page.purgeableOn).toLocaleDateString())}</small>`}
+        </div>
+      </li>
+    `).join('');
+  }
+
+  async restore(page) {
+    try {
+      this.app.showLoading('Restoring page...');
+      await this.trash.restore(page.pp_pageid);
+
+      activity.record(AUDIT_ACTIONS.PAGE_RESTORE, {
+        page,
+        version: null,
+        summary: `Restored "${page.pp_title}" from the trash`
+      });
+
+      await pageManager.loadPagesList();
+      this.app.hideLoading();
+      this.app.showSuccess(`"${page.pp_title}" restored`);
+
+      console.log('✅ Page restored from trash:', page.pp_pageid);
+      await this.show();
+    } catch (error) {
+      console.error('❌ Failed to restore page:', error);
+      this.app.hideLoading();
+      this.app.showError(`Failed to restore page: ${this.app.describeError(error)}`);
+    }
+  }
+
+  async purge(page) {
+    if (!confirm(`Permanently delete "${page.pp_title}"?\n\nThis deletes all versions and blocks. This action cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      this.app.showLoading('Purging page...');
+      const result = await this.trash.purge(page.pp_pageid);
+
+      activity.record(AUDIT_ACTIONS.PAGE_PURGE, {
+        page,
+        version: null,
+        summary: `Purged "${page.pp_title}" with ${result.versionsDeleted} versions and ${result.blocksDeleted} blocks`
+      });
+
+      this.app.hideLoading();
+      this.app.showSuccess(`"${page.pp_title}" permanently deleted`);
+
+      console.log('✅ Page purged:', page.pp_pageid);
+      await this.show();
+    } catch (error) {
+      console.error('❌ Failed to purge page:', error);
+      this.app.hideLoading();
+      this.app.showError(`Failed to purge page: ${this.app.describeError(error)}`);
+    }
+  }
+
+  async purgeExpired() {
+    const expired = this.pages.filter(page => page.canPurge);
+    if (!confirm(`Permanently delete ${expired.length} pages?\n\nThis action cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      this.app.showLoading('Purging pages...');
+      const purged = await this.trash.purgeExpired();
+
+      purged.forEach(page => activity.record(AUDIT_ACTIONS.PAGE_PURGE, {
+        page,
+        version: null,
+        summary: `Purged "${page.pp_title}" after the retention period`
+      }));
+
+      this.app.hideLoading();
+      this.app.showSuccess(`${purged.length} pages permanently deleted`);
+
+      console.log(`✅ Purged ${purged.length} pages`);
+      await this.show();
+    } catch (error) {
+      console.error('❌ Failed to purge pages:', error);
+      this.app.hideLoading();
+      this.app.showError(`Failed to purge pages: ${this.app.describeError(error)}`);
+      await this.show();
+    }
+  }
+}
+
+export const recycleBin = new PPBuilderRecycleBin();
@@ -0,0 +1,224 @@
+import { storage } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/storage/ppbuilder.storage.js';
+import { config } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.config.js';
+import { PPBuilderWorkflow } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.workflow.js';
+import { VERSION_STATE, VERSION_STATE_LABELS } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.constants.js';
+import { pageManager } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.pagemanager.js';
+import { activity } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.activity.js';
+import { AUDIT_ACTIONS } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.audit.js';
+
+const AUDIT_ACTION_BY_TRANSITION = {
+  submit: AUDIT_ACTIONS.SUBMIT,
+  approve: AUDIT_ACTIONS.APPROVE,
+  reject: AUDIT_ACTIONS.REJECT,
+  reopen: AUDIT_ACTIONS.REOPEN
+};
+
+const ACTION_LABELS = {
+  submit: 'Submitted for review',
+  approve: 'Approved',
+  reject: 'Changes requested',
+  reopen: 'Reopened'
+};
+
+class PPBuilderReview {
+  constructor() {
+    this.editor = null;
+    this.app = null;
+    this.workflow = null;
+  }
+
+  async init(editor, app) {
+    this.editor = editor;
+    this.app = app;
+    this.workflow = new PPBuilderWorkflow({ client: storage, config });
+  }
+
+  can(action) {
+    return this.workflow.can(action);
+  }
+
+  updateButtons() {
+    const version = this.app.currentVersion;
+    const actions = version ? this.workflow.availableActions(version) : [];
+
+    const toggle = (id, visible) => {
+      const element = document.getElementById(id);
+      if (element) element.style.display = visible ? '' : 'none';
+    };
+
+    toggle('pp-btn-save', this.can('edit'));
+    toggle('pp-btn-submit-review', actions.includes('submit'));
+    toggle('pp-btn-review', actions.includes('approve') || actions.includes('reject'));
+    toggle('pp-btn-publish', this.can('publish'));
+    toggle('pp-btn-schedule', this.can('schedule'));
+
+    const publishButton = document.getElementById('pp-btn-publish');
+    if (publishButton && version) {
+      const ready = this.workflow.isReadyToPublish(version);
+      publishButton.disabled = !ready;
+      publishButton.title = ready ? 'Publish' : 'This version has to be approved before it can be published';
+    }
+
+    const commentElement = document.getElementById('pp-review-comment');
+    if (commentElement) {
+      const review = version ? this.workflow.getReview(version) : null;
+      commentElement.textContent = review?.comment ? `${review.by}: ${review.comment}` : '';
+      commentElement.style.display = review?.comment ? '' : 'none';
+    }
+  }
+
+  renderHistory(version) {
+    const history = this.workflow.getReview(version)?.history || [];
+    if (history.length === 0) {
+      return '';
+    }
+
+    return `
+      <ul class="pp-review-history">
+        ${history.slice().reverse().map(entry => `
+          <li>
+            <strong>${ACTION_LABELS[entry.action] || entry.action}</strong>
+            by ${pageManager.escapeHtml(entry.by)}
+            <small>${pageManager.escapeHtml(new Date(entry.at).toLocaleString())}</small>
+            ${entry.comment ? `<p>${pageManager.escapeHtml(entry.comment)}</p>` : ''}
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  showSubmitDialog() {
+    const version = this.app.currentVersion;
+    if (!version) {
+      this.app.showError('No page loaded');
+      return;
+    }
+
+    if (!this.workflow.availableActions(version).includes('submit')) {
+      this.app.showError(`A version that is ${VERSION_STATE_LABELS[version.pp_state]?.toLowerCase() || 'in this state'} cannot be submitted for review`);
+      return;
+    }
+
+    const dialog = pageManager.createDialog({
+      title: `Submit "${pageManager.escapeHtml(version.pp_label)}" for review`,
+      content: `
+        <div class="pp-form-group">
+          <label for="pp-review-note">Note for the reviewer</label>
+          <textarea id="pp-review-note" class="pp-input" rows="3" placeholder="What changed? (optional)"></textarea>
+        </div>
+        ${this.renderHistory(version)}
+      `,
+      buttons: [
+        {
+          text: 'Cancel',
+          className: 'pp-btn-secondary',
+          onClick: (dialog) => dialog.close()
+        },
+        {
+          text: 'Submit for review',
+          className: 'pp-btn-primary',
+          onClick: (dialog) => this.runAction(dialog, 'submit', document.getElementById('pp-review-note')?.value)
+        }
+      ]
+    });
+
+    dialog.show();
+  }
+
+  showReviewDialog() {
+    const version = this.app.currentVersion;
+    if (!version) {
+      this.app.showError('No page loaded');
+      return;
+    }
+
+    const actions = this.workflow.availableActions(version);
+    if (!actions.includes('approve') && !actions.includes('reject')) {
+      this.app.showError('This version is not waiting for your review');
+      return;
+    }
+
+    const dialog = pageManager.createDialog({
+      title: `Review "${pageManager.escapeHtml(version.pp_label)}"`,
+      content: `
+        ${this.renderHistory(version)}
+        <div class="pp-form-group">
+          <label for="pp-review-note">Comment</label>
+          <textarea id="pp-review-note" class="pp-input" rows="3" placeholder="Required when requesting changes"></textarea>
+        </div>
+      `,
+      buttons: [
+        {
+          text: 'Cancel',
+          className: 'pp-btn-secondary',
+          onClick: (dialog) => dialog.close()
+        },
+        {
+          text: 'Request changes',
+          className: 'pp-btn-danger',
+          onClick: (dialog) => this.runAction(dialog, 'reject', document.getElementById('pp-review-note')?.value)
+        },
+        {
+          text: 'Approve',
+          className: 'pp-btn-primary',
+          onClick: (dialog) => this.runAction(dialog, 'approve', document.getElementById('pp-review-note')?.value)
+        }
+      ]
+    });
+
+    dialog.show();
+  }
+
+  async runAction(dialog, action, comment) {
+    try {
+      if (this.app.isDirty) {
+        const saved = await this.app.saveDraft(true);
+        if (!saved) return;
+      }
+
+      const version = await this.workflow.transition(this.app.currentVersion.pp_versionid, action, { comment });
+      dialog.close();
+
+      this.applyVersion(version);
+      this.recordTransition(action, comment);
+      this.app.showSuccess(ACTION_LABELS[action]);
+
+      console.log('✅ Workflow action applied:', action, version.pp_versionid);
+    } catch (error) {
+      console.error(`❌ Failed to ${action} version:`, error);
+      this.app.showError(this.app.describeError(error));
+    }
+  }
+
+  // Saving changes to a version that is in review or approved sends it
+  // back to draft, so an approval always covers the content being published.
+  async reopenIfReviewed() {
+    const version = this.app.currentVersion;
+    if (![VERSION_STATE.IN_REVIEW, VERSION_STATE.APPROVED].includes(version?.pp_state)) {
+      return false;
+    }
+
+    this.applyVersion(await this.workflow.reopen(version.pp_versionid));
+    this.recordTransition('reopen', 'Changed after review');
+    this.app.showNotification('This version was changed after review and is a draft again', 'info');
+    return true;
+  }
+
+  recordTransition(action, comment) {
+    activity.record(AUDIT_ACTION_BY_TRANSITION[action], {
+      summary: comment?.trim() ? `${ACTION_LABELS[action]}: ${comment.trim()}` : ACTION_LABELS[action],
+      details: { state: this.app.currentVersion.pp_state }
+    });
+  }
+
+  applyVersion(version) {
+    this.app.currentVersion = {
+      ...this.app.currentVersion,
+      ...version,
+      settings: version.pp_settings ? JSON.parse(version.pp_settings) : {}
+    };
+    this.app.updatePageInfo();
+  }
+}
+
+export const review = new PPBuilderReview();
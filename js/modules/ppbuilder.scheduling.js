@@ -0,0 +1,200 @@
+import { storage } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/storage/ppbuilder.storage.js';
+import { PPBuilderScheduler } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.scheduler.js';
+import { pageManager } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.pagemanager.js';
+import { review } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.review.js';
+import { activity } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.activity.js';
+import { AUDIT_ACTIONS } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.audit.js';
+
+const TRANSITION_LABELS = {
+  publish: 'Publish',
+  unpublish: 'Unpublish',
+  expire: 'Expired'
+};
+
+class PPBuilderScheduling {
+  constructor() {
+    this.editor = null;
+    this.app = null;
+    this.scheduler = null;
+  }
+
+  async init(editor, app) {
+    this.editor = editor;
+    this.app = app;
+
+    this.scheduler = new PPBuilderScheduler({
+      client: storage,
+      onTransition: (transition) => this.handleTransition(transition),
+      onError: (error) => console.error('❌ Scheduler error:', error)
+    });
+
+    this.scheduler.start();
+  }
+
+  handleTransition(transition) {
+    const action = transition.type === 'publish' ? 'published' : transition.type === 'unpublish' ? 'unpublished' : 'expired';
+    this.app.showSuccess(`Scheduled change applied: "${transition.version.pp_label}" ${action}`);
+    pageManager.refreshStatuses();
+
+    if (transition.type !== 'expire') {
+      activity.record(transition.type === 'publish' ? AUDIT_ACTIONS.PUBLISH : AUDIT_ACTIONS.UNPUBLISH, {
+        page: { pp_pageid: transition.pageId },
+        version: transition.version,
+        summary: `"${transition.version.pp_label}" ${action} by schedule`,
+        details: { scheduledAt: transition.at }
+      });
+    }
+
+    if (this.app.currentPage?.pp_pageid === transition.pageId && !this.app.isDirty) {
+      this.app.loadPage(this.app.currentPage.pp_slug);
+    }
+  }
+
+  toInputValue(value) {
+    if (!value) return '';
+
+    const date = new Date(value);
+    const offset = date.getTimezoneOffset() * 60000;
+    return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+  }
+
+  fromInputValue(value) {
+    return value ? new Date(value).toISOString() : null;
+  }
+
+  formatDate(value) {
+    return new Date(value).toLocaleString();
+  }
+
+  showScheduleDialog() {
+    const version = this.app.currentVersion;
+    if (!version) {
+      this.app.showError('No page loaded');
+      return;
+    }
+
+    if (!review.can('schedule')) {
+      this.app.showError('You are not allowed to schedule versions');
+      return;
+    }
+
+    const schedule = PPBuilderScheduler.getSchedule(version) || {};
+
+    const dialog = pageManager.createDialog({
+      title: `Schedule "${pageManager.escapeHtml(version.pp_label)}"`,
+      content: `
+        <div class="pp-form-group">
+          <label for="pp-schedule-publish">Publish at</label>
+          <input type="datetime-local" id="pp-schedule-publish" class="pp-input" value="${this.toInputValue(schedule.publishAt)}">
+          <small>Leave empty to publish manually</small>
+        </div>
+        <div class="pp-form-group">
+          <label for="pp-schedule-unpublish">Unpublish at</label>
+          <input type="datetime-local" id="pp-schedule-unpublish" class="pp-input" value="${this.toInputValue(schedule.unpublishAt)}">
+          <small>Leave empty to keep the page live</small>
+        </div>
+      `,
+      buttons: [
+        {
+          text: 'Clear schedule',
+          className: 'pp-btn-secondary',
+          onClick: (dialog) => this.saveSchedule(dialog, {})
+        },
+        {
+          text: 'Cancel',
+          className: 'pp-btn-secondary',
+          onClick: (dialog) => dialog.close()
+        },
+        {
+          text: 'Save schedule',
+          className: 'pp-btn-primary',
+          onClick: (dialog) => this.saveSchedule(dialog, {
+            publishAt: this.fromInputValue(document.getElementById('pp-schedule-publish')?.value),
+            unpublishAt: this.fromInputValue(document.getElementById('pp-schedule-unpublish')?.value)
+          })
+        }
+      ]
+    });
+
+    dialog.show();
+  }
+
+  async saveSchedule(dialog, schedule) {
+    const versionId = this.app.currentVersion.pp_versionid;
+
+    try {
+      if (schedule.publishAt && this.app.isDirty) {
+        const saved = await this.app.saveDraft(true);
+        if (!saved) return;
+      }
+
+      const version = await this.scheduler.setSchedule(versionId, schedule);
+      dialog.close();
+
+      this.app.currentVersion = {
+        ...this.app.currentVersion,
+        ...version,
+        settings: version.pp_settings ? JSON.parse(version.pp_settings) : {}
+      };
+
+      pageManager.refreshStatuses();
+      this.app.showSuccess(schedule.publishAt || schedule.unpublishAt ? 'Schedule saved' : 'Schedule cleared');
+      console.log('✅ Schedule saved:', versionId, schedule);
+    } catch (error) {
+      console.error('❌ Failed to save schedule:', error);
+      this.app.showError(`Failed to save schedule: ${this.app.describeError(error)}`);
+    }
+  }
+
+  async showUpcomingDialog() {
+    try {
+      this.app.showLoading('Loading scheduled changes...');
+
+      const upcoming = await this.scheduler.getUpcoming();
+      const pageIds = [...new Set(upcoming.map(transition => transition.pageId))];
+      const pages = new Map();
+
+      for (const pageId of pageIds) {
+        const page = await storage.getPage(pageId).catch(() => null);
+        if (page) pages.set(pageId, page);
+      }
+
+      this.app.hideLoading();
+
+      const rows = upcoming.map(transition => {
+        const page = pages.get(transition.pageId);
+        return `
+          <li class="pp-schedule-item pp-schedule-${transition.type}">
+            <span class="pp-schedule-date">${pageManager.escapeHtml(this.formatDate(transition.at))}</span>
+            <strong>${TRANSITION_LABELS[transition.type]}</strong>
+            ${pageManager.escapeHtml(page?.pp_title || transition.pageId)}
+            <small>${pageManager.escapeHtml(transition.version.pp_label || '')}</small>
+            ${transition.blocked ? '<em class="pp-schedule-blocked">Waiting for approval</em>' : ''}
+          </li>
+        `;
+      }).join('');
+
+      const dialog = pageManager.createDialog({
+        title: 'Upcoming scheduled changes',
+        content: upcoming.length > 0
+          ? `<ul class="pp-schedule-list">${rows}</ul>`
+          : '<p class="pp-empty-state">Nothing is scheduled.</p>',
+        buttons: [
+          {
+            text: 'Close',
+            className: 'pp-btn-secondary',
+            onClick: (dialog) => dialog.close()
+          }
+        ]
+      });
+
+      dialog.show();
+    } catch (error) {
+      console.error('❌ Failed to load scheduled changes:', error);
+      this.app.hideLoading();
+      this.app.showError(`Failed to load scheduled changes: ${this.app.describeError(error)}`);
+    }
+  }
+}
+
+export const scheduling = new PPBuilderScheduling();
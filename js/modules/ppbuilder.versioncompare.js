@@ -0,0 +1,272 @@
+import { storage } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/storage/ppbuilder.storage.js';
+import { serializer } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.serializer.js';
+import { diffVersions, getCloneIdMap } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.versiondiff.js';
+import { VERSION_STATE_LABELS } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.constants.js';
+import { pageManager } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.pagemanager.js';
+import { blockDefinitions } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.blockdefs.js';
+import { offlineQueue } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.offlinequeue.js';
+
+const CHANGE_TYPES = [
+  { type: 'added', label: 'Added' },
+  { type: 'removed', label: 'Removed' },
+  { type: 'moved', label: 'Moved' },
+  { type: 'reordered', label: 'Reordered' },
+  { type: 'changed', label: 'Changed' }
+];
+
+const HIGHLIGHT_STYLES = `
+  .pp-diff-added { outline: 3px solid #16a34a !important; outline-offset: -3px; }
+  .pp-diff-removed { outline: 3px solid #dc2626 !important; outline-offset: -3px; }
+  .pp-diff-changed { outline: 3px solid #d97706 !important; outline-offset: -3px; }
+  .pp-diff-moved, .pp-diff-reordered { outline: 3px dashed #2563eb !important; outline-offset: -3px; }
+`;
+
+class PPBuilderVersionCompare {
+  constructor() {
+    this.editor = null;
+    this.app = null;
+    this.overlay = null;
+    this.canvases = [];
+  }
+
+  async init(editor, app) {
+    this.editor = editor;
+    this.app = app;
+  }
+
+  async compareWithLive() {
+    const page = this.app.currentPage;
+    if (!page || !this.app.currentVersion) {
+      this.app.showError('No page loaded');
+      return;
+    }
+
+    if (this.app.isDirty) {
+      const saved = await this.app.saveDraft(true);
+      if (!saved) return;
+    }
+
+    let published;
+    try {
+      published = await storage.getPublishedPageVersion(page.pp_pageid);
+    } catch (error) {
+      console.error('❌ Failed to load live version:', error);
+      this.app.showError(`Failed to load live version: ${this.app.describeError(error)}`);
+      return;
+    }
+
+    if (!published) {
+      this.app.showError('This page has no live version to compare with');
+      return;
+    }
+
+    await this.show(published.pp_versionid, this.app.currentVersion.pp_versionid);
+  }
+
+  async load(baseVersionId, targetVersionId) {
+    const [baseVersion, targetVersion, baseBlocks, targetBlocks] = await Promise.all([
+      storage.getPageVersion(baseVersionId),
+      storage.getPageVersion(targetVersionId),
+      storage.getBlocks(baseVersionId),
+      storage.getBlocks(targetVersionId)
+    ]);
+
+    const diff = diffVersions(baseBlocks, targetBlocks, {
+      idMap: getCloneIdMap(baseVersion, targetVersion)
+    });
+
+    return { baseVersion, targetVersion, baseBlocks, targetBlocks, diff };
+  }
+
+  async show(baseVersionId, targetVersionId) {
+    let comparison;
+
+    try {
+      this.app.showLoading('Comparing versions...');
+      comparison = await this.load(baseVersionId, targetVersionId);
+      this.app.hideLoading();
+    } catch (error) {
+      console.error('❌ Failed to compare versions:', error);
+      this.app.hideLoading();
+      this.app.showError(`Failed to compare versions: ${this.app.describeError(error)}`);
+      return;
+    }
+
+    this.showDialog(comparison);
+  }
+
+  // Compares the blocks stored for the current version, as another editor
+  // saved them, with the unsaved blocks in the editor. Used when a save is
+  // refused because of a conflict.
+  async compareWithStored() {
+    const version = this.app.currentVersion;
+    let storedBlocks;
+
+    try {
+      this.app.showLoading('Loading the stored version...');
+      storedBlocks = await storage.getBlocks(version.pp_versionid);
+      this.app.hideLoading();
+    } catch (error) {
+      console.error('❌ Failed to load stored version:', error);
+      this.app.hideLoading();
+      this.app.showError(`Failed to load stored version: ${this.app.describeError(error)}`);
+      return;
+    }
+
+    const localBlocks = offlineQueue.toRecords(this.app.serializeBlocks());
+
+    this.showDialog({
+      baseVersion: { ...version, pp_label: 'Stored' },
+      targetVersion: { ...version, pp_label: 'Your edits' },
+      baseBlocks: storedBlocks,
+      targetBlocks: localBlocks,
+      diff: diffVersions(storedBlocks, localBlocks)
+    });
+  }
+
+  showDialog(comparison) {
+    const { baseVersion, targetVersion, diff } = comparison;
+
+    const dialog = pageManager.createDialog({
+      title: `Compare ${pageManager.escapeHtml(this.versionLabel(baseVersion))} → ${pageManager.escapeHtml(this.versionLabel(targetVersion))}`,
+      content: this.renderChanges(diff),
+      buttons: [
+        {
+          text: 'Close',
+          className: 'pp-btn-secondary',
+          onClick: (dialog) => dialog.close()
+        },
+        {
+          text: 'Side by side',
+          className: 'pp-btn-primary',
+          onClick: (dialog) => {
+            dialog.close();
+            this.showSideBySide(comparison);
+          }
+        }
+      ]
+    });
+
+    dialog.show();
+  }
+
+  versionLabel(version) {
+    return `${version.pp_label} (${VERSION_STATE_LABELS[version.pp_state] || 'Unknown'})`;
+  }
+
+  renderChanges(diff) {
+    if (!diff.hasChanges) {
+      return '<p class="pp-empty-state">No differences between these versions.</p>';
+    }
+
+    return CHANGE_TYPES
+      .filter(({ type }) => diff[type].length > 0)
+      .map(({ type, label }) => `
+        <div class="pp-diff-group pp-diff-group-${type}">
+          <h4>${label} (${diff[type].length})</h4>
+          <ul>
+            ${diff[type].map(entry => `<li>${this.renderEntry(type, entry)}</li>`).join('')}
+          </ul>
+        </div>
+      `).join('') + `<p><small>${diff.unchanged} blocks unchanged</small></p>`;
+  }
+
+  renderEntry(type, entry) {
+    const path = pageManager.escapeHtml(entry.path.join(' › '));
+
+    if (type === 'moved') {
+      return `${path} <small>from ${pageManager.escapeHtml(entry.from.path.slice(0, -1).join(' › ') || 'page root')}</small>`;
+    }
+    if (type === 'reordered') {
+      return `${path} <small>position ${entry.from + 1} → ${entry.to + 1}</small>`;
+    }
+    if (type === 'changed') {
+      const keys = entry.keys.map(key => `<code>${pageManager.escapeHtml(key.key)}</code> ${key.change}`).join(', ');
+      return `${path} <small>${keys}</small>`;
+    }
+    return path;
+  }
+
+  showSideBySide({ baseVersion, targetVersion, baseBlocks, targetBlocks, diff }) {
+    this.closeSideBySide();
+
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'pp-compare-overlay';
+    this.overlay.innerHTML = `
+      <div class="pp-compare-header">
+        <strong>Comparing versions</strong>
+        <button class="pp-btn pp-btn-secondary" data-action="close">Close</button>
+      </div>
+      <div class="pp-compare-panes">
+        <div class="pp-compare-pane">
+          <h4>${pageManager.escapeHtml(this.versionLabel(baseVersion))}</h4>
+          <div id="pp-compare-base" class="pp-compare-canvas"></div>
+        </div>
+        <div class="pp-compare-pane">
+          <h4>${pageManager.escapeHtml(this.versionLabel(targetVersion))}</h4>
+          <div id="pp-compare-target" class="pp-compare-canvas"></div>
+        </div>
+      </div>
+    `;
+
+    this.overlay.querySelector('[data-action="close"]').addEventListener('click', () => this.closeSideBySide());
+    document.body.appendChild(this.overlay);
+
+    const baseHighlights = new Map(diff.removed.map(entry => [entry.id, 'removed']));
+    const targetHighlights = new Map();
+
+    ['reordered', 'moved', 'changed', 'added'].forEach(type => {
+      diff[type].forEach(entry => {
+        targetHighlights.set(entry.id, type);
+        if (entry.baseId) baseHighlights.set(entry.baseId, type);
+      });
+    });
+
+    this.canvases = [
+      this.createCanvas('#pp-compare-base', baseBlocks, baseHighlights),
+      this.createCanvas('#pp-compare-target', targetBlocks, targetHighlights)
+    ];
+  }
+
+  createCanvas(container, blocks, highlights) {
+    const canvas = grapesjs.init({
+      container,
+      height: '100%',
+      width: 'auto',
+      fromElement: false,
+      storageManager: false,
+      noticeOnUnload: false,
+      panels: { defaults: [] },
+      plugins: this.editor.getConfig().plugins || [],
+      components: ''
+    });
+
+    // The pp_ types have to exist on this editor too, or the blocks load as
+    // generic components without their traits and classes.
+    blockDefinitions.registerComponentTypes(canvas);
+    canvas.DomComponents.addComponent(serializer.dataverseToGrapesJS(blocks, canvas));
+
+    highlights.forEach((type, id) => {
+      canvas.getWrapper().find(`[data-block-id="${id}"]`).forEach(component => {
+        component.addClass(`pp-diff-${type}`);
+      });
+    });
+
+    canvas.on('load', () => {
+      const style = canvas.Canvas.getDocument().createElement('style');
+      style.textContent = HIGHLIGHT_STYLES;
+      canvas.Canvas.getDocument().head.appendChild(style);
+    });
+
+    return canvas;
+  }
+
+  closeSideBySide() {
+    this.canvases.forEach(canvas => canvas.destroy());
+    this.canvases = [];
+    this.overlay?.remove();
+    this.overlay = null;
+  }
+}
+
+export const versionCompare = new PPBuilderVersionCompare();
@@ -0,0 +1,286 @@
+import { storage } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/storage/ppbuilder.storage.js';
+import { serializer } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.serializer.js';
+import { VERSION_STATE, VERSION_STATE_LABELS } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.constants.js';
+import { pageManager } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.pagemanager.js';
+import { versionCompare } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.versioncompare.js';
+import { activity } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/modules/ppbuilder.activity.js';
+import { AUDIT_ACTIONS } from 'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/js/core/ppbuilder.audit.js';
+
+const LOCKED_PROPERTIES = {
+  editable: false,
+  draggable: false,
+  droppable: false,
+  removable: false,
+  copyable: false,
+  selectable: false,
+  hoverable: false,
+  highlightable: false
+};
+
+class PPBuilderVersionHistory {
+  constructor() {
+    this.editor = null;
+    this.app = null;
+    this.versions = [];
+    this.dialog = null;
+    this.previewing = null;
+    this.previewBar = null;
+  }
+
+  async init(editor, app) {
+    this.editor = editor;
+    this.app = app;
+  }
+
+  async show() {
+    const page = this.app.currentPage;
+    if (!page) {
+      this.app.showError('No page loaded');
+      return;
+    }
+
+    try {
+      this.app.showLoading('Loading versions...');
+      this.versions = await storage.getPageVersions(page.pp_pageid, { orderby: 'pp_createdon desc' });
+      this.app.hideLoading();
+    } catch (error) {
+      console.error('❌ Failed to load versions:', error);
+      this.app.hideLoading();
+      this.app.showError(`Failed to load versions: ${this.app.describeError(error)}`);
+      return;
+    }
+
+    this.dialog?.close();
+    this.dialog = pageManager.createDialog({
+      title: `Version history: ${pageManager.escapeHtml(page.pp_title)}`,
+      content: `<ul id="pp-version-list" class="pp-version-list">${this.renderVersions()}</ul>`,
+      buttons: [
+        {
+          text: 'Close',
+          className: 'pp-btn-secondary',
+          onClick: (dialog) => dialog.close()
+        }
+      ]
+    });
+
+    this.dialog.show();
+
+    document.getElementById('pp-version-list')?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (button) {
+        this.handleAction(button.dataset.action, button.dataset.versionId);
+      }
+    });
+  }
+
+  renderVersions() {
+    if (this.versions.length === 0) {
+      return '<li class="pp-empty-state">No versions found.</li>';
+    }
+
+    const currentId = this.app.currentVersion?.pp_versionid;
+
+    return this.versions.map(version => {
+      const state = VERSION_STATE_LABELS[version.pp_state] || 'Unknown';
+      const created = version.pp_createdon || version.createdon;
+      const isCurrent = version.pp_versionid === currentId;
+      const canDelete = version.pp_state === VERSION_STATE.DRAFT && !isCurrent;
+
+      return `
+        <li class="pp-version-item${isCurrent ? ' pp-version-current' : ''}">
+          <div class="pp-version-info">
+            <strong>${pageManager.escapeHtml(version.pp_label || 'Untitled version')}</strong>
+            <span class="pp-status-badge pp-status-${state.toLowerCase().replace(/\s+/g, '-')}">${state}</span>
+            ${isCurrent ? '<span class="pp-version-editing">Editing</span>' : ''}
+            <small>${created ? pageManager.escapeHtml(new Date(created).toLocaleString()) : ''}</small>
+          </div>
+          <div class="pp-version-actions">
+            <button class="pp-btn pp-btn-small" data-action="preview" data-version-id="${version.pp_versionid}">Preview</button>
+            ${isCurrent ? '' : `<button class="pp-btn pp-btn-small" data-action="compare" data-version-id="${version.pp_versionid}">Compare</button>`}
+            <button class="pp-btn pp-btn-small" data-action="restore" data-version-id="${version.pp_versionid}">Restore</button>
+            <button class="pp-btn pp-btn-small" data-action="rename" data-version-id="${version.pp_versionid}">Rename</button>
+            ${canDelete ? `<button class="pp-btn pp-btn-small pp-btn-danger" data-action="delete" data-version-id="${version.pp_versionid}">Delete</button>` : ''}
+          </div>
+        </li>
+      `;
+    }).join('');
+  }
+
+  handleAction(action, versionId) {
+    const version = this.versions.find(v => v.pp_versionid === versionId);
+    if (!version) return;
+
+    if (action === 'preview') this.preview(version);
+    if (action === 'compare') this.compare(version);
+    if (action === 'restore') this.restore(version);
+    if (action === 'rename') this.rename(version);
+    if (action === 'delete') this.deleteVersion(version);
+  }
+
+  async preview(version) {
+    if (this.app.isDirty && !this.previewing) {
+      const saved = await this.app.saveDraft(true);
+      if (!saved) return;
+    }
+
+    try {
+      this.app.showLoading('Loading version...');
+
+      const blocks = await storage.getBlocks(version.pp_versionid);
+      const components = serializer.dataverseToGrapesJS(blocks, this.editor);
+
+      this.previewing = version;
+      this.dialog?.close();
+
+      this.editor.select(null);
+      this.editor.DomComponents.clear();
+      this.editor.DomComponents.addComponent(components);
+      this.lockComponents(this.editor.getWrapper());
+
+      this.showPreviewBar(version);
+      this.app.updateStatus(`Previewing ${version.pp_label} (read-only)`);
+      this.app.hideLoading();
+
+      console.log('👁️ Previewing version:', version.pp_versionid);
+    } catch (error) {
+      console.error('❌ Failed to preview version:', error);
+      this.app.hideLoading();
+      this.app.showError(`Failed to preview version: ${this.app.describeError(error)}`);
+    }
+  }
+
+  async compare(version) {
+    if (this.app.isDirty && !this.previewing) {
+      const saved = await this.app.saveDraft(true);
+      if (!saved) return;
+    }
+
+    this.dialog?.close();
+    await versionCompare.show(version.pp_versionid, this.app.currentVersion.pp_versionid);
+  }
+
+  lockComponents(component) {
+    component.components().forEach(child => {
+      child.set(LOCKED_PROPERTIES);
+      this.lockComponents(child);
+    });
+  }
+
+  showPreviewBar(version) {
+    this.previewBar?.remove();
+
+    this.previewBar = document.createElement('div');
+    this.previewBar.className = 'pp-version-preview-bar';
+    this.previewBar.innerHTML = `
+      <span>Previewing <strong>${pageManager.escapeHtml(version.pp_label)}</strong> (read-only)</span>
+      <button class="pp-btn pp-btn-secondary" data-action="exit">Back to editing</button>
+      <button class="pp-btn pp-btn-primary" data-action="restore">Restore as draft</button>
+    `;
+
+    this.previewBar.querySelector('[data-action="exit"]').addEventListener('click', () => this.exitPreview());
+    this.previewBar.querySelector('[data-action="restore"]').addEventListener('click', () => this.restore(version));
+
+    document.body.appendChild(this.previewBar);
+  }
+
+  isPreviewing() {
+    return Boolean(this.previewing);
+  }
+
+  clearPreview() {
+    this.previewing = null;
+    this.previewBar?.remove();
+    this.previewBar = null;
+  }
+
+  async exitPreview() {
+    this.clearPreview();
+    await this.app.loadPage(this.app.currentPage.pp_slug);
+  }
+
+  async restore(version) {
+    if (!confirm(`Restore "${version.pp_label}" as a new draft?\n\nThe current draft is kept in the version history.`)) {
+      return;
+    }
+
+    if (this.app.isDirty && !this.previewing) {
+      const saved = await this.app.saveDraft(true);
+      if (!saved) return;
+    }
+
+    try {
+      this.app.showLoading('Restoring version...');
+
+      const result = await storage.cloneVersion(version.pp_versionid, this.app.currentPage.pp_pageid, {
+        name: `${version.pp_label} (restored)`
+      });
+
+      activity.record(AUDIT_ACTIONS.RESTORE, {
+        version: { pp_versionid: result.newVersionId, pp_label: `${version.pp_label} (restored)` },
+        summary: `Restored "${version.pp_label}" as a new draft`,
+        details: { sourceVersionId: version.pp_versionid, newVersionId: result.newVersionId }
+      });
+
+      this.dialog?.close();
+      this.clearPreview();
+      this.app.hideLoading();
+
+      await this.app.loadPage(this.app.currentPage.pp_slug);
+      this.app.showSuccess(`Restored "${version.pp_label}" as a new draft`);
+
+      console.log('✅ Version restored:', version.pp_versionid, '->', result.newVersionId);
+    } catch (error) {
+      console.error('❌ Failed to restore version:', error);
+      this.app.hideLoading();
+      this.app.showError(`Failed to restore version: ${this.app.describeError(error)}`);
+    }
+  }
+
+  async rename(version) {
+    const name = prompt('Version label', version.pp_label || '')?.trim();
+    if (!name || name === version.pp_label) {
+      return;
+    }
+
+    try {
+      await storage.updatePageVersion(version.pp_versionid, { name });
+
+      if (this.app.currentVersion?.pp_versionid === version.pp_versionid) {
+        this.app.currentVersion.pp_label = name;
+        this.app.updatePageInfo();
+      }
+
+      this.app.showSuccess('Version renamed');
+      await this.show();
+    } catch (error) {
+      console.error('❌ Failed to rename version:', error);
+      this.app.showError(`Failed to rename version: ${this.app.describeError(error)}`);
+    }
+  }
+
+  async deleteVersion(version) {
+    if (version.pp_state !== VERSION_STATE.DRAFT || version.pp_versionid === this.app.currentVersion?.pp_versionid) {
+      this.app.showError('Only drafts that are not open in the editor can be deleted');
+      return;
+    }
+
+    if (!confirm(`Delete "${version.pp_label}"?\n\nThis deletes the draft and all its blocks. This action cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      this.app.showLoading('Deleting version...');
+      await storage.deleteVersionCascade(version.pp_versionid);
+      this.app.hideLoading();
+
+      this.app.showSuccess(`Deleted "${version.pp_label}"`);
+      await this.show();
+    } catch (error) {
+      console.error('❌ Failed to delete version:', error);
+      this.app.hideLoading();
+      this.app.showError(`Failed to delete version: ${this.app.describeError(error)}`);
+    }
+  }
+}
+
+export const versionHistory = new PPBuilderVersionHistory();
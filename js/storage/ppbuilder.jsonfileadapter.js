@@ -0,0 +1,66 @@
+import { PPBuilderMemoryAdapter } from './ppbuilder.memoryadapter.js';
+
+export class PPBuilderJSONFileAdapter extends PPBuilderMemoryAdapter {
+  constructor(options = {}) {
+    super({ ...options, persist: false });
+    this.url = options.url || null;
+    this.path = options.path || null;
+    this.writable = options.writable !== false;
+  }
+
+  get name() {
+    return 'jsonfile';
+  }
+
+  async init() {
+    const data = await this._read();
+    if (data) {
+      this.load(data);
+    }
+  }
+
+  async _read() {
+    if (this.path) {
+      const fs = await import('node:fs/promises');
+      try {
+        return JSON.parse(await fs.readFile(this.path, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    }
+
+    if (this.url) {
+      const response = await fetch(this.url, { cache: 'no-store' });
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        throw new Error(`Failed to load ${this.url}: HTTP ${response.status}`);
+      }
+      return await response.json();
+    }
+
+    return null;
+  }
+
+  async _persist() {
+    if (!this.writable) {
+      return;
+    }
+
+    const json = JSON.stringify(this.toJSON(), null, 2);
+
+    if (this.path) {
+      const fs = await import('node:fs/promises');
+      await fs.writeFile(this.path, json, 'utf8');
+    } else if (this.url) {
+      const response = await fetch(this.url, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: json
+      });
+      if (!response.ok) {
+        throw new Error(`Failed to write ${this.url}: HTTP ${response.status}`);
+      }
+    }
+  }
+}
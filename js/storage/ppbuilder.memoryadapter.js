@@ -0,0 +1,483 @@
+import { PPBuilderStorageAdapter } from './ppbuilder.storageadapter.js';
+import { PPBuilderIDBStore } from '../core/ppbuilder.idb.js';
+import { PPBuilderSaveError, PPBuilderPublishError } from '../core/ppbuilder.errors.js';
+import { VERSION_STATE, PAGE_STATUS, RECORD_STATE } from '../core/ppbuilder.constants.js';
+import { generateGuid } from '../core/ppbuilder.query.js';
+
+const TABLES = {
+  pages: 'pp_pageid',
+  versions: 'pp_versionid',
+  blocks: 'pp_blockid',
+  redirects: 'pp_redirectid',
+  auditlogs: 'pp_auditlogid'
+};
+
+export class PPBuilderMemoryAdapter extends PPBuilderStorageAdapter {
+  constructor(options = {}) {
+    super(options);
+    this.tables = {};
+    this.transactionDepth = 0;
+    this.store = options.persist && PPBuilderIDBStore.isAvailable()
+      ? new PPBuilderIDBStore(options.databaseName || 'ppbuilder-storage')
+      : null;
+
+    this.load(options.data || {});
+  }
+
+  get name() {
+    return this.store ? 'indexeddb' : 'memory';
+  }
+
+  async init() {
+    if (this.store) {
+      const snapshot = await this.store.get('snapshot');
+      if (snapshot) {
+        this.load(snapshot);
+      }
+    }
+  }
+
+  load(data) {
+    Object.entries(TABLES).forEach(([table, idField]) => {
+      this.tables[table] = new Map((data[table] || []).map(record => [record[idField], { ...record }]));
+    });
+  }
+
+  toJSON() {
+    return Object.fromEntries(
+      Object.keys(this.tables).map(table => [table, [...this.tables[table].values()]])
+    );
+  }
+
+  async _persist() {
+    if (this.store) {
+      await this.store.put('snapshot', this.toJSON());
+    }
+  }
+
+  async _commit() {
+    if (this.transactionDepth === 0) {
+      await this._persist();
+    }
+  }
+
+  async _transaction(operation) {
+    const backup = this.toJSON();
+    this.transactionDepth++;
+
+    try {
+      const result = await operation();
+      this.transactionDepth--;
+      await this._commit();
+      return result;
+    } catch (error) {
+      this.transactionDepth--;
+      this.load(backup);
+      throw error;
+    }
+  }
+
+  _insert(table, record) {
+    const now = new Date().toISOString();
+    const stored = {
+      statecode: 0,
+      createdon: now,
+      modifiedon: now,
+      ...record,
+      '@odata.etag': 'W/"1"'
+    };
+
+    this.tables[table].set(stored[TABLES[table]], stored);
+    return { ...stored };
+  }
+
+  _update(table, id, changes) {
+    const record = this._require(table, id);
+    const version = parseInt(/\d+/.exec(record['@odata.etag'] || '')?.[0] || '0', 10) + 1;
+
+    Object.assign(record, changes, {
+      modifiedon: new Date().toISOString(),
+      '@odata.etag': `W/"${version}"`
+    });
+
+    return { ...record };
+  }
+
+  _remove(table, id) {
+    this._require(table, id);
+    this.tables[table].delete(id);
+    return { success: true };
+  }
+
+  _require(table, id) {
+    const record = this.tables[table].get(id);
+    if (!record) {
+      throw new Error(`Record not found: ${table}(${id})`);
+    }
+    return record;
+  }
+
+  _query(table, predicate, options = {}) {
+    let records = [...this.tables[table].values()].filter(predicate);
+
+    if (options.orderby) {
+      records = this._sort(records, options.orderby);
+    }
+    if (options.skip) {
+      records = records.slice(options.skip);
+    }
+    if (options.top) {
+      records = records.slice(0, options.top);
+    }
+
+    return records.map(record => ({ ...record }));
+  }
+
+  _sort(records, orderby) {
+    const clauses = orderby.split(',').map(clause => {
+      const [field, direction] = clause.trim().split(/\s+/);
+      return { field, descending: direction?.toLowerCase() === 'desc' };
+    });
+
+    return [...records].sort((a, b) => {
+      for (const { field, descending } of clauses) {
+        const left = a[field] ?? '';
+        const right = b[field] ?? '';
+        if (left < right) return descending ? 1 : -1;
+        if (left > right) return descending ? -1 : 1;
+      }
+      return 0;
+    });
+  }
+
+  // ==========================================================================
+  // PAGES
+  // ==========================================================================
+
+  async getPages(options = {}) {
+    const search = options.search?.toLowerCase();
+
+    return this._query('pages', page =>
+      page.statecode === 0 &&
+      (!search || [page.pp_title, page.pp_slug].some(value => value?.toLowerCase().includes(search))),
+    { orderby: 'pp_title', ...options });
+  }
+
+  async getPage(pageId) {
+    return { ...this._require('pages', pageId) };
+  }
+
+  async getPageBySlug(slug) {
+    const [page] = this._query('pages', record => record.statecode === 0 && record.pp_slug === slug);
+    return page || null;
+  }
+
+  async createPage(pageData) {
+    const page = this._insert('pages', {
+      pp_pageid: generateGuid(),
+      pp_title: pageData.title || pageData.name,
+      pp_slug: pageData.slug,
+      pp_metadescription: pageData.metaDescription || '',
+      pp_status: PAGE_STATUS.ACTIVE,
+      pp_settings: pageData.settings ? JSON.stringify(pageData.settings) : null,
+      pp_sortorder: pageData.sortOrder ?? null,
+      _pp_parentpageid_value: pageData.parentId || null
+    });
+
+    await this._commit();
+    return page;
+  }
+
+  async updatePage(pageId, updates, options = {}) {
+    const changes = {};
+    if (updates.name) changes.pp_title = updates.name;
+    if (updates.slug) changes.pp_slug = updates.slug;
+    if (updates.title) changes.pp_title = updates.title;
+    if (updates.metaDescription !== undefined) changes.pp_metadescription = updates.metaDescription;
+    if (updates.status !== undefined) changes.pp_status = updates.status;
+    if (updates.settings) changes.pp_settings = JSON.stringify(updates.settings);
+    if (updates.sortOrder !== undefined) changes.pp_sortorder = updates.sortOrder;
+    if (updates.parentId !== undefined) changes._pp_parentpageid_value = updates.parentId;
+
+    const page = this._update('pages', pageId, changes);
+    await this._commit();
+    return page;
+  }
+
+  async deletePage(pageId) {
+    const result = this._remove('pages', pageId);
+    await this._commit();
+    return result;
+  }
+
+  async trashPage(pageId, options = {}) {
+    const page = this._update('pages', pageId, {
+      ...RECORD_STATE.INACTIVE,
+      pp_deletedon: new Date().toISOString(),
+      pp_deletedby: options.user || null
+    });
+    await this._commit();
+    return page;
+  }
+
+  async restorePage(pageId) {
+    const page = this._update('pages', pageId, {
+      ...RECORD_STATE.ACTIVE,
+      pp_deletedon: null,
+      pp_deletedby: null
+    });
+    await this._commit();
+    return page;
+  }
+
+  async getTrashedPages(options = {}) {
+    return this._query('pages', page => page.statecode === RECORD_STATE.INACTIVE.statecode,
+      { orderby: 'pp_deletedon desc', ...options });
+  }
+
+  async deletePageCascade(pageId) {
+    return await this._transaction(() => super.deletePageCascade(pageId));
+  }
+
+  async movePages(moves) {
+    return await this._transaction(() => super.movePages(moves));
+  }
+
+  // ==========================================================================
+  // VERSIONS
+  // ==========================================================================
+
+  async getPageVersions(pageId, options = {}) {
+    return this._query('versions', version =>
+      version._pp_page_value === pageId &&
+      version.statecode === 0 &&
+      (options.state === undefined || version.pp_state === options.state) &&
+      (options.states === undefined || options.states.includes(version.pp_state)),
+    { orderby: 'pp_createdon desc', ...options });
+  }
+
+  async getPageVersion(versionId) {
+    return { ...this._require('versions', versionId) };
+  }
+
+  async getScheduledVersions() {
+    return this._query('versions', version =>
+      version.statecode === 0 &&
+      version.pp_state !== VERSION_STATE.ARCHIVED &&
+      Boolean(version.pp_settings && JSON.parse(version.pp_settings).schedule),
+    { orderby: 'pp_createdon desc' });
+  }
+
+  async getCurrentVersions() {
+    return this._query('versions', version =>
+      version.statecode === 0 && version.pp_state !== VERSION_STATE.ARCHIVED);
+  }
+
+  async createPageVersion(versionData) {
+    this._require('pages', versionData.pageId);
+
+    const version = this._insert('versions', {
+      pp_versionid: generateGuid(),
+      _pp_page_value: versionData.pageId,
+      pp_label: versionData.name,
+      pp_state: versionData.state || VERSION_STATE.DRAFT,
+      pp_settings: versionData.settings ? JSON.stringify(versionData.settings) : null,
+      pp_createdon: new Date().toISOString()
+    });
+
+    await this._commit();
+    return version;
+  }
+
+  async updatePageVersion(versionId, updates, options = {}) {
+    const changes = {};
+    if (updates.name) changes.pp_label = updates.name;
+    if (updates.state !== undefined) changes.pp_state = updates.state;
+    if (updates.settings) changes.pp_settings = JSON.stringify(updates.settings);
+
+    const version = this._update('versions', versionId, changes);
+    await this._commit();
+    return version;
+  }
+
+  async deletePageVersion(versionId) {
+    const result = this._remove('versions', versionId);
+    await this._commit();
+    return result;
+  }
+
+  async deleteVersionCascade(versionId) {
+    return await this._transaction(() => super.deleteVersionCascade(versionId));
+  }
+
+  // ==========================================================================
+  // BLOCKS
+  // ==========================================================================
+
+  async getBlocks(versionId, options = {}) {
+    return this._query('blocks', block =>
+      block._pp_versionid_value === versionId && block.statecode === 0,
+    { orderby: 'pp_order', ...options });
+  }
+
+  async getBlock(blockId) {
+    return { ...this._require('blocks', blockId) };
+  }
+
+  async createBlock(blockData) {
+    this._require('versions', blockData.pageversionId);
+    if (blockData.parentBlockId) {
+      this._require('blocks', blockData.parentBlockId);
+    }
+
+    const block = this._insert('blocks', {
+      pp_blockid: blockData.id || generateGuid(),
+      _pp_versionid_value: blockData.pageversionId,
+      _pp_parentblockid_value: blockData.parentBlockId || null,
+      pp_title: blockData.name,
+      pp_type: blockData.templateName,
+      pp_blocktype: blockData.blockType,
+      pp_order: blockData.sortOrder || 0,
+      pp_data: blockData.settings ? JSON.stringify(blockData.settings) : '{}',
+      pp_zone: blockData.zone || null
+    });
+
+    await this._commit();
+    return block;
+  }
+
+  async updateBlock(blockId, updates, options = {}) {
+    const changes = {};
+    if (updates.name) changes.pp_title = updates.name;
+    if (updates.sortOrder !== undefined) changes.pp_order = updates.sortOrder;
+    if (updates.settings) changes.pp_data = JSON.stringify(updates.settings);
+    if (updates.zone !== undefined) changes.pp_zone = updates.zone;
+    if (updates.parentBlockId !== undefined) changes._pp_parentblockid_value = updates.parentBlockId;
+    if (updates.parentBlockId) this._require('blocks', updates.parentBlockId);
+
+    const block = this._update('blocks', blockId, changes);
+    await this._commit();
+    return block;
+  }
+
+  async updateBlocks(changes) {
+    return await this._transaction(() => super.updateBlocks(changes));
+  }
+
+  async deleteBlock(blockId) {
+    const result = this._remove('blocks', blockId);
+    await this._commit();
+    return result;
+  }
+
+  // ==========================================================================
+  // EDITING & PUBLISHING
+  // ==========================================================================
+
+  async saveDraft(versionId, blocks, options = {}) {
+    try {
+      return await this._transaction(() => super.saveDraft(versionId, blocks, options));
+    } catch (error) {
+      throw new PPBuilderSaveError(`Save rolled back: ${error.message}`, {
+        cause: error,
+        rolledBack: true
+      });
+    }
+  }
+
+  async publishPage(pageId, draftVersionId) {
+    try {
+      return await this._transaction(() => super.publishPage(pageId, draftVersionId));
+    } catch (error) {
+      if (error instanceof PPBuilderPublishError) {
+        throw new PPBuilderPublishError(`Publish rolled back: ${error.cause?.message || error.message}`, {
+          cause: error.cause,
+          rolledBack: true
+        });
+      }
+      throw error;
+    }
+  }
+
+  async cloneVersion(sourceVersionId, pageId = null, options = {}) {
+    return await this._transaction(() => super.cloneVersion(sourceVersionId, pageId, options));
+  }
+
+  // ==========================================================================
+  // REDIRECTS
+  // ==========================================================================
+
+  async getRedirects(options = {}) {
+    return this._query('redirects', redirect =>
+      redirect.statecode === 0 &&
+      (!options.fromSlug || redirect.pp_fromslug === options.fromSlug) &&
+      (!options.toSlug || redirect.pp_toslug === options.toSlug) &&
+      (!options.pageId || redirect.pp_pageref === options.pageId),
+    { orderby: 'pp_fromslug', ...options });
+  }
+
+  async createRedirect(redirectData) {
+    const redirect = this._insert('redirects', {
+      pp_redirectid: generateGuid(),
+      pp_fromslug: redirectData.fromSlug,
+      pp_toslug: redirectData.toSlug,
+      pp_statuscode: redirectData.statusCode || 301,
+      pp_pageref: redirectData.pageId || null
+    });
+
+    await this._commit();
+    return redirect;
+  }
+
+  async updateRedirect(redirectId, updates) {
+    const changes = {};
+    if (updates.toSlug) changes.pp_toslug = updates.toSlug;
+    if (updates.statusCode) changes.pp_statuscode = updates.statusCode;
+
+    const redirect = this._update('redirects', redirectId, changes);
+    await this._commit();
+    return redirect;
+  }
+
+  async deleteRedirect(redirectId) {
+    const result = this._remove('redirects', redirectId);
+    await this._commit();
+    return result;
+  }
+
+  // ==========================================================================
+  // AUDIT LOG
+  // ==========================================================================
+
+  async createAuditEntries(entries) {
+    entries.forEach(entry => {
+      this._insert('auditlogs', {
+        pp_auditlogid: generateGuid(),
+        pp_action: entry.action,
+        pp_user: entry.user || null,
+        pp_occurredon: entry.timestamp || new Date().toISOString(),
+        pp_pageref: entry.pageId || null,
+        pp_pagetitle: entry.pageTitle || null,
+        pp_versionref: entry.versionId || null,
+        pp_versionlabel: entry.versionLabel || null,
+        pp_summary: entry.summary || '',
+        pp_details: JSON.stringify(entry.details || {})
+      });
+    });
+
+    await this._commit();
+    return { success: true, entriesCreated: entries.length };
+  }
+
+  async getAuditEntries(pageId, options = {}) {
+    const from = options.from ? new Date(options.from).toISOString() : null;
+    const to = options.to ? new Date(options.to).toISOString() : null;
+
+    return this._query('auditlogs', entry =>
+      entry.pp_pageref === pageId &&
+      (!options.actions || options.actions.includes(entry.pp_action)) &&
+      (!from || entry.pp_occurredon >= from) &&
+      (!to || entry.pp_occurredon <= to),
+    { orderby: 'pp_occurredon desc', ...options });
+  }
+}
@@ -0,0 +1,23 @@
+import { PPBuilderStorageAdapter, STORAGE_METHODS } from './ppbuilder.storageadapter.js';
+import { apiClient } from '../core/ppbuilder.apiclient.js';
+
+export class PPBuilderODataAdapter extends PPBuilderStorageAdapter {
+  constructor(options = {}) {
+    super(options);
+    this.client = options.client || apiClient;
+
+    if (options.baseURL) {
+      this.client.configure({ baseURL: options.baseURL });
+    }
+  }
+
+  get name() {
+    return 'odata';
+  }
+}
+
+STORAGE_METHODS.forEach(method => {
+  PPBuilderODataAdapter.prototype[method] = function(...args) {
+    return this.client[method](...args);
+  };
+});
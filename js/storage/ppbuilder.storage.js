@@ -0,0 +1,58 @@
+import { PPBuilderODataAdapter } from './ppbuilder.odataadapter.js';
+import { PPBuilderMemoryAdapter } from './ppbuilder.memoryadapter.js';
+import { PPBuilderJSONFileAdapter } from './ppbuilder.jsonfileadapter.js';
+import { STORAGE_METHODS } from './ppbuilder.storageadapter.js';
+
+class PPBuilderStorage {
+  constructor() {
+    this.adapter = null;
+    this.adapterTypes = {
+      odata: PPBuilderODataAdapter,
+      memory: PPBuilderMemoryAdapter,
+      indexeddb: PPBuilderMemoryAdapter,
+      jsonfile: PPBuilderJSONFileAdapter
+    };
+
+    STORAGE_METHODS.forEach(method => {
+      this[method] = (...args) => this._requireAdapter()[method](...args);
+    });
+  }
+
+  registerAdapter(type, AdapterClass) {
+    this.adapterTypes[type] = AdapterClass;
+  }
+
+  createAdapter(options = {}) {
+    const type = options.type || 'odata';
+    const AdapterClass = this.adapterTypes[type];
+
+    if (!AdapterClass) {
+      throw new Error(`Unknown storage adapter: ${type}`);
+    }
+
+    return new AdapterClass({
+      ...options,
+      persist: options.persist ?? type === 'indexeddb'
+    });
+  }
+
+  async use(adapter) {
+    await adapter.init();
+    this.adapter = adapter;
+    console.log(`✅ Storage adapter: ${adapter.name}`);
+    return adapter;
+  }
+
+  async init(options = {}) {
+    return await this.use(this.createAdapter(options));
+  }
+
+  _requireAdapter() {
+    if (!this.adapter) {
+      throw new Error('Storage is not initialized');
+    }
+    return this.adapter;
+  }
+}
+
+export const storage = new PPBuilderStorage();
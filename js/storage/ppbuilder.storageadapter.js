@@ -0,0 +1,418 @@
+import { diffBlocks, getParentBlockId, sortBlocksTopologically, summarizeChanges } from '../core/ppbuilder.blockdiff.js';
+import { VERSION_STATE, WORKING_STATES, nextDraftLabel } from '../core/ppbuilder.constants.js';
+import { PPBuilderPublishError, PPBuilderValidationError, PPBuilderWorkflowError } from '../core/ppbuilder.errors.js';
+import { generateGuid } from '../core/ppbuilder.query.js';
+
+// The methods every adapter offers. The storage facade forwards these to
+// the active adapter and the OData adapter forwards them to the API client.
+export const STORAGE_METHODS = [
+  'getPages', 'iteratePages', 'getPage', 'getPageBySlug', 'createPage', 'updatePage', 'deletePage', 'deletePageCascade',
+  'movePages', 'trashPage', 'restorePage', 'getTrashedPages',
+  'getPageVersions', 'getPageVersion', 'getActivePageVersion', 'getDraftPageVersion', 'getPublishedPageVersion',
+  'getScheduledVersions', 'getCurrentVersions',
+  'createPageVersion', 'updatePageVersion', 'deletePageVersion', 'deleteVersionCascade',
+  'getBlocks', 'getBlock', 'createBlock', 'updateBlock', 'updateBlocks', 'deleteBlock', 'deleteAllBlocks',
+  'loadPageForEditing', 'saveDraft', 'publishPage', 'cloneVersion',
+  'getRedirects', 'createRedirect', 'updateRedirect', 'deleteRedirect',
+  'createAuditEntries', 'getAuditEntries'
+];
+
+/**
+ * Base class for PP Builder storage backends.
+ *
+ * Records use the Dataverse shape (pp_pageid, pp_versionid, pp_blockid, ...)
+ * so the editor works the same against every backend. Adapters must
+ * implement the page, version and block primitives; the composite
+ * operations below are built on top of them and may be overridden.
+ */
+export class PPBuilderStorageAdapter {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  get name() {
+    return 'base';
+  }
+
+  async init() {}
+
+  _notImplemented(method) {
+    throw new Error(`The ${this.name} storage adapter does not implement ${method}()`);
+  }
+
+  // ==========================================================================
+  // PAGES
+  // ==========================================================================
+
+  async getPages(options = {}) {
+    this._notImplemented('getPages');
+  }
+
+  async *iteratePages(options = {}) {
+    yield* await this.getPages(options);
+  }
+
+  async getPage(pageId) {
+    this._notImplemented('getPage');
+  }
+
+  async getPageBySlug(slug) {
+    const pages = await this.getPages();
+    return pages.find(page => page.pp_slug === slug) || null;
+  }
+
+  async createPage(pageData) {
+    this._notImplemented('createPage');
+  }
+
+  async updatePage(pageId, updates, options = {}) {
+    this._notImplemented('updatePage');
+  }
+
+  async deletePage(pageId) {
+    this._notImplemented('deletePage');
+  }
+
+  async trashPage(pageId, options = {}) {
+    this._notImplemented('trashPage');
+  }
+
+  async restorePage(pageId) {
+    this._notImplemented('restorePage');
+  }
+
+  async getTrashedPages(options = {}) {
+    this._notImplemented('getTrashedPages');
+  }
+
+  async movePages(moves) {
+    for (const move of moves) {
+      await this.updatePage(move.pageId, { parentId: move.parentId, sortOrder: move.sortOrder });
+    }
+
+    return { success: true, movedCount: moves.length };
+  }
+
+  async deletePageCascade(pageId) {
+    const versions = await this.getPageVersions(pageId);
+    let blocksDeleted = 0;
+
+    for (const version of versions) {
+      const result = await this.deleteAllBlocks(version.pp_versionid);
+      blocksDeleted += result.deletedCount;
+      await this.deletePageVersion(version.pp_versionid);
+    }
+
+    await this.deletePage(pageId);
+
+    return {
+      success: true,
+      pageId,
+      versionsDeleted: versions.length,
+      blocksDeleted
+    };
+  }
+
+  // ==========================================================================
+  // VERSIONS
+  // ==========================================================================
+
+  async getPageVersions(pageId, options = {}) {
+    this._notImplemented('getPageVersions');
+  }
+
+  async getPageVersion(versionId) {
+    this._notImplemented('getPageVersion');
+  }
+
+  async getActivePageVersion(pageId) {
+    const versions = await this.getPageVersions(pageId, {
+      states: WORKING_STATES,
+      orderby: 'pp_createdon desc',
+      top: 1
+    });
+
+    return versions.length > 0 ? versions[0] : await this.getPublishedPageVersion(pageId);
+  }
+
+  async getDraftPageVersion(pageId) {
+    const versions = await this.getPageVersions(pageId, {
+      state: VERSION_STATE.DRAFT,
+      orderby: 'pp_createdon desc',
+      top: 1
+    });
+
+    return versions.length > 0 ? versions[0] : null;
+  }
+
+  async getPublishedPageVersion(pageId) {
+    const versions = await this.getPageVersions(pageId, {
+      state: VERSION_STATE.PUBLISHED,
+      orderby: 'pp_createdon desc',
+      top: 1
+    });
+
+    return versions.length > 0 ? versions[0] : null;
+  }
+
+  async getScheduledVersions() {
+    this._notImplemented('getScheduledVersions');
+  }
+
+  async getCurrentVersions() {
+    this._notImplemented('getCurrentVersions');
+  }
+
+  async createPageVersion(versionData) {
+    this._notImplemented('createPageVersion');
+  }
+
+  async updatePageVersion(versionId, updates, options = {}) {
+    this._notImplemented('updatePageVersion');
+  }
+
+  async deletePageVersion(versionId) {
+    this._notImplemented('deletePageVersion');
+  }
+
+  async deleteVersionCascade(versionId) {
+    const result = await this.deleteAllBlocks(versionId);
+    await this.deletePageVersion(versionId);
+
+    return { success: true, versionId, blocksDeleted: result.deletedCount };
+  }
+
+  // ==========================================================================
+  // BLOCKS
+  // ==========================================================================
+
+  async getBlocks(versionId, options = {}) {
+    this._notImplemented('getBlocks');
+  }
+
+  async getBlock(blockId) {
+    this._notImplemented('getBlock');
+  }
+
+  async createBlock(blockData) {
+    this._notImplemented('createBlock');
+  }
+
+  async updateBlock(blockId, updates, options = {}) {
+    this._notImplemented('updateBlock');
+  }
+
+  async deleteBlock(blockId) {
+    this._notImplemented('deleteBlock');
+  }
+
+  // `[{ id, updates }]`; adapters that can should apply them all or none.
+  async updateBlocks(changes) {
+    for (const { id, updates } of changes) {
+      await this.updateBlock(id, updates);
+    }
+
+    return { success: true, updatedCount: changes.length };
+  }
+
+  async deleteAllBlocks(versionId) {
+    const blocks = await this.getBlocks(versionId);
+    const { deletes } = diffBlocks(blocks, []);
+
+    for (const block of deletes) {
+      await this.deleteBlock(block.pp_blockid);
+    }
+
+    return { success: true, deletedCount: blocks.length };
+  }
+
+  // ==========================================================================
+  // EDITING & PUBLISHING
+  // ==========================================================================
+
+  async loadPageForEditing(pageSlug) {
+    const page = await this.getPageBySlug(pageSlug);
+    if (!page) {
+      throw new Error(`Page not found: ${pageSlug}`);
+    }
+
+    const version = await this.getActivePageVersion(page.pp_pageid);
+    if (!version) {
+      throw new Error(`No active version found for page: ${pageSlug}`);
+    }
+
+    const blocks = await this.getBlocks(version.pp_versionid);
+
+    return {
+      page,
+      version: {
+        ...version,
+        settings: version.pp_settings ? JSON.parse(version.pp_settings) : {}
+      },
+      blocks: blocks.map(block => ({
+        ...block,
+        settings: block.pp_data ? JSON.parse(block.pp_data) : {}
+      }))
+    };
+  }
+
+  async saveDraft(versionId, blocks, options = {}) {
+    const storedBlocks = await this.getBlocks(versionId);
+    const changes = diffBlocks(storedBlocks, blocks);
+
+    for (const block of changes.creates) {
+      await this.createBlock({ ...block, pageversionId: versionId });
+    }
+
+    for (const { id, updates } of changes.updates) {
+      await this.updateBlock(id, updates, options);
+    }
+
+    for (const block of changes.deletes) {
+      await this.deleteBlock(block.pp_blockid);
+    }
+
+    return {
+      success: true,
+      versionId,
+      blocksCreated: changes.creates.length,
+      blocksUpdated: changes.updates.length,
+      blocksDeleted: changes.deletes.length,
+      blocksUnchanged: changes.unchanged,
+      changes: summarizeChanges(changes)
+    };
+  }
+
+  async publishPage(pageId, draftVersionId) {
+    const draftVersion = await this.getPageVersion(draftVersionId);
+
+    if (draftVersion._pp_page_value && draftVersion._pp_page_value !== pageId) {
+      throw new PPBuilderValidationError(`Version ${draftVersionId} does not belong to page ${pageId}`);
+    }
+    if (draftVersion.pp_state !== VERSION_STATE.APPROVED) {
+      throw new PPBuilderWorkflowError('This version has to be approved before it can be published', {
+        code: 'NotApproved'
+      });
+    }
+
+    const previousVersions = await this.getPageVersions(pageId, { state: VERSION_STATE.PUBLISHED });
+    const draftBlocks = await this.getBlocks(draftVersionId);
+    const applied = [];
+
+    try {
+      for (const version of previousVersions) {
+        await this.updatePageVersion(version.pp_versionid, { state: VERSION_STATE.ARCHIVED });
+        applied.push({ versionId: version.pp_versionid, state: VERSION_STATE.PUBLISHED });
+      }
+
+      await this.updatePageVersion(draftVersionId, { state: VERSION_STATE.PUBLISHED });
+      applied.push({ versionId: draftVersionId, state: draftVersion.pp_state });
+
+      const clone = await this.cloneVersion(draftVersionId, pageId, {
+        name: nextDraftLabel(draftVersion.pp_label)
+      });
+
+      return {
+        success: true,
+        versionId: draftVersionId,
+        archivedVersionIds: previousVersions.map(version => version.pp_versionid),
+        newDraftVersionId: clone.newVersionId,
+        blocksCount: draftBlocks.length
+      };
+    } catch (error) {
+      try {
+        for (const { versionId, state } of applied.reverse()) {
+          await this.updatePageVersion(versionId, { state });
+        }
+      } catch (rollbackError) {
+        throw new PPBuilderPublishError(`Publish failed and could not be rolled back: ${error.message}`, {
+          cause: error,
+          rolledBack: false,
+          rollbackError
+        });
+      }
+
+      throw new PPBuilderPublishError(`Publish rolled back: ${error.message}`, {
+        cause: error,
+        rolledBack: true
+      });
+    }
+  }
+
+  async cloneVersion(sourceVersionId, pageId = null, options = {}) {
+    const sourceVersion = await this.getPageVersion(sourceVersionId);
+    const sourceBlocks = await this.getBlocks(sourceVersionId);
+    const targetPageId = pageId || sourceVersion._pp_page_value;
+
+    // A schedule belongs to the source version, never to its copies.
+    const { schedule, clonedFrom, ...settings } = sourceVersion.pp_settings ? JSON.parse(sourceVersion.pp_settings) : {};
+    const ordered = sortBlocksTopologically(sourceBlocks);
+    const idMap = Object.fromEntries(ordered.map(({ block }) => [block.pp_blockid, generateGuid()]));
+
+    const newVersion = await this.createPageVersion({
+      pageId: targetPageId,
+      name: options.name || `${sourceVersion.pp_label} - Copy`,
+      state: VERSION_STATE.DRAFT,
+      settings: {
+        ...settings,
+        clonedFrom: { versionId: sourceVersionId, blockIds: idMap }
+      }
+    });
+
+    for (const { block: sourceBlock, orphaned } of ordered) {
+      const parentId = getParentBlockId(sourceBlock);
+
+      await this.createBlock({
+        id: idMap[sourceBlock.pp_blockid],
+        pageversionId: newVersion.pp_versionid,
+        parentBlockId: parentId && !orphaned ? idMap[parentId] : null,
+        name: sourceBlock.pp_title,
+        templateName: sourceBlock.pp_type,
+        blockType: sourceBlock.pp_blocktype,
+        sortOrder: sourceBlock.pp_order ?? 0,
+        zone: sourceBlock.pp_zone || null,
+        settings: sourceBlock.pp_data ? JSON.parse(sourceBlock.pp_data) : {}
+      });
+    }
+
+    return {
+      success: true,
+      newVersionId: newVersion.pp_versionid,
+      pageId: targetPageId,
+      idMap,
+      blocksCloned: sourceBlocks.length
+    };
+  }
+
+  // ==========================================================================
+  // REDIRECTS
+  // ==========================================================================
+
+  async getRedirects(options = {}) {
+    this._notImplemented('getRedirects');
+  }
+
+  async createRedirect(redirectData) {
+    this._notImplemented('createRedirect');
+  }
+
+  async updateRedirect(redirectId, updates) {
+    this._notImplemented('updateRedirect');
+  }
+
+  async deleteRedirect(redirectId) {
+    this._notImplemented('deleteRedirect');
+  }
+
+  // ==========================================================================
+  // AUDIT LOG
+  // ==========================================================================
+
+  async createAuditEntries(entries) {
+    this._notImplemented('createAuditEntries');
+  }
+
+  async getAuditEntries(pageId, options = {}) {
+    this._notImplemented('getAuditEntries');
+  }
+}
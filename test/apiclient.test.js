@@ -0,0 +1,232 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PPBuilderAPIClient } from '../js/core/ppbuilder.apiclient.js';
+import { PPBuilderTrash } from '../js/core/ppbuilder.trash.js';
+import { PPBuilderConfig } from '../js/core/ppbuilder.config.js';
+
+const originalFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+function createClient() {
+  return new PPBuilderAPIClient({ retryPolicy: { retries: 2, baseDelay: 1, maxDelay: 5 } });
+}
+
+// Responds with the given results in turn; an Error is thrown as a network
+// failure, a number becomes a response with that status.
+function stubFetch(results) {
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url, method: init.method || 'GET' });
+    const result = results[Math.min(calls.length, results.length) - 1];
+    if (result instanceof Error) throw result;
+    return new Response(result === 204 ? null : '{}', { status: result });
+  };
+  return calls;
+}
+
+test('a POST that failed on the network is not sent again', async () => {
+  const client = createClient();
+  const calls = stubFetch([new TypeError('fetch failed'), 204]);
+
+  await assert.rejects(client.createPage({ title: 'A', slug: 'a' }), { code: 'NetworkError' });
+  assert.equal(calls.length, 1);
+});
+
+test('a POST is retried when the server turned it away with 429 or 503', async () => {
+  const client = createClient();
+  const calls = stubFetch([503, 429, 204]);
+
+  await client.createPage({ title: 'A', slug: 'a' });
+  assert.equal(calls.length, 3);
+});
+
+test('a block created with a client-side ID is retried after a network failure', async () => {
+  const client = createClient();
+  const calls = stubFetch([new TypeError('fetch failed'), 204]);
+
+  await client.createBlock({
+    id: '00000000-0000-4000-8000-000000000001',
+    pageversionId: '00000000-0000-4000-8000-000000000002',
+    templateName: 'pp_content_text_01'
+  });
+  assert.equal(calls.length, 2);
+});
+
+test('GET requests are retried after a network failure', async () => {
+  const client = createClient();
+  const calls = stubFetch([new TypeError('fetch failed'), 200]);
+
+  await client.getPage('00000000-0000-4000-8000-000000000001');
+  assert.equal(calls.length, 2);
+});
+
+test('cancelAll() stops a request that is waiting to be retried', async () => {
+  const client = new PPBuilderAPIClient({ retryPolicy: { retries: 3, baseDelay: 10000, maxDelay: 10000 } });
+  const calls = stubFetch([503]);
+
+  const request = client.getPage('00000000-0000-4000-8000-000000000001');
+  await new Promise(resolve => setTimeout(resolve, 10));
+  client.cancelAll();
+
+  await assert.rejects(request, { code: 'Aborted' });
+  assert.equal(calls.length, 1);
+});
+
+test('the backoff wait removes its abort listeners once it is done', async () => {
+  const client = createClient();
+  const controller = new AbortController();
+  const added = [];
+  const removed = [];
+  [controller.signal, client.abortController.signal].forEach(signal => {
+    const add = signal.addEventListener.bind(signal);
+    const remove = signal.removeEventListener.bind(signal);
+    signal.addEventListener = (type, listener, options) => { added.push(listener); add(type, listener, options); };
+    signal.removeEventListener = (type, listener, options) => { removed.push(listener); remove(type, listener, options); };
+  });
+
+  await client._wait(1, controller.signal);
+
+  assert.equal(added.length, 2);
+  assert.deepEqual(removed, added);
+});
+
+test('a changeset above maxBatchOperations is refused before anything is sent', async () => {
+  const client = createClient();
+  client.configure({ maxBatchOperations: 2 });
+  const calls = stubFetch([200]);
+
+  const moves = [1, 2, 3].map(sortOrder => ({ pageId: `00000000-0000-4000-8000-00000000000${sortOrder}`, sortOrder }));
+
+  await assert.rejects(client.movePages(moves), { code: 'BatchLimitExceeded' });
+  assert.equal(calls.length, 0);
+});
+
+// A $batch response with a 204 for every operation in the request and no
+// OData-EntityId headers.
+function batchResponse(requestBody) {
+  const boundary = 'batchresponse_1';
+  const contentIds = [...requestBody.matchAll(/^Content-ID: (\d+)/gm)].map(match => match[1]);
+  const parts = contentIds.map(contentId => [
+    `--${boundary}`,
+    'Content-Type: application/http',
+    'Content-Transfer-Encoding: binary',
+    `Content-ID: ${contentId}`,
+    '',
+    'HTTP/1.1 204 No Content',
+    '',
+    ''
+  ].join('\r\n')).join('') + `--${boundary}--`;
+
+  return new Response(parts, { status: 200, headers: { 'Content-Type': `multipart/mixed; boundary=${boundary}` } });
+}
+
+test('updateBlocks sends all updates in one $batch changeset', async () => {
+  const client = createClient();
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url, body: init.body });
+    return batchResponse(init.body);
+  };
+
+  await client.updateBlocks([
+    { id: '00000000-0000-4000-8000-000000000001', updates: { settings: { schemaVersion: 2 } } },
+    { id: '00000000-0000-4000-8000-000000000002', updates: { settings: { schemaVersion: 2 } } }
+  ]);
+
+  assert.equal(calls.length, 1);
+  assert.match(calls[0].url, /\$batch$/);
+  assert.equal(calls[0].body.match(/^PATCH /gm).length, 2);
+  assert.equal(calls[0].body.match(/--changeset_/g).length, 3);
+});
+
+test('a clone split across changesets binds child blocks to the copied parent', async () => {
+  const client = createClient();
+  client.configure({ maxBatchOperations: 2 });
+
+  const versionId = '00000000-0000-4000-8000-000000000001';
+  const parentId = '00000000-0000-4000-8000-000000000002';
+  const childId = '00000000-0000-4000-8000-000000000003';
+  const batches = [];
+
+  globalThis.fetch = async (url, init) => {
+    if (url.endsWith('$batch')) {
+      batches.push(init.body);
+      return batchResponse(init.body);
+    }
+    if (url.includes('/pp_blocks')) {
+      return Response.json({
+        value: [
+          { pp_blockid: parentId, pp_type: 'pp_layout_section_01', pp_order: 0, pp_data: '{}' },
+          { pp_blockid: childId, _pp_parentblockid_value: parentId, pp_type: 'pp_content_text_01', pp_order: 0, pp_data: '{}' }
+        ]
+      });
+    }
+    return Response.json({ pp_versionid: versionId, _pp_page_value: '00000000-0000-4000-8000-000000000004', pp_label: 'Draft' });
+  };
+
+  const { newVersionId, idMap } = await client.cloneVersion(versionId);
+
+  assert.equal(batches.length, 2);
+  const [child] = [...batches[1].matchAll(/^\{.*\}$/gm)].map(match => JSON.parse(match[0]));
+  assert.equal(child.pp_blockid, idMap[childId]);
+  assert.equal(child['pp_parentblockid@odata.bind'], `/pp_blocks(${idMap[parentId]})`);
+  assert.equal(child['pp_versionid@odata.bind'], `/pp_versions(${newVersionId})`);
+});
+
+test('a split write counts the operations each step queues', async () => {
+  const client = createClient();
+  client.configure({ maxBatchOperations: 3 });
+
+  const batches = [];
+  globalThis.fetch = async (url, init) => {
+    batches.push(init.body);
+    return batchResponse(init.body);
+  };
+
+  const blockIds = [1, 2, 3].map(n => `00000000-0000-4000-8000-00000000000${n}`);
+  await client._executeInChangesets(blockIds.map(id => ({ batch }) => {
+    const url = client._entityUrl('pp_blocks', id);
+    batch.patch(url, { pp_order: 0 });
+    batch.delete(`${url}/pp_parentblockid/$ref`);
+  }), { split: true });
+
+  assert.deepEqual(batches.map(body => body.match(/^Content-ID: /gm).length), [2, 2, 2]);
+});
+
+test('purging a trashed page above maxBatchOperations splits the delete', async () => {
+  const client = createClient();
+  client.configure({ maxBatchOperations: 2 });
+
+  const pageId = '00000000-0000-4000-8000-000000000001';
+  const versionId = '00000000-0000-4000-8000-000000000002';
+  const blockIds = [3, 4, 5].map(n => `00000000-0000-4000-8000-00000000000${n}`);
+  const batches = [];
+
+  globalThis.fetch = async (url, init) => {
+    if (url.endsWith('$batch')) {
+      batches.push(init.body);
+      return batchResponse(init.body);
+    }
+    if (url.includes('/pp_blocks')) {
+      return Response.json({ value: blockIds.map(id => ({ pp_blockid: id, pp_type: 'pp_content_text_01', pp_data: '{}' })) });
+    }
+    if (url.includes('/pp_versions')) {
+      return Response.json({ value: [{ pp_versionid: versionId, _pp_page_value: pageId }] });
+    }
+    return Response.json({
+      value: [{ pp_pageid: pageId, pp_title: 'Old', statecode: 1, pp_deletedon: '2020-01-01T00:00:00Z' }]
+    });
+  };
+
+  const config = new PPBuilderConfig();
+  config.set({ trash: { retentionDays: 0 } });
+  const purged = await new PPBuilderTrash({ client, config }).purgeExpired();
+
+  assert.deepEqual(purged.map(page => page.pp_pageid), [pageId]);
+  assert.deepEqual(batches.map(body => body.match(/^DELETE /gm).length), [2, 2, 1]);
+  assert.match(batches[2], new RegExp(`^DELETE \\S+/pp_pages\\(${pageId}\\)`, 'm'));
+});
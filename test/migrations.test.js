@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PPBuilderMigrations, PPBuilderMigrationRunner } from '../js/core/ppbuilder.migrations.js';
+import { PPBuilderMemoryAdapter } from '../js/storage/ppbuilder.memoryadapter.js';
+
+test('migrateAll also migrates the versions of trashed pages', async () => {
+  const client = new PPBuilderMemoryAdapter();
+  const migrations = new PPBuilderMigrations();
+  migrations.register('pp_layout_container_01', 1, settings => ({
+    ...settings,
+    maxWidth: settings.maxWidth === 'full' ? 'none' : settings.maxWidth
+  }));
+
+  const blockIds = [];
+  for (const slug of ['active', 'trashed']) {
+    const page = await client.createPage({ title: slug, slug });
+    const version = await client.createPageVersion({ pageId: page.pp_pageid, name: 'Draft' });
+    const block = await client.createBlock({
+      pageversionId: version.pp_versionid,
+      templateName: 'pp_layout_container_01',
+      settings: { maxWidth: 'full' }
+    });
+    blockIds.push(block.pp_blockid);
+
+    if (slug === 'trashed') await client.trashPage(page.pp_pageid);
+  }
+
+  const summary = await new PPBuilderMigrationRunner({ client, migrations }).migrateAll();
+
+  assert.equal(summary.pages, 2);
+  assert.equal(summary.blocksMigrated, 2);
+  for (const blockId of blockIds) {
+    const settings = JSON.parse((await client.getBlock(blockId)).pp_data);
+    assert.deepEqual(settings, { maxWidth: 'none', schemaVersion: 2 });
+  }
+});
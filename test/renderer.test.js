@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { blockDefinitions } from '../js/modules/ppbuilder.blockdefs.js';
+import { serializer } from '../js/core/ppbuilder.serializer.js';
+import { PPBuilderRenderer } from '../js/core/ppbuilder.renderer.js';
+import { createEditor } from './support/grapes-stub.js';
+
+const editor = createEditor();
+blockDefinitions.registerComponents(editor);
+
+const TRAIT_NAMES = ['padding', 'level', 'align', 'columns', 'gap', 'buttonStyle'];
+
+function savedPage() {
+  const components = editor.addComponents([{
+    type: 'pp_layout_section_01',
+    attributes: { padding: 'medium', id: 'intro' },
+    components: [
+      { type: 'pp_content_heading_01', tagName: 'h3', attributes: { level: 'h3', align: 'center' }, content: 'Welcome' },
+      {
+        type: 'pp_layout_grid_01',
+        attributes: { columns: '2', gap: '8' },
+        components: [
+          { type: 'pp_content_text_01', content: 'Left &amp; right' },
+          {
+            type: 'pp_content_button_01',
+            attributes: { href: '/contact', target: '_blank', buttonStyle: 'outline' },
+            content: 'Contact'
+          }
+        ]
+      }
+    ]
+  }]);
+
+  return serializer.grapesJSToDataverse(components, 'version');
+}
+
+test('a nested page renders to HTML without trait attributes', () => {
+  const html = new PPBuilderRenderer().renderBlocks(savedPage());
+
+  assert.equal(html, [
+    '<section class="tw-w-full tw-p-8" data-template="pp_layout_section_01" data-block-type="1" id="intro">',
+    '<h3 class="tw-text-2xl tw-font-bold tw-text-center" data-template="pp_content_heading_01" data-block-type="2">Welcome</h3>',
+    '<div class="tw-grid tw-grid-cols-2 tw-gap-8" data-template="pp_layout_grid_01" data-block-type="1">',
+    '<p class="tw-text-base tw-text-gray-700" data-template="pp_content_text_01" data-block-type="2">Left &amp; right</p>',
+    '<a class="tw-inline-block tw-border-2 tw-border-blue-600 tw-text-blue-600 hover:tw-bg-blue-50 tw-px-6 tw-py-3 tw-text-base tw-rounded" data-template="pp_content_button_01" data-block-type="2" href="/contact" target="_blank">Contact</a>',
+    '</div>',
+    '</section>'
+  ].join(''));
+
+  TRAIT_NAMES.forEach(name => {
+    assert.doesNotMatch(html, new RegExp(` ${name}=`, 'i'), name);
+  });
+});
+
+test('block IDs are written only when asked for', () => {
+  const blocks = savedPage();
+  const html = new PPBuilderRenderer({ includeBlockIds: true }).renderBlocks(blocks);
+
+  assert.deepEqual(
+    [...html.matchAll(/data-block-id="([^"]+)"/g)].map(match => match[1]),
+    blocks.map(block => block.id)
+  );
+});
@@ -0,0 +1,268 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { blockDefinitions } from '../js/modules/ppbuilder.blockdefs.js';
+import { blockSchemas, allowsChild } from '../js/core/ppbuilder.blockschema.js';
+import { serializer, COMPONENT_KEY, BLOCK_REF } from '../js/core/ppbuilder.serializer.js';
+import { PPBuilderMemoryAdapter } from '../js/storage/ppbuilder.memoryadapter.js';
+import { createEditor, snapshot } from './support/grapes-stub.js';
+
+const RUNS = 40;
+
+const editor = createEditor();
+blockDefinitions.registerComponents(editor);
+
+const blocks = blockDefinitions.getAllBlocks();
+
+// Blocks that insert plain GrapesJS components, written out as the JSON
+// GrapesJS parses their content into. They are stored inside the JSON of the
+// block they are dropped in.
+const PLAIN_COMPONENTS = {
+  pp_media_image_01: () => ({
+    type: 'image',
+    tagName: 'img',
+    attributes: { src: 'https://example.com/photo.jpg', alt: 'Photo' }
+  }),
+  pp_nav_menu_01: () => ({
+    tagName: 'nav',
+    classes: ['tw-flex', 'tw-gap-4'],
+    components: ['Home', 'About', 'Contact'].map(label => ({
+      type: 'link',
+      tagName: 'a',
+      attributes: { href: '#' },
+      classes: ['tw-px-4', 'tw-py-2'],
+      components: [{ type: 'textnode', content: label }]
+    }))
+  }),
+  pp_dv_list_01: () => ({
+    classes: ['tw-p-4', 'tw-border', 'tw-border-dashed', 'tw-border-gray-400', 'tw-text-center'],
+    components: [
+      { type: 'textnode', content: 'Entity List Block' },
+      { tagName: 'br', void: true },
+      { tagName: 'small', components: [{ type: 'textnode', content: 'Configure in settings' }] }
+    ]
+  })
+};
+
+// Seeded, so a failing run can be repeated.
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    chance: (p) => next() < p,
+    int: (max) => Math.floor(next() * max),
+    pick: (items) => items[Math.floor(next() * items.length)]
+  };
+}
+
+const WORDS = ['Lorem', 'ipsum', 'dolor', 'sit', 'amet', '<b>bold</b>', '&amp;', 'café', '"quoted"'];
+
+function randomText(random) {
+  return Array.from({ length: 1 + random.int(5) }, () => random.pick(WORDS)).join(' ');
+}
+
+function randomTraitValue(trait, random) {
+  switch (trait.type) {
+    case 'select': return random.pick(trait.options).value;
+    case 'checkbox': return random.chance(0.5);
+    case 'color': return random.pick(['red', 'blue', 'gray']);
+    default:
+      if (trait.name === 'href') return random.pick(['/contact', 'https://example.com/?a=1&b=2']);
+      if (trait.name === 'customClass') return random.pick(['my-class', 'brand hero']);
+      return `${trait.name}-${random.int(100)}`;
+  }
+}
+
+function randomStyle(random) {
+  const style = {};
+  if (random.chance(0.4)) style.color = random.pick(['#333', 'red']);
+  if (random.chance(0.3)) style['margin-top'] = `${random.int(40)}px`;
+  return style;
+}
+
+// Non-pp_ content: text nodes, links and wrappers with their own children.
+function randomInline(random, depth) {
+  const kind = random.int(depth > 0 ? 4 : 3);
+
+  if (kind === 0) {
+    return { type: 'textnode', content: randomText(random) };
+  }
+  if (kind === 1) {
+    return {
+      type: 'link',
+      tagName: 'a',
+      attributes: { href: '/page', target: '_blank' },
+      components: [{ type: 'textnode', content: randomText(random) }]
+    };
+  }
+  if (kind === 2) {
+    return {
+      type: 'text',
+      tagName: 'span',
+      classes: ['user-note'],
+      style: randomStyle(random),
+      content: randomText(random)
+    };
+  }
+  return {
+    tagName: 'div',
+    attributes: { 'data-role': 'wrapper' },
+    components: Array.from({ length: 1 + random.int(3) }, () => randomInline(random, depth - 1))
+  };
+}
+
+function childCandidates(templateName) {
+  const schema = blockSchemas.get(templateName);
+  return blocks
+    .map(block => block.id)
+    .filter(id => allowsChild(schema, id));
+}
+
+function buildFixture(id, random, depth = 2) {
+  if (PLAIN_COMPONENTS[id]) {
+    return PLAIN_COMPONENTS[id]();
+  }
+
+  const block = blocks.find(candidate => candidate.id === id);
+  const { traits = [] } = editor.types.get(id).model.defaults;
+  const base = typeof block.content === 'object' ? JSON.parse(JSON.stringify(block.content)) : { type: id };
+
+  const attributes = {};
+  traits.forEach(trait => {
+    if (random.chance(0.7)) attributes[trait.name] = randomTraitValue(trait, random);
+  });
+
+  const fixture = { ...base, attributes };
+  if (random.chance(0.5)) fixture.classes = ['user-added'];
+  fixture.style = randomStyle(random);
+
+  const candidates = childCandidates(id);
+  if (candidates.length > 0) {
+    const children = [...(base.components || [])];
+    const count = depth > 0 ? random.int(4) : 0;
+    for (let i = 0; i < count; i++) {
+      children.splice(random.int(children.length + 1), 0, random.chance(0.6)
+        ? buildFixture(random.pick(candidates), random, depth - 1)
+        : randomInline(random, 1));
+    }
+    if (children.length > 0) fixture.components = children;
+  } else if (random.chance(0.5)) {
+    delete fixture.content;
+    fixture.components = Array.from({ length: 1 + random.int(3) }, () => randomInline(random, 1));
+  } else {
+    fixture.content = randomText(random);
+  }
+
+  return fixture;
+}
+
+// Block types are stored as blocks only when they are pp_ components; the
+// others are wrapped in a section so they are saved inside its JSON.
+function buildRoot(id, random) {
+  const fixture = buildFixture(id, random);
+  return fixture.type?.startsWith('pp_')
+    ? fixture
+    : { type: 'pp_layout_section_01', components: [randomInline(random, 0), fixture] };
+}
+
+function withoutBlockIds(json) {
+  const { attributes, components, ...rest } = json;
+  const { 'data-block-id': blockId, ...others } = attributes || {};
+  return {
+    ...rest,
+    ...(attributes ? { attributes: others } : {}),
+    components: components.map(withoutBlockIds)
+  };
+}
+
+async function createVersion(adapter) {
+  const page = await adapter.createPage({ title: 'Round trip', slug: 'round-trip' });
+  const version = await adapter.createPageVersion({ pageId: page.pp_pageid, name: 'Draft' });
+  return version.pp_versionid;
+}
+
+async function load(adapter, versionId) {
+  const rows = await adapter.getBlocks(versionId);
+  return editor.addComponents(serializer.dataverseToGrapesJS(rows, editor));
+}
+
+test('every block type in js/blocks has a round-trip fixture', () => {
+  blocks.forEach(block => {
+    assert.ok(
+      editor.types.has(block.id) || PLAIN_COMPONENTS[block.id],
+      `${block.id} has no registered component type and no entry in PLAIN_COMPONENTS`
+    );
+  });
+});
+
+blocks.forEach(({ id }) => {
+  test(`${id}: save then load returns the same component tree`, async () => {
+    for (let seed = 1; seed <= RUNS; seed++) {
+      const random = createRandom(seed * 7919 + id.length);
+      const adapter = new PPBuilderMemoryAdapter();
+      const versionId = await createVersion(adapter);
+
+      const components = editor.addComponents([buildRoot(id, random), buildRoot(id, random)]);
+      const saved = serializer.grapesJSToDataverse(components, versionId);
+      await adapter.saveDraft(versionId, saved);
+
+      const restored = await load(adapter, versionId);
+      assert.deepEqual(restored.map(snapshot), components.map(snapshot), `seed ${seed}`);
+
+      // Saving the restored tree again changes nothing.
+      assert.deepEqual(serializer.grapesJSToDataverse(restored, versionId), saved, `seed ${seed}`);
+    }
+  });
+});
+
+test('child blocks keep their place among rich children after cloneVersion gives them new IDs', async () => {
+  for (let seed = 1; seed <= RUNS; seed++) {
+    const random = createRandom(seed);
+    const adapter = new PPBuilderMemoryAdapter();
+    const versionId = await createVersion(adapter);
+
+    const components = editor.addComponents(blocks.map(({ id }) => buildRoot(id, random)));
+    await adapter.saveDraft(versionId, serializer.grapesJSToDataverse(components, versionId));
+
+    const { newVersionId, idMap } = await adapter.cloneVersion(versionId);
+    const cloned = await load(adapter, newVersionId);
+
+    assert.deepEqual(
+      cloned.map(snapshot).map(withoutBlockIds),
+      components.map(snapshot).map(withoutBlockIds),
+      `seed ${seed}`
+    );
+
+    const ids = (component) => [
+      component.getAttributes()['data-block-id'],
+      ...component.components().flatMap(ids)
+    ].filter(Boolean);
+    assert.deepEqual(cloned.flatMap(ids), components.flatMap(ids).map(blockId => idMap[blockId]));
+  }
+});
+
+test('a child block is stored as a placeholder, not inline', () => {
+  const [section] = editor.addComponents([{
+    type: 'pp_layout_section_01',
+    components: [
+      { type: 'textnode', content: 'Intro' },
+      { type: 'pp_content_text_01', content: 'Body' }
+    ]
+  }]);
+
+  const [parent, child] = serializer.grapesJSToDataverse([section], 'version');
+
+  assert.deepEqual(parent.settings[COMPONENT_KEY].components, [
+    { type: 'textnode', content: 'Intro' },
+    { [BLOCK_REF]: 0 }
+  ]);
+  assert.equal(child.parentBlockId, parent.id);
+  assert.equal(child.settings[COMPONENT_KEY].content, 'Body');
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PPBuilderSlugService } from '../js/core/ppbuilder.slugs.js';
+import { PPBuilderMemoryAdapter } from '../js/storage/ppbuilder.memoryadapter.js';
+
+test('changeSlug moves the subpages in the page tree, not the pages that share a slug prefix', async () => {
+  const client = new PPBuilderMemoryAdapter();
+  const slugs = new PPBuilderSlugService({ client });
+
+  const products = await client.createPage({ title: 'Products', slug: 'products' });
+  const widgets = await client.createPage({ title: 'Widgets', slug: 'products/widgets', parentId: products.pp_pageid });
+  const small = await client.createPage({ title: 'Small', slug: 'products/widgets/small', parentId: widgets.pp_pageid });
+  const unrelated = await client.createPage({ title: 'Other', slug: 'products/other' });
+  const moved = await client.createPage({ title: 'Moved in', slug: 'gadgets', parentId: products.pp_pageid });
+  await client.createRedirect({ fromSlug: 'shop', toSlug: 'products', pageId: products.pp_pageid });
+
+  const result = await slugs.changeSlug(products.pp_pageid, 'catalog');
+
+  const slugOf = async page => (await client.getPage(page.pp_pageid)).pp_slug;
+  assert.equal(await slugOf(products), 'catalog');
+  assert.equal(await slugOf(widgets), 'catalog/widgets');
+  assert.equal(await slugOf(small), 'catalog/widgets/small');
+  assert.equal(await slugOf(moved), 'catalog/gadgets');
+  assert.equal(await slugOf(unrelated), 'products/other');
+  assert.equal(result.moved.length, 3);
+
+  // The existing redirect goes straight to the new path.
+  const redirects = await client.getRedirects({ fromSlug: 'shop' });
+  assert.deepEqual(redirects.map(redirect => redirect.pp_toslug), ['catalog']);
+});
@@ -0,0 +1,24 @@
+/**
+ * Module resolve hook for running the editor modules in Node. The modules
+ * import each other through their jsDelivr/statically URLs; this maps those
+ * URLs back to the files in this checkout so tests run against the working
+ * tree, without network access.
+ *
+ * Registered through test/support/register.js:
+ *   node --import ./test/support/register.js --test test/
+ */
+
+const CDN_PREFIXES = [
+  'https://cdn.statically.io/gh/Returnbv/pp-builder-cdn/main/',
+  'https://cdn.jsdelivr.net/gh/Returnbv/pp-builder-cdn@main/'
+];
+
+const ROOT = new URL('../../', import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+  const prefix = CDN_PREFIXES.find(candidate => specifier.startsWith(candidate));
+  if (prefix) {
+    return nextResolve(new URL(specifier.slice(prefix.length), ROOT).href, context);
+  }
+  return nextResolve(specifier, context);
+}
@@ -0,0 +1,128 @@
+/**
+ * A minimal stand-in for the GrapesJS component API, covering what the block
+ * definitions and the serializer use: types registered through
+ * DomComponents.addType(), attributes, classes, style, traits and child
+ * components. Trait values live in the attributes, which is where the
+ * blocks' updateClasses() reads them. As in GrapesJS, toJSON() leaves the
+ * style out; it is read through getStyle().
+ */
+
+class StubTrait {
+  constructor(definition, component) {
+    this.definition = definition;
+    this.component = component;
+  }
+
+  get(name) {
+    return this.definition[name];
+  }
+
+  getValue() {
+    return this.component.getAttributes()[this.definition.name];
+  }
+}
+
+class StubComponent {
+  constructor(json, editor) {
+    const { attributes, classes, style, components, ...props } = json;
+    const model = editor.types.get(json.type)?.model || {};
+    const { defaults = {}, ...methods } = model;
+
+    Object.assign(this, methods);
+    this.defaults = defaults;
+    this.props = { tagName: defaults.tagName || 'div', ...props };
+    this.attributes = { ...defaults.attributes, ...attributes };
+    this.classes = (classes || defaults.classes || []).map(name => name.name || name);
+    this.style = { ...style };
+    this.traits = (defaults.traits || []).map(trait => new StubTrait(trait, this));
+    this.children = (components || []).map(child => new StubComponent(child, editor));
+
+    if (typeof this.init === 'function') {
+      this.init();
+    }
+  }
+
+  get(name) {
+    return this.props[name];
+  }
+
+  set(name, value) {
+    this.props[name] = value;
+  }
+
+  on() {}
+
+  getName() {
+    return this.props.name;
+  }
+
+  getAttributes() {
+    return { ...this.attributes };
+  }
+
+  addAttributes(attributes) {
+    Object.assign(this.attributes, attributes);
+  }
+
+  getClasses() {
+    return [...this.classes];
+  }
+
+  setClass(classes) {
+    this.classes = [...classes];
+  }
+
+  getStyle() {
+    return { ...this.style };
+  }
+
+  getTraits() {
+    return this.traits;
+  }
+
+  components() {
+    return this.children;
+  }
+
+  toJSON() {
+    const json = { ...this.props };
+
+    if (json.tagName === (this.defaults.tagName || 'div')) delete json.tagName;
+    if (Object.keys(this.attributes).length > 0) json.attributes = { ...this.attributes };
+    if (this.classes.length > 0) json.classes = [...this.classes];
+    if (this.children.length > 0) json.components = this.children.map(child => child.toJSON());
+
+    return json;
+  }
+}
+
+export function createEditor() {
+  const editor = {
+    types: new Map(),
+    DomComponents: {
+      addType(name, definition) {
+        editor.types.set(name, definition);
+      }
+    },
+    addComponents(components) {
+      return components.map(json => new StubComponent(json, editor));
+    }
+  };
+
+  return editor;
+}
+
+/**
+ * Everything the round trip has to keep, including the inline style that
+ * toJSON() leaves out.
+ */
+export function snapshot(component) {
+  const { components, ...json } = component.toJSON();
+  const style = component.getStyle();
+
+  return {
+    ...json,
+    ...(Object.keys(style).length > 0 ? { style } : {}),
+    components: component.components().map(snapshot)
+  };
+}
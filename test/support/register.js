@@ -0,0 +1,3 @@
+import { register } from 'node:module';
+
+register('./cdn-loader.js', import.meta.url);
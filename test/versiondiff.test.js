@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { blockDefinitions } from '../js/modules/ppbuilder.blockdefs.js';
+import { serializer } from '../js/core/ppbuilder.serializer.js';
+import { diffVersions } from '../js/core/ppbuilder.versiondiff.js';
+import { PPBuilderMemoryAdapter } from '../js/storage/ppbuilder.memoryadapter.js';
+import { createEditor } from './support/grapes-stub.js';
+
+const editor = createEditor();
+blockDefinitions.registerComponents(editor);
+
+function createPage() {
+  return editor.addComponents([{
+    type: 'pp_layout_section_01',
+    attributes: { padding: 'medium' },
+    components: [
+      { type: 'textnode', content: 'Intro' },
+      { type: 'pp_content_text_01', content: 'Body' }
+    ]
+  }]);
+}
+
+// The stored rows of the components as they are now.
+async function rowsOf(components) {
+  const adapter = new PPBuilderMemoryAdapter();
+  const page = await adapter.createPage({ title: 'Diff', slug: 'diff' });
+  const version = await adapter.createPageVersion({ pageId: page.pp_pageid, name: 'Draft' });
+  await adapter.saveDraft(version.pp_versionid, serializer.grapesJSToDataverse(components, version.pp_versionid));
+  return await adapter.getBlocks(version.pp_versionid);
+}
+
+const changedKeys = diff => diff.changed.map(entry => [entry.name, entry.keys.map(key => key.key)]);
+
+test('saving unchanged components again shows no differences', async () => {
+  const components = createPage();
+  const base = await rowsOf(components);
+
+  assert.equal(diffVersions(base, await rowsOf(components)).hasChanges, false);
+});
+
+test('a text change is listed as content, not as the internal component JSON', async () => {
+  const components = createPage();
+  const base = await rowsOf(components);
+
+  components[0].components()[1].set('content', 'New body');
+  const diff = diffVersions(base, await rowsOf(components));
+
+  assert.deepEqual(changedKeys(diff), [['pp_content_text_01', ['content']]]);
+  assert.deepEqual(diff.changed[0].keys[0].after, { content: 'New body', components: [] });
+});
+
+test('a trait change lists the trait, not the classes it sets', async () => {
+  const components = createPage();
+  const base = await rowsOf(components);
+
+  components[0].addAttributes({ padding: 'large' });
+  components[0].updateClasses();
+  const diff = diffVersions(base, await rowsOf(components));
+
+  assert.deepEqual(changedKeys(diff), [['pp_layout_section_01', ['padding']]]);
+});
+
+test('own classes and inline styles are listed by name', async () => {
+  const components = createPage();
+  const base = await rowsOf(components);
+
+  const [section] = components;
+  section.setClass([...section.getClasses(), 'user-added']);
+  section.style = { color: 'red' };
+  const diff = diffVersions(base, await rowsOf(components));
+
+  assert.deepEqual(changedKeys(diff), [['pp_layout_section_01', ['classes', 'style']]]);
+});
+
+test('adding a child block changes only the tree, not its parent', async () => {
+  const components = createPage();
+  const base = await rowsOf(components);
+
+  const [section] = components;
+  section.children.push(...editor.addComponents([{ type: 'pp_content_text_01', content: 'More' }]));
+  const diff = diffVersions(base, await rowsOf(components));
+
+  assert.deepEqual(diff.changed, []);
+  assert.deepEqual(diff.added.map(entry => entry.templateName), ['pp_content_text_01']);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PPBuilderWorkflow } from '../js/core/ppbuilder.workflow.js';
+import { PPBuilderConfig } from '../js/core/ppbuilder.config.js';
+import { PPBuilderScheduler } from '../js/core/ppbuilder.scheduler.js';
+import { VERSION_STATE } from '../js/core/ppbuilder.constants.js';
+import { PPBuilderWorkflowError } from '../js/core/ppbuilder.errors.js';
+import { PPBuilderMemoryAdapter } from '../js/storage/ppbuilder.memoryadapter.js';
+
+async function createDraftVersion(client) {
+  const page = await client.createPage({ title: 'Workflow', slug: 'workflow' });
+  const version = await client.createPageVersion({ pageId: page.pp_pageid, name: 'Draft' });
+  return version.pp_versionid;
+}
+
+function workflowFor(client, user) {
+  const config = new PPBuilderConfig();
+  if (user) config.set({ user });
+  return new PPBuilderWorkflow({ client, config });
+}
+
+test('users without configured roles can only edit and submit', () => {
+  const workflow = workflowFor(new PPBuilderMemoryAdapter());
+
+  assert.deepEqual([...workflow.getAllowedActions()].sort(), ['edit', 'submit']);
+  assert.equal(workflow.can('approve'), false);
+  assert.equal(workflow.can('publish'), false);
+});
+
+test('a reviewer cannot approve their own submission', async () => {
+  const client = new PPBuilderMemoryAdapter();
+  const versionId = await createDraftVersion(client);
+
+  const ann = workflowFor(client, { name: 'Ann', roles: ['reviewer'] });
+  await ann.submit(versionId);
+
+  const submitted = await client.getPageVersion(versionId);
+  assert.equal(ann.availableActions(submitted).includes('approve'), false);
+  await assert.rejects(ann.approve(versionId), error =>
+    error instanceof PPBuilderWorkflowError && error.code === 'SelfApproval');
+
+  const bob = workflowFor(client, { name: 'Bob', roles: ['reviewer'] });
+  assert.equal(bob.availableActions(submitted).includes('approve'), true);
+  await bob.approve(versionId);
+
+  assert.equal((await client.getPageVersion(versionId)).pp_state, VERSION_STATE.APPROVED);
+});
+
+test('publishing a version that is not approved is refused as a workflow error', async () => {
+  const client = new PPBuilderMemoryAdapter();
+  const versionId = await createDraftVersion(client);
+  const { _pp_page_value: pageId } = await client.getPageVersion(versionId);
+
+  await assert.rejects(client.publishPage(pageId, versionId), error =>
+    error instanceof PPBuilderWorkflowError && error.code === 'NotApproved');
+});
+
+test('a scheduled publish skips review only when workflow.requireApproval is off', async () => {
+  const now = new Date('2026-01-02T00:00:00Z');
+
+  for (const requireApproval of [true, false]) {
+    const client = new PPBuilderMemoryAdapter();
+    const versionId = await createDraftVersion(client);
+    const config = new PPBuilderConfig();
+    config.set({ workflow: { requireApproval } });
+
+    const scheduler = new PPBuilderScheduler({ client, config, now: () => now });
+    await scheduler.setSchedule(versionId, { publishAt: '2026-01-01T00:00:00Z' });
+
+    const { applied } = await scheduler.runDue();
+    const { pp_state: state } = await client.getPageVersion(versionId);
+
+    assert.equal(applied.length, requireApproval ? 0 : 1, `requireApproval: ${requireApproval}`);
+    assert.equal(state, requireApproval ? VERSION_STATE.DRAFT : VERSION_STATE.PUBLISHED, `requireApproval: ${requireApproval}`);
+  }
+});